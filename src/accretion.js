@@ -0,0 +1,137 @@
+import CANNON from 'cannon';
+
+// Accretion: colliding crystals that meet slowly enough stick and merge into one
+// body instead of bouncing.
+//
+// Impacts are taken from cannon's contact detection ('collide' fires on the first
+// contact of a pair, before the solver bounces the bodies), so only runs with
+// contacts merge. The criterion compares the impact speed with either a fixed
+// speed ('velocity') or a multiple of the pair's mutual escape velocity
+// sqrt(2 G (m1 + m2) / (r1 + r2)) ('escape'). Merges are applied after the step;
+// the merged body conserves mass, momentum and angular momentum (orbital about
+// the pair's center of mass plus both spins) and has the volume of both crystals.
+
+const ACCRETION_CRITERIA = ['velocity', 'escape'];
+
+// Radius of the sphere with the crystal's volume
+function equivalentRadius(body) {
+    const crystal = body.crystal;
+    const volume = Math.PI * crystal.baseRadius * crystal.baseRadius * crystal.height;
+    return Math.cbrt(3 * volume / (4 * Math.PI));
+}
+
+// Spin angular momentum I * omega in the world frame
+function spinAngularMomentum(body) {
+    const localOmega = new CANNON.Vec3();
+    body.vectorToLocalFrame(body.angularVelocity, localOmega);
+    const localSpin = new CANNON.Vec3(body.inertia.x * localOmega.x, body.inertia.y * localOmega.y, body.inertia.z * localOmega.z);
+    return body.vectorToWorldFrame(localSpin);
+}
+
+class Accretion {
+    constructor(simulation, { criterion = 'escape', velocityThreshold = 5, escapeFactor = 1 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.criterion = criterion;
+        this.velocityThreshold = velocityThreshold; // m/s, for 'velocity'
+        this.escapeFactor = escapeFactor; // Multiple of the escape velocity, for 'escape'
+        this.pending = []; // Pairs to merge after the current step
+        this.mergeCount = 0; // Merges since the last restart
+
+        // Every body added to the world reports its impacts
+        const onCollide = (event) => this.onCollide(event.target, event.body);
+        simulation.world.addEventListener('addBody', (event) => {
+            event.body.addEventListener('collide', onCollide);
+        });
+    }
+
+    reset() {
+        this.pending = [];
+        this.mergeCount = 0;
+    }
+
+    impactSpeedLimit(a, b) {
+        if (this.criterion === 'velocity') return this.velocityThreshold;
+        const escapeVelocity = Math.sqrt(2 * this.simulation.gravityConstant * (a.mass + b.mass) / (equivalentRadius(a) + equivalentRadius(b)));
+        return this.escapeFactor * escapeVelocity;
+    }
+
+    onCollide(a, b) {
+        // Both bodies report the same impact; handle it once
+        if (!this.enabled || a.id > b.id || !a.crystal || !b.crystal) return;
+        if (a.velocity.distanceTo(b.velocity) < this.impactSpeedLimit(a, b)) {
+            this.pending.push([a, b]);
+        }
+    }
+
+    // Merge the pairs collected during the step. Returns the merged bodies.
+    applyMerges() {
+        if (this.pending.length === 0) return [];
+        const pairs = this.pending;
+        this.pending = [];
+
+        // A body can hit several others in one step; follow it into its merged body
+        const mergedInto = new Map();
+        const resolve = (body) => {
+            while (mergedInto.has(body)) body = mergedInto.get(body);
+            return body;
+        };
+
+        const merged = [];
+        pairs.forEach(([first, second]) => {
+            const a = resolve(first);
+            const b = resolve(second);
+            // Already merged, or shattered by fragmentation this step
+            if (a === b || !a.world || !b.world) return;
+            const body = this.merge(a, b);
+            mergedInto.set(a, body);
+            mergedInto.set(b, body);
+            merged.push(body);
+        });
+        this.mergeCount += merged.length;
+        return merged.filter(body => !mergedInto.has(body));
+    }
+
+    merge(a, b) {
+        const simulation = this.simulation;
+        const mass = a.mass + b.mass;
+
+        const position = new CANNON.Vec3();
+        a.position.scale(a.mass / mass, position);
+        position.vadd(b.position.scale(b.mass / mass), position);
+        const velocity = new CANNON.Vec3();
+        a.velocity.scale(a.mass / mass, velocity);
+        velocity.vadd(b.velocity.scale(b.mass / mass), velocity);
+
+        // Angular momentum about the new center of mass: orbital terms plus spins
+        const angularMomentum = new CANNON.Vec3();
+        [a, b].forEach(body => {
+            const relativePosition = body.position.vsub(position);
+            const relativeVelocity = body.velocity.vsub(velocity);
+            angularMomentum.vadd(relativePosition.cross(relativeVelocity).scale(body.mass), angularMomentum);
+            angularMomentum.vadd(spinAngularMomentum(body), angularMomentum);
+        });
+
+        // The larger crystal keeps its proportions and orientation, grown to hold both volumes
+        const [larger, smaller] = a.mass >= b.mass ? [a, b] : [b, a];
+        const volumeOf = (crystal) => Math.PI * crystal.baseRadius * crystal.baseRadius * crystal.height;
+        const volume = volumeOf(larger.crystal) + volumeOf(smaller.crystal);
+        const growth = Math.cbrt(volume / volumeOf(larger.crystal));
+        const crystal = {
+            ...larger.crystal,
+            baseRadius: larger.crystal.baseRadius * growth,
+            height: larger.crystal.height * growth,
+            density: mass / volume,
+            orientation: { ...larger.crystal.orientation },
+        };
+
+        simulation.removeBody(a);
+        simulation.removeBody(b);
+        const body = simulation.addBody(mass, position, velocity, larger.quaternion, crystal);
+        body.invInertiaWorld.vmult(angularMomentum, body.angularVelocity);
+        return body;
+    }
+}
+
+export { ACCRETION_CRITERIA };
+export default Accretion;
@@ -0,0 +1,67 @@
+import CANNON from 'cannon';
+
+// Attractors: dominant masses placed by hand (a central star, planets) instead of
+// generated crystals. Each one is a sphere with an explicit mass and radius and
+// one of three motions:
+//
+//   free     moves under gravity like any crystal
+//   pinned   stays where it was placed
+//   orbit    follows a prescribed circular orbit, whatever the forces on it
+//
+// Attractors are ordinary members of Simulation.bodies, so the octree counts their
+// mass like any other body's. Pinned and orbiting ones are cannon KINEMATIC bodies:
+// forces don't move them and contacts treat them as immovable. Bodies carry an
+// `attractor` record ({ radius, motion, orbit }) instead of a `crystal`, which
+// renderers use to draw them in their own style.
+
+const ATTRACTOR_MOTIONS = ['free', 'pinned', 'orbit'];
+
+// A complete attractor description from a partial one, e.g. { mass: 1e11, motion: 'orbit' }.
+// Orbits are circles about `center`, counterclockwise about +y in the x-z plane,
+// tilted by `inclination` about x; `phase` is the angle at time 0. Angles are radians.
+function createAttractor({ mass = 1e10, radius = 8, motion = 'pinned', position = {}, velocity = {}, orbit = {} } = {}) {
+    return {
+        mass: mass,
+        radius: radius,
+        motion: motion,
+        position: { x: 0, y: 0, z: 0, ...position },
+        velocity: { x: 0, y: 0, z: 0, ...velocity },
+        orbit: {
+            radius: 150,
+            period: 15,
+            phase: 0,
+            inclination: 0,
+            ...orbit,
+            center: { x: 0, y: 0, z: 0, ...orbit.center },
+        },
+    };
+}
+
+// Position and velocity on a prescribed orbit at `time`
+function orbitState(orbit, time) {
+    const omega = orbit.period > 0 ? 2 * Math.PI / orbit.period : 0;
+    const angle = orbit.phase + omega * time;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const tiltCos = Math.cos(orbit.inclination);
+    const tiltSin = Math.sin(orbit.inclination);
+
+    // In the untilted plane y = 0, then rotated about x
+    const x = orbit.radius * cos;
+    const z = -orbit.radius * sin;
+    const vx = -orbit.radius * omega * sin;
+    const vz = -orbit.radius * omega * cos;
+    return {
+        position: new CANNON.Vec3(orbit.center.x + x, orbit.center.y - z * tiltSin, orbit.center.z + z * tiltCos),
+        velocity: new CANNON.Vec3(vx, -vz * tiltSin, vz * tiltCos),
+    };
+}
+
+// Total mass of the attractors within `radius` of `point`
+function attractorMassWithin(bodies, point, radius) {
+    return bodies.reduce((sum, body) => {
+        return body.attractor && body.position.distanceTo(point) < radius ? sum + body.mass : sum;
+    }, 0);
+}
+
+export { ATTRACTOR_MOTIONS, createAttractor, orbitState, attractorMassWithin };
@@ -0,0 +1,152 @@
+// Benchmarks of the two Barnes-Hut trees (TREE_TYPES in octree.js) on the same bodies.
+//
+//   npm run bench
+//   npm run bench -- --sizes 1000,10000 --repeat 5 --theta 0.7 --quadrupole
+//
+// Bodies are drawn from a Plummer sphere, so the tree has the uneven depth of a real
+// cluster. For every size and tree one JSON line gives the median time of build() and
+// of a force pass (accelerations(), which also finds the largest acceleration), the
+// interactions per body, and the RMS error against direct summation for a sample of
+// bodies. A last line per size gives the flat tree's speedup and the largest
+// difference between the two trees' accelerations, which should be rounding only.
+//
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import CANNON from 'cannon';
+import { TREE_TYPES, createOctree } from './octree.js';
+import { forceKernel } from './softening.js';
+import { createRandom } from './utils/random.js';
+
+const { values: args } = parseArgs({
+    options: {
+        sizes: { type: 'string', default: '1000,10000,50000' },
+        repeat: { type: 'string', default: '3' },
+        theta: { type: 'string', default: '0.5' },
+        quadrupole: { type: 'boolean', default: false },
+        'max-bodies-per-node': { type: 'string', default: '10' },
+        seed: { type: 'string', default: '1' },
+    },
+});
+
+const sizes = args.sizes.split(',').map(Number);
+const repeat = Number(args.repeat);
+const options = {
+    theta: Number(args.theta),
+    quadrupole: args.quadrupole,
+    maxBodiesPerNode: Number(args['max-bodies-per-node']),
+};
+const G = 1;
+const SCALE_RADIUS = 100;
+const SAMPLE = 100; // Bodies checked against direct summation
+
+// Plummer sphere of unit total mass, truncated at 20 scale radii
+function plummerBodies(count, random) {
+    const bodies = [];
+    while (bodies.length < count) {
+        const u = random();
+        const r = SCALE_RADIUS / Math.sqrt(Math.pow(u, -2 / 3) - 1);
+        if (!(r < 20 * SCALE_RADIUS)) continue;
+        const cosTheta = 2 * random() - 1;
+        const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+        const phi = 2 * Math.PI * random();
+        bodies.push({
+            position: new CANNON.Vec3(r * sinTheta * Math.cos(phi), r * sinTheta * Math.sin(phi), r * cosTheta),
+            mass: 1 / count,
+        });
+    }
+    return bodies;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function time(run) {
+    const start = performance.now();
+    run();
+    return performance.now() - start;
+}
+
+// RMS error of the tree's accelerations over an even sample of bodies, relative to
+// their RMS acceleration. Per-body relative errors would be dominated by the bodies
+// near the center, where the net pull all but cancels.
+function directError(bodies, accelerations) {
+    const stride = Math.max(1, Math.floor(bodies.length / SAMPLE));
+    let error = 0;
+    let magnitude = 0;
+    for (let i = 0; i < bodies.length; i += stride) {
+        const p = bodies[i].position;
+        let ax = 0, ay = 0, az = 0;
+        bodies.forEach((other, j) => {
+            if (j === i) return;
+            const dx = other.position.x - p.x, dy = other.position.y - p.y, dz = other.position.z - p.z;
+            const s = G * other.mass * forceKernel('none', dx * dx + dy * dy + dz * dz, 0);
+            ax += dx * s;
+            ay += dy * s;
+            az += dz * s;
+        });
+        error += (accelerations[3 * i] - ax) ** 2 + (accelerations[3 * i + 1] - ay) ** 2 + (accelerations[3 * i + 2] - az) ** 2;
+        magnitude += ax * ax + ay * ay + az * az;
+    }
+    return Math.sqrt(error / magnitude);
+}
+
+function measure(type, bodies) {
+    const tree = createOctree(type, 4 * SCALE_RADIUS, G, options);
+    const accelerations = new Float64Array(3 * bodies.length);
+    const builds = [];
+    const passes = [];
+    let maxAcceleration = 0;
+    for (let r = 0; r < repeat; r++) {
+        builds.push(time(() => tree.build(bodies)));
+        passes.push(time(() => { maxAcceleration = tree.accelerations(accelerations); }));
+    }
+    return {
+        accelerations,
+        report: {
+            bodies: bodies.length,
+            tree: type,
+            buildMs: median(builds),
+            forceMs: median(passes),
+            interactionsPerBody: tree.statistics().interactionsPerEvaluation,
+            maxAcceleration,
+            directError: directError(bodies, accelerations),
+        },
+    };
+}
+
+// Warm up the JIT on small runs of each tree, so the first size isn't penalized
+const warmUp = plummerBodies(1000, createRandom(0));
+TREE_TYPES.forEach(type => {
+    const tree = createOctree(type, 4 * SCALE_RADIUS, G, options);
+    for (let r = 0; r < 10; r++) {
+        tree.build(warmUp);
+        tree.accelerations(new Float64Array(3 * warmUp.length));
+    }
+});
+
+sizes.forEach(size => {
+    const bodies = plummerBodies(size, createRandom(Number(args.seed)));
+    const results = {};
+    TREE_TYPES.forEach(type => {
+        results[type] = measure(type, bodies);
+        console.log(JSON.stringify(results[type].report));
+    });
+
+    const flat = results.flat;
+    const object = results.object;
+    let difference = 0;
+    for (let i = 0; i < size; i++) {
+        const miss = Math.hypot(flat.accelerations[3 * i] - object.accelerations[3 * i],
+            flat.accelerations[3 * i + 1] - object.accelerations[3 * i + 1],
+            flat.accelerations[3 * i + 2] - object.accelerations[3 * i + 2]);
+        difference = Math.max(difference, miss / Math.hypot(object.accelerations[3 * i], object.accelerations[3 * i + 1], object.accelerations[3 * i + 2]));
+    }
+    console.log(JSON.stringify({
+        bodies: size,
+        buildSpeedup: object.report.buildMs / flat.report.buildMs,
+        forceSpeedup: object.report.forceMs / flat.report.forceMs,
+        maxRelativeDifference: difference,
+    }));
+});
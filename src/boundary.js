@@ -0,0 +1,134 @@
+import CANNON from 'cannon';
+
+// Boundary conditions: what happens to bodies at the edge of the world, applied after
+// every step. The world is the cube of edge `worldSize` centered on the origin that
+// the initial conditions fill.
+//
+//   none        bodies fly off forever
+//   open        escapers are removed and counted: bodies farther than `escapeRadius`
+//               from the center of mass, and unbound bodies (positive energy in the
+//               center-of-mass frame) that have left the world moving outward. Bodies
+//               still inside can be captured by close encounters, so they stay.
+//   reflecting  the cube's faces are elastic walls
+//   periodic    a body leaving through one face comes back through the opposite one,
+//               and gravity takes the nearest image of every separation (minimum
+//               image, see Octree.period). Contacts across a face are not detected.
+//
+// Only dynamic bodies are affected; pinned crystals and prescribed attractors keep
+// their place.
+
+const BOUNDARY_MODES = ['none', 'open', 'reflecting', 'periodic'];
+
+function isDynamic(body) {
+    return body.type === CANNON.Body.DYNAMIC;
+}
+
+class Boundary {
+    constructor(simulation, { mode = 'none', escapeRadius = 1000 } = {}) {
+        this.simulation = simulation;
+        this.mode = mode;
+        this.escapeRadius = escapeRadius; // For 'open'
+        this.reset();
+    }
+
+    reset() {
+        this.escapeCount = 0; // Bodies removed by the open boundary since the last restart
+        this.escapedMass = 0;
+    }
+
+    // Edge of the periodic box gravity wraps around, or null
+    get period() {
+        return this.mode === 'periodic' ? this.simulation.worldSize : null;
+    }
+
+    apply() {
+        if (this.mode === 'open') this.removeEscapers();
+        else if (this.mode === 'reflecting') this.reflect();
+        else if (this.mode === 'periodic') this.wrap();
+    }
+
+    removeEscapers() {
+        const simulation = this.simulation;
+        let mass = 0;
+        const centerOfMass = new CANNON.Vec3();
+        const momentum = new CANNON.Vec3();
+        simulation.bodies.forEach(body => {
+            mass += body.mass;
+            centerOfMass.vadd(body.position.scale(body.mass), centerOfMass);
+            momentum.vadd(body.velocity.scale(body.mass), momentum);
+        });
+        if (!(mass > 0)) return;
+        centerOfMass.scale(1 / mass, centerOfMass);
+        const comVelocity = momentum.scale(1 / mass);
+
+        const half = simulation.worldSize / 2;
+        let treeBuilt = false;
+        const escaped = simulation.bodies.filter(body => {
+            if (!isDynamic(body)) return false;
+            const r = body.position.vsub(centerOfMass);
+            if (r.norm() > this.escapeRadius) return true;
+            const outside = Math.abs(r.x) > half || Math.abs(r.y) > half || Math.abs(r.z) > half;
+            const v = body.velocity.vsub(comVelocity);
+            if (!outside || r.dot(v) <= 0) return false;
+            // The tree must match the positions after the step; built once, for the first candidate
+            if (!treeBuilt) {
+                simulation.rebuildOctree();
+                treeBuilt = true;
+            }
+            return 0.5 * v.norm2() + simulation.octree.calculatePotential(body) / body.mass > 0;
+        });
+
+        escaped.forEach(body => {
+            simulation.removeBody(body);
+            this.escapeCount++;
+            this.escapedMass += body.mass;
+        });
+    }
+
+    // Mirror bodies past a face back inside, reversing their velocity across it
+    reflect() {
+        const half = this.simulation.worldSize / 2;
+        this.simulation.bodies.forEach(body => {
+            if (!isDynamic(body)) return;
+            let moved = false;
+            ['x', 'y', 'z'].forEach(axis => {
+                const p = body.position[axis];
+                // Clamped, for a body that went more than the whole world past the face
+                if (p > half) {
+                    body.position[axis] = Math.max(-half, 2 * half - p);
+                    body.velocity[axis] = -Math.abs(body.velocity[axis]);
+                    moved = true;
+                } else if (p < -half) {
+                    body.position[axis] = Math.min(half, -2 * half - p);
+                    body.velocity[axis] = Math.abs(body.velocity[axis]);
+                    moved = true;
+                }
+            });
+            if (!moved) return;
+            this.simulation.placeBody(body);
+            this.simulation.invalidateAccelerations();
+        });
+    }
+
+    // Bring bodies that left the box back through the opposite face
+    wrap() {
+        const size = this.simulation.worldSize;
+        this.simulation.bodies.forEach(body => {
+            if (!isDynamic(body)) return;
+            let moved = false;
+            ['x', 'y', 'z'].forEach(axis => {
+                const p = body.position[axis];
+                if (p >= size / 2 || p < -size / 2) {
+                    body.position[axis] = p - size * Math.floor(p / size + 0.5);
+                    moved = true;
+                }
+            });
+            if (!moved) return;
+            this.simulation.placeBody(body);
+            this.simulation.invalidateAccelerations();
+        });
+    }
+}
+
+export { BOUNDARY_MODES };
+export default Boundary;
@@ -0,0 +1,198 @@
+import { createOctree } from './octree.js';
+
+// Clump finder: friends-of-friends groups of a Simulation's bodies, pruned to
+// their gravitationally bound members.
+//
+// Bodies closer than the linking length are friends, and friends of friends end up
+// in the same group. The linking length is `linkingFactor` times the mean spacing of
+// the bodies in the world cube, (worldSize^3 / N)^(1/3); the usual b = 0.2 picks out
+// regions about a hundred times denser than average. Neighbours come from the
+// simulation's octree, which links them across the faces of a periodic box.
+//
+// Each group is then unbound iteratively: a member whose kinetic energy relative to
+// the group's center of mass velocity exceeds its binding energy to the other
+// members is dropped, and the group's energies are recomputed, until every member is
+// bound. Groups left with fewer than `minMembers` are not clumps.
+//
+// A clump's id is the id of its most massive member, so it stays the same while the
+// clump grows, and renderers can color it consistently.
+class ClumpFinder {
+    constructor(simulation, { interval = 30, linkingFactor = 0.2, minMembers = 5 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.interval = interval; // Search every `interval` steps
+        this.linkingFactor = linkingFactor;
+        this.minMembers = minMembers;
+        this.latest = null;
+    }
+
+    reset() {
+        this.latest = null;
+    }
+
+    // Called by Simulation.update after every step
+    onStep() {
+        if (this.enabled && this.simulation.stepCount % this.interval === 0) {
+            this.latest = this.find();
+        }
+    }
+
+    linkingLength() {
+        const simulation = this.simulation;
+        const count = Math.max(simulation.bodies.length, 1);
+        return this.linkingFactor * simulation.worldSize / Math.cbrt(count);
+    }
+
+    // { step, time, linkingLength, clumps, boundMass, totalMass, boundFraction }, where
+    // clumps are { id, count, mass, center, velocity, radius, members } by mass, largest first
+    find() {
+        const simulation = this.simulation;
+        const bodies = simulation.bodies;
+        const linkingLength = this.linkingLength();
+
+        // The tree must match the positions after the last step
+        simulation.rebuildOctree();
+
+        // Union-find over body indices
+        const index = new Map(bodies.map((body, i) => [body, i]));
+        const parent = bodies.map((body, i) => i);
+        const root = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const neighbours = [];
+        bodies.forEach((body, i) => {
+            neighbours.length = 0;
+            simulation.octree.queryRadius(body.position, linkingLength, neighbours);
+            neighbours.forEach(other => {
+                const a = root(i);
+                const b = root(index.get(other));
+                if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+            });
+        });
+
+        const groups = new Map(); // root -> [body]
+        bodies.forEach((body, i) => {
+            const r = root(i);
+            if (!groups.has(r)) groups.set(r, []);
+            groups.get(r).push(body);
+        });
+
+        const clumps = [];
+        groups.forEach(group => {
+            if (group.length < this.minMembers) return;
+            const members = this.unbind(group);
+            if (members.length >= this.minMembers) clumps.push(this.describe(members));
+        });
+        clumps.sort((a, b) => b.mass - a.mass);
+
+        const totalMass = bodies.reduce((sum, body) => sum + body.mass, 0);
+        const boundMass = clumps.reduce((sum, clump) => sum + clump.mass, 0);
+        return {
+            step: simulation.stepCount,
+            time: simulation.time,
+            linkingLength: linkingLength,
+            clumps: clumps,
+            boundMass: boundMass,
+            totalMass: totalMass,
+            boundFraction: totalMass > 0 ? boundMass / totalMass : 0,
+        };
+    }
+
+    // The members of `group` that are bound to the rest of it
+    unbind(group) {
+        let members = group;
+        while (members.length >= this.minMembers) {
+            const tree = this.buildTree(members);
+            const velocity = centerOfMass(members, members.map(body => body.velocity));
+            const bound = members.filter(body => {
+                const dx = body.velocity.x - velocity.x;
+                const dy = body.velocity.y - velocity.y;
+                const dz = body.velocity.z - velocity.z;
+                const kineticEnergy = 0.5 * body.mass * (dx * dx + dy * dy + dz * dz);
+                return kineticEnergy + tree.calculatePotential(body) < 0;
+            });
+            if (bound.length === members.length) break;
+            members = bound;
+        }
+        return members;
+    }
+
+    // An octree of just these bodies, with the simulation's gravity settings
+    buildTree(members) {
+        const octree = this.simulation.octree;
+        // build() fits the root to the members
+        const tree = createOctree(octree.type, octree.worldSize, octree.gravityConstant, {
+            theta: octree.theta,
+            softening: octree.softening,
+            softeningLength: octree.softeningLength,
+            maxBodiesPerNode: octree.maxBodiesPerNode,
+            period: octree.period,
+        });
+        tree.build(members);
+        return tree;
+    }
+
+    describe(members) {
+        let heaviest = members[0];
+        members.forEach(body => {
+            if (body.mass > heaviest.mass) heaviest = body;
+        });
+        // In a periodic box, a clump across a face is measured with its members
+        // brought next to the heaviest, and its center wrapped back into the box
+        const period = this.simulation.octree.period;
+        const positions = members.map(body => nearestImage(body.position, heaviest.position, period));
+        const center = centerOfMass(members, positions);
+        let radius = 0;
+        positions.forEach(position => {
+            radius = Math.max(radius, Math.hypot(position.x - center.x, position.y - center.y, position.z - center.z));
+        });
+        if (period) {
+            center.x -= period * Math.floor(center.x / period + 0.5);
+            center.y -= period * Math.floor(center.y / period + 0.5);
+            center.z -= period * Math.floor(center.z / period + 0.5);
+        }
+        return {
+            id: heaviest.id,
+            count: members.length,
+            mass: members.reduce((sum, body) => sum + body.mass, 0),
+            center: center,
+            velocity: centerOfMass(members, members.map(body => body.velocity)),
+            radius: radius, // Distance from the center to the farthest member
+            members: members.map(body => body.id),
+        };
+    }
+}
+
+// Mass-weighted mean of `vectors`, a position or velocity for each body
+function centerOfMass(bodies, vectors) {
+    let mass = 0;
+    const mean = { x: 0, y: 0, z: 0 };
+    bodies.forEach((body, i) => {
+        mass += body.mass;
+        mean.x += body.mass * vectors[i].x;
+        mean.y += body.mass * vectors[i].y;
+        mean.z += body.mass * vectors[i].z;
+    });
+    if (mass > 0) {
+        mean.x /= mass;
+        mean.y /= mass;
+        mean.z /= mass;
+    }
+    return mean;
+}
+
+// The image of `position` nearest to `reference` in a periodic box, or `position` itself
+function nearestImage(position, reference, period) {
+    if (!period) return position;
+    return {
+        x: position.x - period * Math.round((position.x - reference.x) / period),
+        y: position.y - period * Math.round((position.y - reference.y) / period),
+        z: position.z - period * Math.round((position.z - reference.z) / period),
+    };
+}
+
+export default ClumpFinder;
@@ -0,0 +1,178 @@
+// Time-series export: every `interval` steps the logger writes a row per enabled
+// channel as CSV or NDJSON, for analysis outside the simulation.
+//
+//   global   energies, momenta, center of mass and virial ratio (see diagnostics.js)
+//   bodies   one row per body: id, kind, mass, position and velocity
+//   events   impacts since the last row, and merges, fragmentations and escapes so far
+//   clumps   one row per bound clump: id, member count, mass, center, velocity and
+//            radius (see clumps.js)
+//
+// Nested values are flattened into columns such as momentum_x. CSV gets one file
+// per channel with a header row; NDJSON gets one file with a `channel` field on
+// every line. Text goes to `sink(file, text)` as it is produced: by default it is
+// kept in memory for files(), while the headless runner appends straight to disk.
+// In memory the log stops at `maxLength` characters, with a warning, rather than
+// grow without bound; each write is whole rows, so the files stay well formed.
+
+const LOG_CHANNELS = ['global', 'bodies', 'events', 'clumps'];
+const LOG_FORMATS = ['csv', 'ndjson'];
+
+function flatten(record, prefix = '', row = {}) {
+    Object.entries(record).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}_${key}` : key;
+        if (typeof value === 'object' && value !== null) flatten(value, name, row);
+        else row[name] = value;
+    });
+    return row;
+}
+
+const CHANNELS = {
+    global(logger) {
+        const record = logger.simulation.diagnostics.measure();
+        delete record.momentumScale; // Only used to scale the drifts
+        return [flatten(record)];
+    },
+
+    bodies(logger) {
+        const simulation = logger.simulation;
+        return simulation.bodies.map(body => ({
+            step: simulation.stepCount,
+            time: simulation.time,
+            id: body.id,
+            kind: body.attractor ? 'attractor' : 'crystal',
+            mass: body.mass,
+            x: body.position.x,
+            y: body.position.y,
+            z: body.position.z,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            vz: body.velocity.z,
+        }));
+    },
+
+    events(logger) {
+        const simulation = logger.simulation;
+        const row = {
+            step: simulation.stepCount,
+            time: simulation.time,
+            bodies: simulation.bodies.length,
+            impacts: logger.impacts,
+            totalImpacts: logger.totalImpacts,
+            merges: simulation.accretion.mergeCount,
+            fragmentations: simulation.fragmentation.fragmentationCount,
+            escapes: simulation.boundary.escapeCount,
+            escapedMass: simulation.boundary.escapedMass,
+        };
+        logger.impacts = 0;
+        return [row];
+    },
+
+    clumps(logger) {
+        const simulation = logger.simulation;
+        const finder = simulation.clumps;
+        // Reuse this step's search if the finder ran one
+        const found = finder.latest && finder.latest.step === simulation.stepCount ? finder.latest : finder.find();
+        return found.clumps.map((clump, rank) => flatten({
+            step: found.step,
+            time: found.time,
+            rank: rank,
+            id: clump.id,
+            count: clump.count,
+            mass: clump.mass,
+            massFraction: found.totalMass > 0 ? clump.mass / found.totalMass : 0,
+            center: clump.center,
+            velocity: clump.velocity,
+            radius: clump.radius,
+        }));
+    },
+};
+
+function csvValue(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class DataLogger {
+    constructor(simulation, { interval = 10, format = 'csv', channels = ['global'], sink = null, maxLength = 64e6 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.interval = interval; // Write every `interval` steps
+        this.format = format;
+        this.channels = channels;
+        this.sink = sink; // (file, text) => void; null keeps the text for files()
+        this.maxLength = maxLength; // Characters kept in memory, over all files
+        this.reset();
+
+        // Every body added to the world reports its impacts
+        const onCollide = (event) => {
+            if (event.target.id < event.body.id) {
+                this.impacts++;
+                this.totalImpacts++;
+            }
+        };
+        simulation.world.addEventListener('addBody', (event) => {
+            event.body.addEventListener('collide', onCollide);
+        });
+    }
+
+    // Start the files over, e.g. after a restart or a change of format or channels
+    reset() {
+        this.chunks = new Map(); // file -> [text]
+        this.length = 0; // Characters in `chunks`
+        this.full = false; // Whether rows were dropped at maxLength
+        this.headers = new Map(); // channel -> CSV column names
+        this.impacts = 0;
+        this.totalImpacts = 0; // Counted from cannon's collide events, each pair once
+    }
+
+    // Called by Simulation.update after every step
+    onStep() {
+        if (this.enabled && this.simulation.stepCount % this.interval === 0) {
+            this.sample();
+        }
+    }
+
+    sample() {
+        this.channels.forEach(channel => {
+            const rows = CHANNELS[channel](this);
+            if (this.format === 'ndjson') {
+                this.write('log.ndjson', rows.map(row => JSON.stringify({ channel: channel, ...row }) + '\n').join(''));
+                return;
+            }
+            if (rows.length === 0) return;
+            let text = '';
+            let header = this.headers.get(channel);
+            if (!header) {
+                // Columns are fixed by the first row
+                header = Object.keys(rows[0]);
+                this.headers.set(channel, header);
+                text += header.join(',') + '\n';
+            }
+            text += rows.map(row => header.map(key => csvValue(row[key] ?? '')).join(',') + '\n').join('');
+            this.write(`${channel}.csv`, text);
+        });
+    }
+
+    write(file, text) {
+        if (this.sink) {
+            this.sink(file, text);
+            return;
+        }
+        if (this.length + text.length > this.maxLength) {
+            if (!this.full) console.warn(`The data log is full at ${this.maxLength} characters; later rows are dropped until it is downloaded and cleared`);
+            this.full = true;
+            return;
+        }
+        if (!this.chunks.has(file)) this.chunks.set(file, []);
+        this.chunks.get(file).push(text);
+        this.length += text.length;
+    }
+
+    // Everything logged so far, as [{ name, text }]
+    files() {
+        return [...this.chunks].map(([name, chunks]) => ({ name: name, text: chunks.join('') }));
+    }
+}
+
+export { LOG_CHANNELS, LOG_FORMATS };
+export default DataLogger;
@@ -0,0 +1,126 @@
+import CANNON from 'cannon';
+
+// Conservation monitor for a Simulation: energies, momenta, center of mass
+// and virial ratio, with drift measured against the state at construction or at the
+// last reset.
+class Diagnostics {
+    constructor(simulation, { interval = 1, historyLength = 600 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.interval = interval; // Sample every `interval` steps
+        this.historyLength = historyLength;
+        this.reset();
+    }
+
+    // Drift is measured from the bodies as they are now. The Simulation resets again once
+    // a restart or restore has added its bodies, since clear() resets with none.
+    reset() {
+        this.history = [];
+        this.baseline = this.simulation.bodies.length > 0 ? this.measure() : null;
+        this.latest = null;
+    }
+
+    // Called by Simulation.update after every step
+    onStep() {
+        if (this.enabled && this.simulation.stepCount % this.interval === 0) {
+            this.sample();
+        }
+    }
+
+    measure() {
+        const simulation = this.simulation;
+        const bodies = simulation.bodies;
+
+        // Node centers of mass must match the positions after the last step
+        simulation.rebuildOctree();
+
+        let totalMass = 0;
+        let kineticEnergy = 0;
+        let potentialEnergy = 0;
+        const centerOfMass = new CANNON.Vec3();
+        const momentum = new CANNON.Vec3();
+        const spinAngularMomentum = new CANNON.Vec3();
+        const localOmega = new CANNON.Vec3();
+        const localSpin = new CANNON.Vec3();
+        const worldSpin = new CANNON.Vec3();
+
+        bodies.forEach(body => {
+            const m = body.mass;
+            totalMass += m;
+            centerOfMass.x += m * body.position.x;
+            centerOfMass.y += m * body.position.y;
+            centerOfMass.z += m * body.position.z;
+            momentum.x += m * body.velocity.x;
+            momentum.y += m * body.velocity.y;
+            momentum.z += m * body.velocity.z;
+
+            // Rotational terms use the principal inertia in the body frame
+            body.vectorToLocalFrame(body.angularVelocity, localOmega);
+            localSpin.set(body.inertia.x * localOmega.x, body.inertia.y * localOmega.y, body.inertia.z * localOmega.z);
+            body.vectorToWorldFrame(localSpin, worldSpin);
+            spinAngularMomentum.vadd(worldSpin, spinAngularMomentum);
+
+            kineticEnergy += 0.5 * m * body.velocity.norm2() + 0.5 * localOmega.dot(localSpin);
+            // Each pair is counted twice when summing over bodies
+            potentialEnergy += 0.5 * simulation.octree.calculatePotential(body);
+        });
+
+        if (totalMass > 0) centerOfMass.scale(1 / totalMass, centerOfMass);
+        const comVelocity = totalMass > 0 ? momentum.scale(1 / totalMass) : new CANNON.Vec3();
+
+        // Orbital angular momentum about the center of mass, plus spins;
+        // translational kinetic energy in the center-of-mass frame for the virial ratio
+        const angularMomentum = spinAngularMomentum.clone();
+        const relativePosition = new CANNON.Vec3();
+        const relativeVelocity = new CANNON.Vec3();
+        const orbital = new CANNON.Vec3();
+        let internalKineticEnergy = 0;
+        bodies.forEach(body => {
+            body.position.vsub(centerOfMass, relativePosition);
+            body.velocity.vsub(comVelocity, relativeVelocity);
+            relativePosition.cross(relativeVelocity, orbital);
+            orbital.scale(body.mass, orbital);
+            angularMomentum.vadd(orbital, angularMomentum);
+            internalKineticEnergy += 0.5 * body.mass * relativeVelocity.norm2();
+        });
+
+        return {
+            step: simulation.stepCount,
+            time: simulation.time,
+            bodyCount: bodies.length,
+            totalMass: totalMass,
+            kineticEnergy: kineticEnergy,
+            potentialEnergy: potentialEnergy,
+            totalEnergy: kineticEnergy + potentialEnergy,
+            momentum: { x: momentum.x, y: momentum.y, z: momentum.z },
+            angularMomentum: { x: angularMomentum.x, y: angularMomentum.y, z: angularMomentum.z },
+            centerOfMass: { x: centerOfMass.x, y: centerOfMass.y, z: centerOfMass.z },
+            // 2K/|W|: 1 in virial equilibrium, below 1 for a collapsing system
+            virialRatio: potentialEnergy !== 0 ? (2 * internalKineticEnergy) / Math.abs(potentialEnergy) : 0,
+            momentumScale: bodies.reduce((sum, body) => sum + body.mass * body.velocity.norm(), 0),
+        };
+    }
+
+    sample() {
+        const record = this.measure();
+        // Bodies thrown into an empty world start the drift
+        if (!this.baseline) this.baseline = record;
+        const baseline = this.baseline;
+
+        // Relative drifts; momentum is scaled by the baseline's total |p| since the net momentum is often ~0
+        const difference = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+        const magnitude = (v) => Math.hypot(v.x, v.y, v.z);
+        record.energyDrift = baseline.totalEnergy !== 0 ? (record.totalEnergy - baseline.totalEnergy) / Math.abs(baseline.totalEnergy) : 0;
+        record.momentumDrift = baseline.momentumScale > 0 ? difference(record.momentum, baseline.momentum) / baseline.momentumScale : 0;
+        const angularMomentumScale = magnitude(baseline.angularMomentum);
+        record.angularMomentumDrift = angularMomentumScale > 0 ? difference(record.angularMomentum, baseline.angularMomentum) / angularMomentumScale : 0;
+        record.centerOfMassDrift = difference(record.centerOfMass, baseline.centerOfMass);
+
+        this.latest = record;
+        this.history.push(record);
+        if (this.history.length > this.historyLength) this.history.shift();
+        return record;
+    }
+}
+
+export default Diagnostics;
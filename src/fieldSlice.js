@@ -0,0 +1,64 @@
+import CANNON from 'cannon';
+
+// Gravity field on a slice: the potential or acceleration magnitude a unit test mass
+// would feel at each cell of a square grid, taken from the octree with the
+// simulation's opening angle and softening. Unlike the per-crystal "See Gravity"
+// tint, this shows the field in the empty space between bodies too.
+//
+// The slice is centered on the axis through the origin normal to its plane and sits
+// `offset` along it; `size` is its side. Each plane is named by its in-plane axes u
+// and v: values[j * resolution + i] is the cell at the i-th u and the j-th v, both
+// counting from the negative edge.
+
+const FIELD_QUANTITIES = ['potential', 'acceleration'];
+
+// [u, v, normal] of each plane
+const FIELD_PLANES = {
+    xz: ['x', 'z', 'y'],
+    xy: ['x', 'y', 'z'],
+    yz: ['y', 'z', 'x'],
+};
+
+// Returns { quantity, plane, offset, size, resolution, values, min, max }, with the
+// potential per unit mass (negative) or the acceleration magnitude as a Float32Array
+function sampleField(simulation, { quantity = 'potential', plane = 'xz', offset = 0, size = 1000, resolution = 64 } = {}) {
+    const [u, v, normal] = FIELD_PLANES[plane];
+    const probe = { mass: 1, position: new CANNON.Vec3() };
+    const values = new Float32Array(resolution * resolution);
+    const cell = size / resolution;
+    let min = Infinity;
+    let max = -Infinity;
+
+    // The tree must match the positions after the last step
+    simulation.rebuildOctree();
+    const octree = simulation.octree;
+    probe.position[normal] = offset;
+    for (let j = 0; j < resolution; j++) {
+        probe.position[v] = -size / 2 + (j + 0.5) * cell;
+        for (let i = 0; i < resolution; i++) {
+            probe.position[u] = -size / 2 + (i + 0.5) * cell;
+            const value = quantity === 'potential' ?
+                octree.calculatePotential(probe) :
+                octree.calculateGravity(probe).length();
+            values[j * resolution + i] = value;
+            // A cell on top of an unsoftened body can blow up; leave it out of the range
+            if (Number.isFinite(value)) {
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+    }
+
+    return {
+        quantity: quantity,
+        plane: plane,
+        offset: offset,
+        size: size,
+        resolution: resolution,
+        values: values,
+        min: min,
+        max: max,
+    };
+}
+
+export { FIELD_QUANTITIES, FIELD_PLANES, sampleField };
@@ -0,0 +1,600 @@
+import CANNON from 'cannon';
+import { forceKernel, potentialKernel } from './softening.js';
+
+// Barnes-Hut tree in flat typed arrays, with the same interface and opening criterion
+// as Octree (octree.js) but no allocations per interaction.
+//
+// build() sorts the bodies so that every node's bodies form one contiguous range, and
+// copies their positions and masses into struct-of-arrays buffers in that order.
+// Nodes live in a pool of parallel arrays where a node's children sit side by side,
+// and only octants holding bodies become nodes. Both pools grow by doubling and are
+// reused from one build to the next. Walks use an explicit stack instead of
+// recursion, and accelerations() evaluates every body in one pass that also
+// returns the largest acceleration.
+//
+// Like Octree, the tree describes the bodies as they were at build(): rebuild it
+// after they move.
+
+// Smallest edge of a fitted root cube, as in Octree
+const MIN_ROOT_SIZE = 1;
+// Nodes this deep stay leaves whatever they hold, so coincident bodies can't split forever
+const MAX_DEPTH = 48;
+const INITIAL_BODIES = 64;
+const INITIAL_NODES = 64;
+
+function isFinitePoint(p) {
+    return Number.isFinite(p.x) && Number.isFinite(p.y) && Number.isFinite(p.z);
+}
+
+class FlatOctree {
+    constructor(worldSize, gravityConstant, { theta = 0.5, softening = 'none', softeningLength = 1, quadrupole = false, maxBodiesPerNode = 10, period = null } = {}) {
+        this.gravityConstant = gravityConstant;
+        this.theta = theta;
+        this.softening = softening;
+        this.softeningLength = softeningLength;
+        this.quadrupole = quadrupole;
+        this.period = period;
+        this.worldSize = worldSize; // Edge length of the root cube when there are no bodies to fit
+        this.maxBodiesPerNode = maxBodiesPerNode; // Leaf capacity, applied on build()
+
+        this.bodies = []; // As passed to build(), in their order
+        this.sorted = []; // The bodies in the tree, in tree order
+        this.bodyCapacity = 0;
+        this.nodeCapacity = 0;
+        this.allocateBodies(INITIAL_BODIES);
+        this.allocateNodes(INITIAL_NODES);
+        // A walk pushes at most the eight children of one node per level
+        this.stack = new Int32Array(8 * (MAX_DEPTH + 1));
+        this.tally = new Int32Array(8); // Bodies per octant while splitting
+        this.offsets = new Int32Array(8);
+        this.acceleration = new Float64Array(3); // Result of the last accelerate()
+        this.leafCapacity = maxBodiesPerNode; // maxBodiesPerNode as of the last build
+        this.withQuadrupoles = false; // Whether the last build computed quadrupoles
+        this.nodeCount = 0;
+        this.clear();
+    }
+
+    get type() {
+        return 'flat';
+    }
+
+    // Per-body buffers. Everything is rewritten on build(), so nothing is copied over.
+    allocateBodies(capacity) {
+        this.bodyX = new Float64Array(capacity); // Tree order
+        this.bodyY = new Float64Array(capacity);
+        this.bodyZ = new Float64Array(capacity);
+        this.bodyMass = new Float64Array(capacity);
+        this.inputX = new Float64Array(capacity); // Order of `bodies`, for splitting
+        this.inputY = new Float64Array(capacity);
+        this.inputZ = new Float64Array(capacity);
+        this.index = new Int32Array(capacity); // Tree order -> index in `bodies`
+        this.slot = new Int32Array(capacity); // Index in `bodies` -> tree order, or -1 if left out
+        this.octants = new Uint8Array(capacity); // Scratch for splitting
+        this.scratch = new Int32Array(capacity);
+        this.bodyCapacity = capacity;
+    }
+
+    // Per-node buffers. Called mid-build when the pool runs out, so the nodes made so far are kept.
+    allocateNodes(capacity) {
+        const grow = (Type, old, stride = 1) => {
+            const array = new Type(stride * capacity);
+            if (old) array.set(old);
+            return array;
+        };
+        this.centerX = grow(Float64Array, this.centerX);
+        this.centerY = grow(Float64Array, this.centerY);
+        this.centerZ = grow(Float64Array, this.centerZ);
+        this.halfSize = grow(Float64Array, this.halfSize);
+        this.mass = grow(Float64Array, this.mass);
+        this.comX = grow(Float64Array, this.comX);
+        this.comY = grow(Float64Array, this.comY);
+        this.comZ = grow(Float64Array, this.comZ);
+        // Traceless quadrupole about com, six per node: xx, yy, zz, xy, xz, yz
+        this.quadrupoles = grow(Float64Array, this.quadrupoles, 6);
+        this.firstChild = grow(Int32Array, this.firstChild); // -1 for a leaf
+        this.childCount = grow(Uint8Array, this.childCount);
+        this.start = grow(Int32Array, this.start); // First body in tree order
+        this.count = grow(Int32Array, this.count); // Bodies in the node and below
+        this.depth = grow(Uint8Array, this.depth);
+        this.nodeCapacity = capacity;
+    }
+
+    addNode(x, y, z, halfSize, depth, start, count) {
+        if (this.nodeCount === this.nodeCapacity) this.allocateNodes(2 * this.nodeCapacity);
+        const node = this.nodeCount++;
+        this.centerX[node] = x;
+        this.centerY[node] = y;
+        this.centerZ[node] = z;
+        this.halfSize[node] = halfSize;
+        this.depth[node] = depth;
+        this.start[node] = start;
+        this.count[node] = count;
+        this.firstChild[node] = -1;
+        this.childCount[node] = 0;
+        this.mass[node] = 0;
+        this.comX[node] = x;
+        this.comY[node] = y;
+        this.comZ[node] = z;
+        return node;
+    }
+
+    // Rebuild the tree from scratch for the given bodies, with the root cube fitted to
+    // them. Bodies without a finite position are left out.
+    build(bodies) {
+        const n = bodies.length;
+        if (n > this.bodyCapacity) {
+            let capacity = this.bodyCapacity;
+            while (capacity < n) capacity *= 2;
+            this.allocateBodies(capacity);
+        }
+        this.bodies = bodies;
+
+        let count = 0;
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < n; i++) {
+            const p = bodies[i].position;
+            this.slot[i] = -1;
+            if (!isFinitePoint(p)) continue;
+            this.index[count++] = i;
+            this.inputX[i] = p.x;
+            this.inputY[i] = p.y;
+            this.inputZ[i] = p.z;
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            minZ = Math.min(minZ, p.z);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+            maxZ = Math.max(maxZ, p.z);
+        }
+
+        this.nodeCount = 0;
+        if (count === 0) {
+            this.addNode(0, 0, 0, this.worldSize / 2, 0, 0, 0);
+        } else {
+            // Padded a little against rounding, and never degenerate for a single body
+            const halfSize = Math.max(maxX - minX, maxY - minY, maxZ - minZ, MIN_ROOT_SIZE) / 2 * (1 + 1e-6);
+            this.addNode((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, halfSize, 0, 0, count);
+        }
+        this.leafCapacity = this.maxBodiesPerNode;
+        if (this.overfull(0)) this.split(0);
+
+        this.sorted.length = count;
+        for (let k = 0; k < count; k++) {
+            const i = this.index[k];
+            const body = bodies[i];
+            this.bodyX[k] = this.inputX[i];
+            this.bodyY[k] = this.inputY[i];
+            this.bodyZ[k] = this.inputZ[i];
+            this.bodyMass[k] = body.mass;
+            this.slot[i] = k;
+            this.sorted[k] = body;
+        }
+        this.withQuadrupoles = this.quadrupole;
+        this.summarize();
+    }
+
+    overfull(node) {
+        return this.count[node] > this.leafCapacity && this.depth[node] < MAX_DEPTH;
+    }
+
+    // Split an overfull node into its occupied octants, stably reordering its bodies so
+    // that each child's are contiguous, then split the overfull children in turn
+    split(node) {
+        const count = this.count[node];
+        const start = this.start[node];
+        const end = start + count;
+        const x = this.centerX[node], y = this.centerY[node], z = this.centerZ[node];
+        const tally = this.tally.fill(0);
+        for (let k = start; k < end; k++) {
+            const i = this.index[k];
+            // Octant numbering as in OctreeNode.octant()
+            const octant = (this.inputX[i] >= x ? 4 : 0) + (this.inputY[i] >= y ? 2 : 0) + (this.inputZ[i] >= z ? 1 : 0);
+            this.octants[k] = octant;
+            tally[octant]++;
+        }
+        const offsets = this.offsets;
+        for (let o = 0, sum = start; o < 8; o++) {
+            offsets[o] = sum;
+            sum += tally[o];
+        }
+        for (let k = start; k < end; k++) this.scratch[offsets[this.octants[k]]++] = this.index[k];
+        this.index.set(this.scratch.subarray(start, end), start);
+
+        // Every child is added before any of them splits, so siblings stay side by side
+        const quarter = this.halfSize[node] / 2;
+        const depth = this.depth[node] + 1;
+        const first = this.nodeCount;
+        let childStart = start;
+        for (let o = 0; o < 8; o++) {
+            if (tally[o] === 0) continue;
+            this.addNode(x + (o & 4 ? quarter : -quarter), y + (o & 2 ? quarter : -quarter), z + (o & 1 ? quarter : -quarter),
+                quarter, depth, childStart, tally[o]);
+            childStart += tally[o];
+        }
+        this.firstChild[node] = first;
+        this.childCount[node] = this.nodeCount - first;
+        for (let child = first; child < first + this.childCount[node]; child++) {
+            if (this.overfull(child)) this.split(child);
+        }
+    }
+
+    // Masses, centers of mass and quadrupoles, children before parents. Children always
+    // come after their parent in the pool, so one backward sweep does it.
+    summarize() {
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            let mass = 0, x = 0, y = 0, z = 0;
+            const first = this.firstChild[node];
+            if (first < 0) {
+                for (let k = this.start[node]; k < this.start[node] + this.count[node]; k++) {
+                    const m = this.bodyMass[k];
+                    mass += m;
+                    x += m * this.bodyX[k];
+                    y += m * this.bodyY[k];
+                    z += m * this.bodyZ[k];
+                }
+            } else {
+                for (let child = first; child < first + this.childCount[node]; child++) {
+                    const m = this.mass[child];
+                    mass += m;
+                    x += m * this.comX[child];
+                    y += m * this.comY[child];
+                    z += m * this.comZ[child];
+                }
+            }
+            this.mass[node] = mass;
+            if (mass > 0) {
+                this.comX[node] = x / mass;
+                this.comY[node] = y / mass;
+                this.comZ[node] = z / mass;
+            }
+            if (this.withQuadrupoles) this.summarizeQuadrupole(node);
+        }
+    }
+
+    // Sum of the bodies' moments about com, or of the children's shifted to it (parallel axis theorem)
+    summarizeQuadrupole(node) {
+        const q = this.quadrupoles;
+        const o = 6 * node;
+        q.fill(0, o, o + 6);
+        const cx = this.comX[node], cy = this.comY[node], cz = this.comZ[node];
+        const addPoint = (m, px, py, pz) => {
+            const dx = px - cx, dy = py - cy, dz = pz - cz;
+            const r2 = dx * dx + dy * dy + dz * dz;
+            q[o] += m * (3 * dx * dx - r2);
+            q[o + 1] += m * (3 * dy * dy - r2);
+            q[o + 2] += m * (3 * dz * dz - r2);
+            q[o + 3] += m * 3 * dx * dy;
+            q[o + 4] += m * 3 * dx * dz;
+            q[o + 5] += m * 3 * dy * dz;
+        };
+        const first = this.firstChild[node];
+        if (first < 0) {
+            for (let k = this.start[node]; k < this.start[node] + this.count[node]; k++) {
+                addPoint(this.bodyMass[k], this.bodyX[k], this.bodyY[k], this.bodyZ[k]);
+            }
+            return;
+        }
+        for (let child = first; child < first + this.childCount[node]; child++) {
+            if (this.mass[child] === 0) continue;
+            addPoint(this.mass[child], this.comX[child], this.comY[child], this.comZ[child]);
+            for (let i = 0; i < 6; i++) q[o + i] += q[6 * child + i];
+        }
+    }
+
+    clear() {
+        this.bodies = [];
+        this.sorted.length = 0;
+        this.nodeCount = 0;
+        this.addNode(0, 0, 0, this.worldSize / 2, 0, 0, 0);
+    }
+
+    // Whether a node at `distance` from (x, y, z) is far enough to stand in for its
+    // bodies, as in Octree; in a periodic box, one that straddles the minimum-image
+    // faces at ±period/2 is always opened
+    approximates(node, distance, theta, x, y, z) {
+        return (this.halfSize[node] / distance) < theta && !(this.period && this.straddles(node, x, y, z));
+    }
+
+    straddles(node, x, y, z) {
+        const period = this.period;
+        const limit = period / 2 - this.halfSize[node];
+        const dx = this.centerX[node] - x, dy = this.centerY[node] - y, dz = this.centerZ[node] - z;
+        return Math.abs(dx - period * Math.round(dx / period)) >= limit ||
+            Math.abs(dy - period * Math.round(dy / period)) >= limit ||
+            Math.abs(dz - period * Math.round(dz / period)) >= limit;
+    }
+
+    // Gravitational acceleration at (x, y, z) from every body but `body`, left in
+    // this.acceleration
+    accelerate(body, x, y, z, theta) {
+        const G = this.gravityConstant;
+        const softening = this.softening;
+        const eps = this.softeningLength;
+        const period = this.period;
+        const quadrupoles = this.withQuadrupoles ? this.quadrupoles : null;
+        const { stack, sorted, bodyX, bodyY, bodyZ, bodyMass, mass, comX, comY, comZ, firstChild, childCount, start, count } = this;
+        let ax = 0, ay = 0, az = 0;
+        let top = 0;
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const first = firstChild[node];
+            if (first < 0) {
+                for (let k = start[node]; k < start[node] + count[node]; k++) {
+                    if (sorted[k] === body) continue;
+                    let dx = bodyX[k] - x, dy = bodyY[k] - y, dz = bodyZ[k] - z;
+                    if (period) {
+                        dx -= period * Math.round(dx / period);
+                        dy -= period * Math.round(dy / period);
+                        dz -= period * Math.round(dz / period);
+                    }
+                    const s = G * bodyMass[k] * forceKernel(softening, dx * dx + dy * dy + dz * dz, eps);
+                    ax += dx * s;
+                    ay += dy * s;
+                    az += dz * s;
+                }
+                continue;
+            }
+            let dx = comX[node] - x, dy = comY[node] - y, dz = comZ[node] - z;
+            if (period) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            const r2 = dx * dx + dy * dy + dz * dz;
+            if (this.approximates(node, Math.sqrt(r2), theta, x, y, z)) {
+                const s = G * mass[node] * forceKernel(softening, r2, eps);
+                ax += dx * s;
+                ay += dy * s;
+                az += dz * s;
+                if (quadrupoles) {
+                    // G*(Q r / r^5 - 5/2 (r.Q.r) r / r^7), with r from the com to the point
+                    const o = 6 * node;
+                    const rx = -dx, ry = -dy, rz = -dz;
+                    const qx = quadrupoles[o] * rx + quadrupoles[o + 3] * ry + quadrupoles[o + 4] * rz;
+                    const qy = quadrupoles[o + 3] * rx + quadrupoles[o + 1] * ry + quadrupoles[o + 5] * rz;
+                    const qz = quadrupoles[o + 4] * rx + quadrupoles[o + 5] * ry + quadrupoles[o + 2] * rz;
+                    const rQr = rx * qx + ry * qy + rz * qz;
+                    const r5 = r2 * r2 * Math.sqrt(r2);
+                    const radial = 2.5 * rQr / (r5 * r2);
+                    ax += G * (qx / r5 - radial * rx);
+                    ay += G * (qy / r5 - radial * ry);
+                    az += G * (qz / r5 - radial * rz);
+                }
+                continue;
+            }
+            // Pushed last to first, so they are walked in order
+            for (let child = first + childCount[node] - 1; child >= first; child--) stack[top++] = child;
+        }
+        this.acceleration[0] = ax;
+        this.acceleration[1] = ay;
+        this.acceleration[2] = az;
+    }
+
+    calculateGravity(body, theta = this.theta) {
+        const p = body.position;
+        this.accelerate(body, p.x, p.y, p.z, theta);
+        const a = this.acceleration;
+        return new CANNON.Vec3(a[0] * body.mass, a[1] * body.mass, a[2] * body.mass);
+    }
+
+    // Acceleration of every body of the last build(), packed as x, y, z triplets in
+    // `out` in the order they were passed. Returns the largest magnitude.
+    accelerations(out, theta = this.theta) {
+        let maxAcceleration = 0;
+        const a = this.acceleration;
+        const store = (i) => {
+            out[3 * i] = a[0];
+            out[3 * i + 1] = a[1];
+            out[3 * i + 2] = a[2];
+            maxAcceleration = Math.max(maxAcceleration, Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]));
+        };
+        // In tree order, so consecutive walks open mostly the same nodes
+        for (let k = 0; k < this.sorted.length; k++) {
+            this.accelerate(this.sorted[k], this.bodyX[k], this.bodyY[k], this.bodyZ[k], theta);
+            store(this.index[k]);
+        }
+        if (this.sorted.length < this.bodies.length) {
+            // Bodies left out of the tree still get the (non-finite) result of a walk
+            this.bodies.forEach((body, i) => {
+                if (this.slot[i] !== -1) return;
+                this.accelerate(body, body.position.x, body.position.y, body.position.z, theta);
+                store(i);
+            });
+        }
+        return maxAcceleration;
+    }
+
+    // Like accelerations(), for just the bodies at `indices` into the built array
+    accelerationsOf(indices, out, theta = this.theta) {
+        const a = this.acceleration;
+        indices.forEach(i => {
+            const k = this.slot[i];
+            if (k !== -1) {
+                this.accelerate(this.sorted[k], this.bodyX[k], this.bodyY[k], this.bodyZ[k], theta);
+            } else {
+                const p = this.bodies[i].position;
+                this.accelerate(this.bodies[i], p.x, p.y, p.z, theta);
+            }
+            out[3 * i] = a[0];
+            out[3 * i + 1] = a[1];
+            out[3 * i + 2] = a[2];
+        });
+    }
+
+    calculatePotential(body, theta = this.theta) {
+        // Potential energy of the body in the field of every other body
+        const G = this.gravityConstant;
+        const softening = this.softening;
+        const eps = this.softeningLength;
+        const period = this.period;
+        const quadrupoles = this.withQuadrupoles ? this.quadrupoles : null;
+        const { stack, sorted, bodyX, bodyY, bodyZ, bodyMass, mass, comX, comY, comZ, firstChild, childCount, start, count } = this;
+        const { x, y, z } = body.position;
+        let potential = 0;
+        let top = 0;
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const first = firstChild[node];
+            if (first < 0) {
+                for (let k = start[node]; k < start[node] + count[node]; k++) {
+                    if (sorted[k] === body) continue;
+                    let dx = bodyX[k] - x, dy = bodyY[k] - y, dz = bodyZ[k] - z;
+                    if (period) {
+                        dx -= period * Math.round(dx / period);
+                        dy -= period * Math.round(dy / period);
+                        dz -= period * Math.round(dz / period);
+                    }
+                    potential -= G * bodyMass[k] * potentialKernel(softening, dx * dx + dy * dy + dz * dz, eps);
+                }
+                continue;
+            }
+            let dx = x - comX[node], dy = y - comY[node], dz = z - comZ[node];
+            if (period) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const r = Math.sqrt(r2);
+            if (this.approximates(node, r, theta, x, y, z)) {
+                potential -= G * mass[node] * potentialKernel(softening, r2, eps);
+                if (quadrupoles) {
+                    // -G*(r.Q.r) / (2 r^5)
+                    const o = 6 * node;
+                    const rQr = quadrupoles[o] * dx * dx + quadrupoles[o + 1] * dy * dy + quadrupoles[o + 2] * dz * dz +
+                        2 * (quadrupoles[o + 3] * dx * dy + quadrupoles[o + 4] * dx * dz + quadrupoles[o + 5] * dy * dz);
+                    potential -= G * rQr / (2 * r2 * r2 * r);
+                }
+                continue;
+            }
+            for (let child = first + childCount[node] - 1; child >= first; child--) stack[top++] = child;
+        }
+        return potential * body.mass;
+    }
+
+    // Calls callback(node, depth) for every node, parents before children. Nodes are
+    // passed as { center, halfSize, mass, isLeaf } like Octree's.
+    forEachNode(callback) {
+        // Its own stack, so the callback may walk the tree too
+        const stack = new Int32Array(this.stack.length);
+        let top = 0;
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const first = this.firstChild[node];
+            callback({
+                center: { x: this.centerX[node], y: this.centerY[node], z: this.centerZ[node] },
+                halfSize: this.halfSize[node],
+                mass: this.mass[node],
+                isLeaf: first < 0,
+            }, this.depth[node]);
+            for (let child = first + this.childCount[node] - 1; child >= first; child--) stack[top++] = child;
+        }
+    }
+
+    // Shape of the tree and the cost of a force pass, as in Octree.statistics. Empty
+    // octants are never stored, so only an empty root counts as an empty leaf.
+    statistics(theta = this.theta) {
+        const stats = {
+            depth: 0,
+            nodes: this.nodeCount,
+            leaves: 0,
+            emptyLeaves: 0,
+            bodies: this.sorted.length,
+            meanBodiesPerLeaf: 0, // Over the leaves that hold any
+            maxBodiesPerLeaf: 0,
+            interactionsPerEvaluation: 0,
+        };
+        for (let node = 0; node < this.nodeCount; node++) {
+            stats.depth = Math.max(stats.depth, this.depth[node]);
+            if (this.firstChild[node] >= 0) continue;
+            stats.leaves++;
+            if (this.count[node] === 0) stats.emptyLeaves++;
+            stats.maxBodiesPerLeaf = Math.max(stats.maxBodiesPerLeaf, this.count[node]);
+        }
+        const occupied = stats.leaves - stats.emptyLeaves;
+        stats.meanBodiesPerLeaf = occupied > 0 ? stats.bodies / occupied : 0;
+
+        let interactions = 0;
+        for (let k = 0; k < this.sorted.length; k++) interactions += this.countInteractions(k, theta);
+        stats.interactionsPerEvaluation = stats.bodies > 0 ? interactions / stats.bodies : 0;
+        return stats;
+    }
+
+    // Walks the tree like accelerate() for the body in slot k, counting instead of summing
+    countInteractions(k, theta) {
+        const stack = this.stack;
+        const x = this.bodyX[k], y = this.bodyY[k], z = this.bodyZ[k];
+        const period = this.period;
+        let interactions = 0;
+        let top = 0;
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            const first = this.firstChild[node];
+            if (first < 0) {
+                // Every body of the leaf but k itself
+                const inside = k >= this.start[node] && k < this.start[node] + this.count[node];
+                interactions += this.count[node] - (inside ? 1 : 0);
+                continue;
+            }
+            let dx = this.comX[node] - x, dy = this.comY[node] - y, dz = this.comZ[node] - z;
+            if (period) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            if (this.approximates(node, Math.sqrt(dx * dx + dy * dy + dz * dz), theta, x, y, z)) {
+                interactions++;
+                continue;
+            }
+            for (let child = first + this.childCount[node] - 1; child >= first; child--) stack[top++] = child;
+        }
+        return interactions;
+    }
+
+    // Bodies within `radius` of `point`, by minimum image in a periodic box, appended to `result`
+    queryRadius(point, radius, result = []) {
+        const radiusSquared = radius * radius;
+        const period = this.period;
+        const stack = this.stack;
+        let top = 0;
+        stack[top++] = 0;
+        while (top > 0) {
+            const node = stack[--top];
+            // Skip nodes whose cube lies entirely out of reach, of every image in a periodic box
+            const halfSize = this.halfSize[node];
+            let cx = this.centerX[node] - point.x, cy = this.centerY[node] - point.y, cz = this.centerZ[node] - point.z;
+            if (period) {
+                cx -= period * Math.round(cx / period);
+                cy -= period * Math.round(cy / period);
+                cz -= period * Math.round(cz / period);
+            }
+            const dx = Math.max(Math.abs(cx) - halfSize, 0);
+            const dy = Math.max(Math.abs(cy) - halfSize, 0);
+            const dz = Math.max(Math.abs(cz) - halfSize, 0);
+            if (dx * dx + dy * dy + dz * dz > radiusSquared) continue;
+
+            const first = this.firstChild[node];
+            if (first < 0) {
+                for (let k = this.start[node]; k < this.start[node] + this.count[node]; k++) {
+                    let ex = this.bodyX[k] - point.x, ey = this.bodyY[k] - point.y, ez = this.bodyZ[k] - point.z;
+                    if (period) {
+                        ex -= period * Math.round(ex / period);
+                        ey -= period * Math.round(ey / period);
+                        ez -= period * Math.round(ez / period);
+                    }
+                    if (ex * ex + ey * ey + ez * ez <= radiusSquared) result.push(this.sorted[k]);
+                }
+                continue;
+            }
+            for (let child = first + this.childCount[node] - 1; child >= first; child--) stack[top++] = child;
+        }
+        return result;
+    }
+}
+
+export default FlatOctree;
@@ -0,0 +1,170 @@
+import CANNON from 'cannon';
+
+// Fragmentation: collisions energetic enough to overcome the material strength
+// shatter both crystals into a spray of smaller ones.
+//
+// The specific impact energy is Q = 0.5 * mu * v^2 / M, with mu the reduced mass and
+// M the total mass of the pair. Above the strength Q* the pair is replaced by
+// fragments: a largest remnant of M * (1 - Q / 2Q*) (Leinhardt & Stewart 2012,
+// with the 1.8 Q* power-law tail), then masses falling off as k^-exponent. Fragments
+// smaller than a crystal of base radius `minFragmentRadius` (and twice that height)
+// are folded into the largest remnant, and a pair that would leave fewer than two
+// fragments just bounces; this keeps impacts from grinding bodies down without
+// limit. Fragments are new crystals from Simulation.addCrystal, spread over a
+// sphere around the pair's center of mass and moving outward from it. Mass,
+// momentum and the center of mass are conserved; `ejectaEfficiency` of the impact
+// energy goes into the fragments' motion. Like accretion, impacts come from
+// cannon's contact detection.
+
+// Fibonacci-sphere directions: evenly spread, so neighboring fragments don't overlap
+function sphereDirections(n) {
+    const directions = [];
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    for (let i = 0; i < n; i++) {
+        const y = n > 1 ? 1 - (2 * i + 1) / n : 0;
+        const ring = Math.sqrt(1 - y * y);
+        directions.push(new CANNON.Vec3(Math.cos(golden * i) * ring, y, Math.sin(golden * i) * ring));
+    }
+    return directions;
+}
+
+class Fragmentation {
+    constructor(simulation, { strength = 200, maxFragments = 8, exponent = 1.5, minFragmentRadius = 1.5, ejectaEfficiency = 0.2 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.strength = strength; // Q*, J/kg
+        this.maxFragments = maxFragments;
+        this.exponent = exponent; // Fragment k has mass proportional to k^-exponent
+        this.minFragmentRadius = minFragmentRadius; // The smallest crystals addCrystals generates by default
+        this.ejectaEfficiency = ejectaEfficiency; // Fraction of the impact energy given to the fragments
+        this.pending = []; // Pairs to shatter after the current step
+        this.fragmentationCount = 0; // Shattering impacts since the last restart
+
+        // Every body added to the world reports its impacts
+        const onCollide = (event) => this.onCollide(event.target, event.body);
+        simulation.world.addEventListener('addBody', (event) => {
+            event.body.addEventListener('collide', onCollide);
+        });
+    }
+
+    reset() {
+        this.pending = [];
+        this.fragmentationCount = 0;
+    }
+
+    specificImpactEnergy(a, b) {
+        const mass = a.mass + b.mass;
+        const reducedMass = a.mass * b.mass / mass;
+        return 0.5 * reducedMass * a.velocity.distanceSquared(b.velocity) / mass;
+    }
+
+    onCollide(a, b) {
+        // Both bodies report the same impact; handle it once
+        if (!this.enabled || a.id > b.id || !a.crystal || !b.crystal) return;
+        const energy = this.specificImpactEnergy(a, b);
+        if (energy > this.strength) {
+            this.pending.push({ a, b, energy });
+        }
+    }
+
+    // Fragment masses, largest first, summing to `mass`
+    fragmentMasses(mass, density, energy) {
+        const ratio = energy / this.strength;
+        const largest = ratio < 1.8 ? mass * (1 - ratio / 2) : mass * (0.1 / Math.pow(1.8, -1.5)) * Math.pow(ratio, -1.5);
+
+        const weights = [];
+        for (let k = 1; k <= this.maxFragments; k++) weights.push(Math.pow(k, -this.exponent));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        // With too few fragments to hold the rest below the remnant, the whole pair follows the power law
+        let masses = weights.map(w => mass * w / totalWeight);
+        if (largest >= masses[0]) {
+            const remaining = mass - largest;
+            masses = [largest, ...weights.slice(1).map(w => remaining * w / (totalWeight - weights[0]))];
+        }
+
+        // Fold fragments below the minimum into the largest remnant
+        const minimum = density * Math.PI * 2 * Math.pow(this.minFragmentRadius, 3);
+        const kept = masses.filter((m, i) => i === 0 || m >= minimum);
+        kept[0] += mass - kept.reduce((sum, m) => sum + m, 0);
+        return kept;
+    }
+
+    // Shatter the pairs collected during the step. Returns the new fragments.
+    applyFragmentations() {
+        if (this.pending.length === 0) return [];
+        const impacts = this.pending;
+        this.pending = [];
+
+        const fragments = [];
+        impacts.forEach(({ a, b, energy }) => {
+            // Either body may already have shattered in another impact this step
+            if (!a.world || !b.world) return;
+            const pieces = this.shatter(a, b, energy);
+            if (pieces.length === 0) return;
+            fragments.push(...pieces);
+            this.fragmentationCount++;
+        });
+        return fragments;
+    }
+
+    shatter(a, b, energy) {
+        const simulation = this.simulation;
+        const random = simulation.random;
+        const mass = a.mass + b.mass;
+        const volume = [a, b].reduce((sum, body) => sum + Math.PI * body.crystal.baseRadius * body.crystal.baseRadius * body.crystal.height, 0);
+        const density = mass / volume;
+        const masses = this.fragmentMasses(mass, density, energy);
+        const n = masses.length;
+        if (n < 2) return [];
+
+        const centerOfMass = a.position.scale(a.mass / mass).vadd(b.position.scale(b.mass / mass));
+        const velocity = a.velocity.scale(a.mass / mass).vadd(b.velocity.scale(b.mass / mass));
+
+        // Shapes drawn like addCrystals' and sized to each fragment's mass
+        const shapes = masses.map(m => {
+            const aspect = 1 + random() * 2; // Height is 1 to 3 times the base radius
+            const baseRadius = Math.cbrt(m / (density * Math.PI * aspect));
+            return { baseRadius, height: aspect * baseRadius, radialSegments: Math.floor(3 + random() * 5) };
+        });
+
+        // A randomly turned Fibonacci sphere, wide enough for the fragments to start apart
+        const turn = new CANNON.Quaternion();
+        turn.setFromEuler(random() * 2 * Math.PI, random() * 2 * Math.PI, random() * 2 * Math.PI);
+        const directions = sphereDirections(n).map(direction => turn.vmult(direction));
+        const largestExtent = Math.max(...shapes.map(s => Math.hypot(s.baseRadius, s.baseRadius, s.height / 2)));
+        const pairRadius = Math.cbrt(3 * volume / (4 * Math.PI));
+        const spread = Math.max(pairRadius, 2.2 * largestExtent * Math.sqrt(n / (4 * Math.PI)));
+
+        // Outward velocities with zero net momentum, scaled to the ejecta energy
+        const speeds = masses.map(() => 0.5 + random());
+        const ejecta = directions.map((direction, i) => direction.scale(speeds[i]));
+        const offsets = directions.map(direction => direction.scale(spread));
+        const meanEjecta = new CANNON.Vec3();
+        const meanOffset = new CANNON.Vec3();
+        masses.forEach((m, i) => {
+            meanEjecta.vadd(ejecta[i].scale(m / mass), meanEjecta);
+            meanOffset.vadd(offsets[i].scale(m / mass), meanOffset);
+        });
+        ejecta.forEach(v => v.vsub(meanEjecta, v));
+        offsets.forEach(o => o.vsub(meanOffset, o));
+
+        const ejectaEnergy = masses.reduce((sum, m, i) => sum + 0.5 * m * ejecta[i].norm2(), 0);
+        const impactEnergy = energy * mass; // 0.5 * mu * v^2
+        const scale = ejectaEnergy > 0 ? Math.sqrt(this.ejectaEfficiency * impactEnergy / ejectaEnergy) : 0;
+
+        simulation.removeBody(a);
+        simulation.removeBody(b);
+        return shapes.map((shape, i) => simulation.addCrystal(
+            shape.baseRadius,
+            shape.height,
+            shape.radialSegments,
+            centerOfMass.vadd(offsets[i]),
+            simulation.generateRandomOrientation(),
+            density,
+            velocity.vadd(ejecta[i].scale(scale))
+        ));
+    }
+}
+
+export default Fragmentation;
@@ -0,0 +1,356 @@
+// Command-line runner for the Simulation engine, no browser or Three.js needed.
+//
+//   npm run headless -- --bodies 200 --steps 600 --report 60 --seed 42
+//   npm run headless -- --snapshot start.json --steps 600 --save end.json
+//   npm run headless -- --bodies 200 --diagnostics --softening plummer --softening-length 2 --theta 0.3 --quadrupole
+//   npm run headless -- --integrator leapfrog --timestep-mode block --collisionless --diagnostics
+//   npm run headless -- --accretion escape --accretion-threshold 2 --velocity 2
+//   npm run headless -- --fragmentation --strength 50 --accretion escape
+//   npm run headless -- --initial plummer --ic scaleRadius=0.1 --ic virialRatio=0.5 --diagnostics
+//   npm run headless -- --initial disk --ic centralMassRatio=0 --attractor '{"mass":1e10,"radius":8}'
+//   npm run headless -- --log run --log-channels global,events --log-interval 10 --log-format csv
+//   npm run headless -- --initial collidingClusters --clumps --linking-factor 0.2 --min-members 5
+//   npm run headless -- --initial disk --orbits massive
+//   npm run headless -- --tree --max-bodies-per-node 4 --tree-type object
+//   npm run headless -- --boundary open --escape-radius 2000
+//
+import { appendFileSync, readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { performance } from 'node:perf_hooks';
+import Simulation from './sim.js';
+import { randomSeed } from './utils/random.js';
+import { createSnapshot, parseSnapshot, restoreSnapshot, readSettings, mergeSettings, validateSettings } from './snapshot.js';
+import { INITIAL_CONDITIONS } from './initialConditions.js';
+import { createAttractor } from './attractors.js';
+import { LOG_CHANNELS, LOG_FORMATS } from './dataLogger.js';
+import { ORBIT_REFERENCES, createOrbitReference, bodyOrbit } from './orbits.js';
+import { BOUNDARY_MODES } from './boundary.js';
+import { TREE_TYPES } from './octree.js';
+import { INTEGRATORS, TIMESTEP_MODES } from './integrators.js';
+import { SOFTENING_KERNELS } from './softening.js';
+import { ACCRETION_CRITERIA } from './accretion.js';
+
+const USAGE = `Usage: npm run headless -- [options]
+
+  --bodies <n>                 Crystals to generate (850)
+  --world-size <m>             Edge of the world cube (450)
+  --velocity <m/s>             Spread of the initial velocities (20)
+  --gravity <G>                Gravity constant, scaled as in the GUI (6.67430)
+  --steps <n>                  Steps to run (600)
+  --dt <s>                     Timestep
+  --report <n>                 Print progress every n steps, 0 for none (60)
+  --seed <n>                   Random seed; a fresh one is picked without it
+  --snapshot <file>            Start from a saved snapshot
+  --save <file>                Save a snapshot at the end
+  --diagnostics                Report energy, momentum and their drift
+  --theta <θ>                  Opening angle of the tree
+  --softening <kernel>         ${SOFTENING_KERNELS.join(', ')}
+  --softening-length <m>       Softening length
+  --quadrupole                 Add quadrupole moments to the tree
+  --max-bodies-per-node <n>    Bodies a leaf holds before it splits
+  --tree-type <type>           ${TREE_TYPES.join(', ')}
+  --tree                       Report the tree's shape and cost
+  --integrator <name>          ${INTEGRATORS.join(', ')}
+  --timestep-mode <mode>       ${TIMESTEP_MODES.join(', ')}
+  --eta <η>                    Timestep accuracy of adaptive and block steps
+  --collisionless              Turn contacts off
+  --accretion <criterion>      Merge on contact: ${ACCRETION_CRITERIA.join(', ')}
+  --accretion-threshold <x>    Speed for velocity, escape-velocity multiple for escape
+  --fragmentation              Shatter in violent impacts
+  --strength <J/kg>            Specific impact energy that shatters a crystal
+  --boundary <mode>            ${BOUNDARY_MODES.join(', ')}
+  --escape-radius <m>          Distance at which the open boundary removes a body
+  --initial <name>             ${INITIAL_CONDITIONS.join(', ')}
+  --ic <key=value>             Initial-condition parameter, repeatable
+  --attractor <json>           Attractor in the snapshot settings format, repeatable
+  --clumps                     Report bound clumps
+  --linking-factor <b>         Friends-of-friends linking length over the mean spacing
+  --min-members <n>            Smallest clump
+  --orbits <reference>         Report orbits about ${ORBIT_REFERENCES.join(', ')}
+  --primary <id>               Body id for --orbits body
+  --log <prefix>               Log data to <prefix>-<channel> files
+  --log-format <format>        ${LOG_FORMATS.join(', ')} (csv)
+  --log-channels <list>        Comma-separated ${LOG_CHANNELS.join(', ')} (global)
+  --log-interval <n>           Log every n steps (10)
+  -h, --help                   Print this help`;
+
+const OPTIONS = {
+    help: { type: 'boolean', short: 'h', default: false },
+    bodies: { type: 'string', default: '850' },
+    'world-size': { type: 'string', default: '450' },
+    velocity: { type: 'string', default: '20' },
+    gravity: { type: 'string', default: '6.67430' },
+    steps: { type: 'string', default: '600' },
+    dt: { type: 'string' },
+    report: { type: 'string', default: '60' },
+    seed: { type: 'string' },
+    snapshot: { type: 'string' },
+    save: { type: 'string' },
+    diagnostics: { type: 'boolean', default: false },
+    theta: { type: 'string' },
+    softening: { type: 'string' },
+    'softening-length': { type: 'string' },
+    quadrupole: { type: 'boolean' },
+    'max-bodies-per-node': { type: 'string' },
+    'tree-type': { type: 'string' },
+    tree: { type: 'boolean', default: false },
+    integrator: { type: 'string' },
+    'timestep-mode': { type: 'string' },
+    eta: { type: 'string' },
+    collisionless: { type: 'boolean' },
+    accretion: { type: 'string' },
+    'accretion-threshold': { type: 'string' },
+    fragmentation: { type: 'boolean' },
+    strength: { type: 'string' },
+    boundary: { type: 'string' },
+    'escape-radius': { type: 'string' },
+    initial: { type: 'string' },
+    ic: { type: 'string', multiple: true, default: [] },
+    attractor: { type: 'string', multiple: true, default: [] },
+    clumps: { type: 'boolean', default: false },
+    'linking-factor': { type: 'string' },
+    'min-members': { type: 'string' },
+    orbits: { type: 'string' },
+    primary: { type: 'string' },
+    log: { type: 'string' },
+    'log-format': { type: 'string', default: 'csv' },
+    'log-channels': { type: 'string', default: 'global' },
+    'log-interval': { type: 'string', default: '10' },
+};
+
+// Print what was wrong with the command line and the usage, and exit
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+let parsed;
+try {
+    parsed = parseArgs({ options: OPTIONS });
+} catch (error) {
+    // Unknown flags, missing values and stray arguments
+    if (!error.code?.startsWith('ERR_PARSE_ARGS')) throw error;
+    fail(error.message);
+}
+const args = parsed.values;
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// The value of --<name> as a number, or undefined without the flag
+function numberOption(name, { min = -Infinity, integer = false } = {}) {
+    const text = args[name];
+    if (text === undefined) return undefined;
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value)) fail(`--${name} must be a number, got '${text}'`);
+    if (value < min) fail(`--${name} must be at least ${min}, got ${value}`);
+    if (integer && !Number.isInteger(value)) fail(`--${name} must be an integer, got ${value}`);
+    return value;
+}
+
+// The value of --<name>, which must be one of `values`, or undefined without the flag
+function choiceOption(name, values) {
+    const value = args[name];
+    if (value !== undefined && !values.includes(value)) fail(`--${name} must be one of ${values.join(', ')}`);
+    return value;
+}
+
+const steps = numberOption('steps', { min: 0, integer: true });
+const reportEvery = numberOption('report', { min: 0, integer: true });
+const velocity = numberOption('velocity', { min: 0 });
+const seed = numberOption('seed', { min: 0, integer: true }) ?? randomSeed();
+const options = {
+    dt: numberOption('dt', { min: 0 }),
+    theta: numberOption('theta', { min: 0 }),
+    softening: choiceOption('softening', SOFTENING_KERNELS),
+    softeningLength: numberOption('softening-length', { min: 0 }),
+    maxBodiesPerNode: numberOption('max-bodies-per-node', { min: 1, integer: true }),
+    treeType: choiceOption('tree-type', TREE_TYPES),
+    integrator: choiceOption('integrator', INTEGRATORS),
+    timestepMode: choiceOption('timestep-mode', TIMESTEP_MODES),
+    eta: numberOption('eta', { min: 0 }),
+    accretion: choiceOption('accretion', ACCRETION_CRITERIA),
+    accretionThreshold: numberOption('accretion-threshold', { min: 0 }),
+    strength: numberOption('strength', { min: 0 }),
+    boundary: choiceOption('boundary', BOUNDARY_MODES),
+    escapeRadius: numberOption('escape-radius', { min: 0 }),
+    initial: choiceOption('initial', INITIAL_CONDITIONS),
+    linkingFactor: numberOption('linking-factor', { min: 0 }),
+    minMembers: numberOption('min-members', { min: 1, integer: true }),
+    orbits: choiceOption('orbits', ORBIT_REFERENCES),
+    primary: numberOption('primary', { min: 0, integer: true }),
+    logFormat: choiceOption('log-format', LOG_FORMATS),
+    logInterval: numberOption('log-interval', { min: 1, integer: true }),
+};
+const logChannels = args['log-channels'].split(',');
+logChannels.forEach(channel => {
+    if (!LOG_CHANNELS.includes(channel)) fail(`--log-channels must be a list of ${LOG_CHANNELS.join(', ')}`);
+});
+
+// Same scaling of the gravity constant as the GUI
+const simulation = new Simulation(
+    numberOption('gravity', { min: 0 }) * 10e-6,
+    numberOption('bodies', { min: 0, integer: true }),
+    numberOption('world-size', { min: 0 }),
+    velocity, velocity, velocity, seed
+);
+if (args.snapshot) {
+    // Snapshot settings (G, world size, timestep, seed) take precedence over the flags
+    restoreSnapshot(simulation, parseSnapshot(readFileSync(args.snapshot, 'utf8')));
+}
+if (options.dt !== undefined) simulation.timestep = options.dt;
+if (options.theta !== undefined) simulation.octree.theta = options.theta;
+if (options.softening !== undefined) simulation.octree.softening = options.softening;
+if (options.softeningLength !== undefined) simulation.octree.softeningLength = options.softeningLength;
+if (args.quadrupole !== undefined) simulation.octree.quadrupole = args.quadrupole;
+if (options.treeType !== undefined) simulation.setTreeType(options.treeType);
+if (options.maxBodiesPerNode !== undefined) simulation.octree.maxBodiesPerNode = options.maxBodiesPerNode;
+if (options.integrator !== undefined) simulation.setIntegrator(options.integrator);
+if (options.timestepMode !== undefined) simulation.timestepMode = options.timestepMode;
+if (options.eta !== undefined) simulation.timestepAccuracy = options.eta;
+if (args.collisionless) simulation.contacts = false;
+if (options.accretion !== undefined) {
+    // The threshold is a speed for 'velocity' and a multiple of the escape velocity for 'escape'
+    simulation.accretion.enabled = true;
+    simulation.accretion.criterion = options.accretion;
+    const threshold = options.accretionThreshold;
+    if (threshold !== undefined && options.accretion === 'velocity') simulation.accretion.velocityThreshold = threshold;
+    if (threshold !== undefined && options.accretion === 'escape') simulation.accretion.escapeFactor = threshold;
+}
+if (args.fragmentation) simulation.fragmentation.enabled = true;
+if (options.strength !== undefined) simulation.fragmentation.strength = options.strength;
+if (options.boundary !== undefined) simulation.boundary.mode = options.boundary;
+if (options.escapeRadius !== undefined) simulation.boundary.escapeRadius = options.escapeRadius;
+if (options.initial !== undefined || args.ic.length > 0 || args.attractor.length > 0) {
+    // Regenerate the bodies with the chosen generator; --ic key=value sets its parameters,
+    // and each --attractor is a JSON description in the snapshot settings format
+    const name = options.initial ?? simulation.initialConditions;
+    simulation.initialConditions = name;
+    const parameters = simulation.initialConditionParameters[name];
+    args.ic.forEach(pair => {
+        const [key, text, ...rest] = pair.split('=');
+        const value = Number(text);
+        if (!(key in parameters)) fail(`--ic ${key}: ${name} takes ${Object.keys(parameters).join(', ') || 'no parameters'}`);
+        if (rest.length > 0 || text === undefined || text.trim() === '' || !Number.isFinite(value)) fail(`--ic ${key} must be a number, got '${pair}'`);
+        parameters[key] = value;
+    });
+    const attractors = args.attractor.map(text => {
+        try {
+            return createAttractor(JSON.parse(text));
+        } catch (error) {
+            fail(`--attractor ${text}: ${error.message}`);
+        }
+    });
+    try {
+        validateSettings(mergeSettings(readSettings(simulation), { attractors: [...simulation.attractors, ...attractors] }));
+    } catch (error) {
+        fail(`--attractor: ${error.message}`);
+    }
+    simulation.attractors.push(...attractors);
+    simulation.restart();
+}
+if (args.log !== undefined) {
+    // Rows are appended to <prefix>-<file> as they are logged, e.g. run-global.csv
+    const written = new Set();
+    const logger = simulation.logger;
+    logger.enabled = true;
+    logger.interval = options.logInterval;
+    logger.format = options.logFormat;
+    logger.channels = logChannels;
+    logger.sink = (file, text) => {
+        const path = `${args.log}-${file}`;
+        // Overwrite files left by an earlier run
+        if (written.has(path)) appendFileSync(path, text);
+        else writeFileSync(path, text);
+        written.add(path);
+    };
+}
+if (options.linkingFactor !== undefined) simulation.clumps.linkingFactor = options.linkingFactor;
+if (options.minMembers !== undefined) simulation.clumps.minMembers = options.minMembers;
+simulation.diagnostics.enabled = args.diagnostics;
+simulation.diagnostics.interval = reportEvery > 0 ? reportEvery : 1;
+// Drift from the initial state, with the solver and boundary set up above
+if (args.diagnostics) simulation.diagnostics.reset();
+simulation.start();
+
+function clumpsReport(record) {
+    const largest = record.clumps[0];
+    return {
+        clumps: record.clumps.length,
+        boundFraction: record.boundFraction,
+        largestClumpMembers: largest ? largest.count : 0,
+        largestClumpMassFraction: largest ? largest.mass / record.totalMass : 0,
+    };
+}
+
+// How many bodies are on bound osculating orbits about the reference, and how eccentric
+function orbitsReport() {
+    const referenceOf = createOrbitReference(simulation, options.orbits, options.primary ?? null);
+    const bound = simulation.bodies
+        .map(body => bodyOrbit(simulation, body, referenceOf))
+        .filter(orbit => orbit && orbit.elements.bound);
+    return {
+        boundOrbits: bound.length,
+        meanEccentricity: bound.length > 0 ? bound.reduce((sum, orbit) => sum + orbit.elements.eccentricity, 0) / bound.length : null,
+    };
+}
+
+// Shape of the tree the last step was computed with, and the cost of a force pass
+function treeReport() {
+    const stats = simulation.octree.statistics();
+    return {
+        treeDepth: stats.depth,
+        treeNodes: stats.nodes,
+        meanBodiesPerLeaf: stats.meanBodiesPerLeaf,
+        maxBodiesPerLeaf: stats.maxBodiesPerLeaf,
+        interactionsPerEvaluation: stats.interactionsPerEvaluation,
+    };
+}
+
+function diagnosticsReport(record) {
+    return {
+        totalEnergy: record.totalEnergy,
+        energyDrift: record.energyDrift,
+        momentumDrift: record.momentumDrift,
+        angularMomentumDrift: record.angularMomentumDrift,
+        virialRatio: record.virialRatio,
+    };
+}
+
+const startTime = performance.now();
+for (let i = 1; i <= steps; i++) {
+    simulation.update();
+    if (reportEvery > 0 && i % reportEvery === 0) {
+        console.log(JSON.stringify({
+            step: simulation.stepCount,
+            time: simulation.time,
+            bodies: simulation.bodies.length,
+            substeps: simulation.lastSubsteps,
+            merges: simulation.accretion.mergeCount,
+            fragmentations: simulation.fragmentation.fragmentationCount,
+            escapes: simulation.boundary.escapeCount,
+            maxAcceleration: simulation.calculateMaxAcceleration(),
+            ...(args.diagnostics ? diagnosticsReport(simulation.diagnostics.latest) : {}),
+            ...(args.clumps ? clumpsReport(simulation.clumps.find()) : {}),
+            ...(options.orbits !== undefined ? orbitsReport() : {}),
+            ...(args.tree ? treeReport() : {}),
+        }));
+    }
+}
+
+console.log(JSON.stringify({
+    seed: simulation.seed,
+    steps: simulation.stepCount,
+    time: simulation.time,
+    bodies: simulation.bodies.length,
+    merges: simulation.accretion.mergeCount,
+    fragmentations: simulation.fragmentation.fragmentationCount,
+    escapes: simulation.boundary.escapeCount,
+    escapedMass: simulation.boundary.escapedMass,
+    elapsedMs: Math.round(performance.now() - startTime),
+}));
+
+if (args.save) {
+    writeFileSync(args.save, JSON.stringify(createSnapshot(simulation), null, 2));
+}
@@ -0,0 +1,308 @@
+import CANNON from 'cannon';
+import { gaussian } from './utils/random.js';
+import { attractorMassWithin } from './attractors.js';
+
+// Named initial-condition generators for Simulation.restart. Each one fills an
+// empty simulation through Simulation.addCrystal, drawing every random number
+// from the simulation's seeded generator. The simulation's own attractors are
+// placed first, and the disk orbits them too.
+//
+// Lengths in the parameters are fractions of the world radius (worldSize / 2),
+// so a setup keeps its look when the world size changes. Disks and rotation lie
+// in the horizontal x-z plane, rotating about +y.
+//
+//   cube               the original setup: uniform in a cube, random velocities
+//   disk               Keplerian disk around a central attractor
+//   plummer            Plummer sphere sampled from its distribution function
+//   hernquist          Hernquist sphere with Jeans-equation velocity dispersions
+//   rotatingCloud      uniform sphere in solid-body rotation
+//   collidingClusters  two Plummer spheres on a collision course
+//   fewBody            two attractors on a circular orbit, or the three-body figure eight
+
+const INITIAL_CONDITIONS = ['cube', 'disk', 'plummer', 'hernquist', 'rotatingCloud', 'collidingClusters', 'fewBody'];
+
+const DEFAULT_PARAMETERS = {
+    cube: {},
+    disk: {
+        centralMassRatio: 10, // Central mass over total disk mass
+        innerRadius: 0.15,
+        outerRadius: 0.9,
+        thickness: 0.02, // Vertical standard deviation
+        dispersion: 0.02, // Random velocities as a fraction of the circular speed
+    },
+    plummer: {
+        scaleRadius: 0.2,
+        virialRatio: 1, // 2K/|W| after rescaling: 1 is equilibrium, below 1 collapses
+    },
+    hernquist: {
+        scaleRadius: 0.15,
+        virialRatio: 1,
+    },
+    rotatingCloud: {
+        cloudRadius: 0.6,
+        spin: 0.5, // Equatorial speed over the circular speed at the edge
+        dispersion: 0.1, // Random velocities as a fraction of the circular speed at the edge
+    },
+    collidingClusters: {
+        scaleRadius: 0.08, // Plummer radius of each cluster
+        separation: 1, // Between the cluster centers
+        impactParameter: 0.2,
+        approachSpeed: 0.5, // Relative speed over the mutual escape speed at that separation
+    },
+    fewBody: {
+        count: 3, // 2 or 3
+        mass: 1e9, // kg per body
+        separation: 0.5, // Between the two bodies, or the figure eight's length unit
+    },
+};
+
+const DENSITY = 2000; // Same as the cube setup
+
+// Deep copy of the defaults, for a simulation to own and edit
+function defaultParameters() {
+    return JSON.parse(JSON.stringify(DEFAULT_PARAMETERS));
+}
+
+// ----------------- Helpers -----------------
+
+// A crystal at rest with a shape drawn like addCrystals'
+function addRandomCrystal(simulation, position) {
+    const random = simulation.random;
+    const baseRadius = simulation.radius * (0.5 + random());
+    const height = simulation.radius * (1 + random() * 2); // Height is 1 to 3 times the base radius
+    const radialSegments = Math.floor(3 + random() * 5); // Randomly choose between 3 and 7 sides
+    const orientation = simulation.generateRandomOrientation();
+    return simulation.addCrystal(baseRadius, height, radialSegments, position, orientation, DENSITY, new CANNON.Vec3());
+}
+
+// A free attractor at rest holding `mass`
+function addMassiveBody(simulation, position, mass, scale) {
+    return simulation.addAttractor({ mass: mass, radius: simulation.radius * scale, motion: 'free', position: position });
+}
+
+function randomDirection(random) {
+    const z = 2 * random() - 1;
+    const phi = 2 * Math.PI * random();
+    const ring = Math.sqrt(1 - z * z);
+    return new CANNON.Vec3(ring * Math.cos(phi), ring * Math.sin(phi), z);
+}
+
+function totalMass(bodies) {
+    return bodies.reduce((sum, body) => sum + body.mass, 0);
+}
+
+function centerOfMassVelocity(bodies) {
+    const momentum = new CANNON.Vec3();
+    bodies.forEach(body => momentum.vadd(body.velocity.scale(body.mass), momentum));
+    return momentum.scale(1 / totalMass(bodies));
+}
+
+// Remove the net drift and scale the velocities so that 2K/|W| equals `virialRatio`,
+// with W from the simulation's own octree (softening and crystal masses included)
+function rescaleToVirialRatio(simulation, bodies, virialRatio) {
+    const drift = centerOfMassVelocity(bodies);
+    bodies.forEach(body => body.velocity.vsub(drift, body.velocity));
+
+    simulation.rebuildOctree();
+    const kineticEnergy = bodies.reduce((sum, body) => sum + 0.5 * body.mass * body.velocity.norm2(), 0);
+    const potentialEnergy = bodies.reduce((sum, body) => sum + 0.5 * simulation.octree.calculatePotential(body), 0);
+    if (kineticEnergy <= 0 || potentialEnergy === 0) return;
+    const scale = Math.sqrt(virialRatio * Math.abs(potentialEnergy) / (2 * kineticEnergy));
+    bodies.forEach(body => body.velocity.scale(scale, body.velocity));
+}
+
+// Plummer radius from the inverted cumulative mass profile, truncated at rMax
+function plummerRadius(random, a, rMax) {
+    for (;;) {
+        const r = a / Math.sqrt(Math.pow(random(), -2 / 3) - 1);
+        if (r <= rMax) return r;
+    }
+}
+
+// Speed from the Plummer distribution function (Aarseth, Henon & Wielen 1974)
+function plummerSpeed(random, r, a, G, M) {
+    let q, g;
+    do {
+        q = random();
+        g = 0.1 * random();
+    } while (g > q * q * Math.pow(1 - q * q, 3.5));
+    return q * Math.sqrt(2 * G * M) * Math.pow(r * r + a * a, -0.25);
+}
+
+// A Plummer sphere of `count` crystals around `center`, moving with `velocity`
+function addPlummerSphere(simulation, count, a, rMax, center, velocity) {
+    const random = simulation.random;
+    const bodies = [];
+    const radii = [];
+    for (let i = 0; i < count; i++) {
+        const r = plummerRadius(random, a, rMax);
+        radii.push(r);
+        bodies.push(addRandomCrystal(simulation, center.vadd(randomDirection(random).scale(r))));
+    }
+    const M = totalMass(bodies);
+    bodies.forEach((body, i) => {
+        const speed = plummerSpeed(random, radii[i], a, simulation.gravityConstant, M);
+        body.velocity.copy(velocity.vadd(randomDirection(random).scale(speed)));
+    });
+    return bodies;
+}
+
+// ----------------- Generators -----------------
+
+const GENERATORS = {
+    cube(simulation) {
+        simulation.addCrystals(simulation.sphereCount, DENSITY);
+    },
+
+    disk(simulation, { centralMassRatio, innerRadius, outerRadius, thickness, dispersion }) {
+        const random = simulation.random;
+        const worldRadius = simulation.worldSize / 2;
+        const rIn = innerRadius * worldRadius;
+        const rOut = Math.max(outerRadius * worldRadius, rIn);
+
+        // Uniform in radius gives a surface density falling off as 1/r
+        const radii = [];
+        const angles = [];
+        const disk = [];
+        for (let i = 0; i < simulation.sphereCount; i++) {
+            const r = rIn + (rOut - rIn) * random();
+            const phi = 2 * Math.PI * random();
+            const y = thickness * worldRadius * gaussian(random);
+            radii.push(r);
+            angles.push(phi);
+            disk.push(addRandomCrystal(simulation, new CANNON.Vec3(r * Math.cos(phi), y, r * Math.sin(phi))));
+        }
+        const diskMass = totalMass(disk);
+        const centralMass = centralMassRatio * diskMass;
+        if (centralMass > 0) addMassiveBody(simulation, new CANNON.Vec3(), centralMass, 3);
+
+        // Circular speed from the attractors plus the disk mass inside each radius
+        const center = new CANNON.Vec3();
+        disk.forEach((body, i) => {
+            const r = radii[i];
+            const enclosed = rOut > rIn ? diskMass * (r - rIn) / (rOut - rIn) : 0;
+            const attractors = attractorMassWithin(simulation.bodies, center, r);
+            const circularSpeed = Math.sqrt(simulation.gravityConstant * (attractors + enclosed) / r);
+            const sigma = dispersion * circularSpeed;
+            body.velocity.set(
+                circularSpeed * Math.sin(angles[i]) + sigma * gaussian(random),
+                sigma * gaussian(random),
+                -circularSpeed * Math.cos(angles[i]) + sigma * gaussian(random)
+            );
+        });
+    },
+
+    plummer(simulation, { scaleRadius, virialRatio }) {
+        const worldRadius = simulation.worldSize / 2;
+        const bodies = addPlummerSphere(simulation, simulation.sphereCount, scaleRadius * worldRadius, worldRadius, new CANNON.Vec3(), new CANNON.Vec3());
+        rescaleToVirialRatio(simulation, bodies, virialRatio);
+    },
+
+    hernquist(simulation, { scaleRadius, virialRatio }) {
+        const random = simulation.random;
+        const worldRadius = simulation.worldSize / 2;
+        const a = scaleRadius * worldRadius;
+
+        const radii = [];
+        const bodies = [];
+        while (bodies.length < simulation.sphereCount) {
+            // Inverted cumulative mass M(r) = M r^2 / (r + a)^2, truncated at the world radius
+            const m = Math.sqrt(random());
+            const r = a * m / (1 - m);
+            if (r > worldRadius) continue;
+            radii.push(r);
+            bodies.push(addRandomCrystal(simulation, randomDirection(random).scale(r)));
+        }
+
+        // Isotropic Jeans dispersion (Hernquist 1990, eq. 10), capped below escape speed
+        const GM = simulation.gravityConstant * totalMass(bodies);
+        bodies.forEach((body, i) => {
+            const s = Math.max(radii[i] / a, 1e-6);
+            const variance = (GM / (12 * a)) * (12 * s * Math.pow(1 + s, 3) * Math.log((1 + s) / s) -
+                s / (1 + s) * (25 + 52 * s + 42 * s * s + 12 * s * s * s));
+            const sigma = Math.sqrt(Math.max(variance, 0));
+            const escapeSpeed = Math.sqrt(2 * GM / (radii[i] + a));
+            let velocity;
+            do {
+                velocity = new CANNON.Vec3(sigma * gaussian(random), sigma * gaussian(random), sigma * gaussian(random));
+            } while (velocity.norm() >= escapeSpeed);
+            body.velocity.copy(velocity);
+        });
+        rescaleToVirialRatio(simulation, bodies, virialRatio);
+    },
+
+    rotatingCloud(simulation, { cloudRadius, spin, dispersion }) {
+        const random = simulation.random;
+        const R = cloudRadius * simulation.worldSize / 2;
+        const bodies = [];
+        for (let i = 0; i < simulation.sphereCount; i++) {
+            const r = R * Math.cbrt(random());
+            bodies.push(addRandomCrystal(simulation, randomDirection(random).scale(r)));
+        }
+
+        const edgeSpeed = Math.sqrt(simulation.gravityConstant * totalMass(bodies) / R);
+        const omega = spin * edgeSpeed / R;
+        const sigma = dispersion * edgeSpeed;
+        bodies.forEach(body => {
+            const p = body.position;
+            // omega x r with omega along +y
+            body.velocity.set(
+                omega * p.z + sigma * gaussian(random),
+                sigma * gaussian(random),
+                -omega * p.x + sigma * gaussian(random)
+            );
+        });
+    },
+
+    collidingClusters(simulation, { scaleRadius, separation, impactParameter, approachSpeed }) {
+        const worldRadius = simulation.worldSize / 2;
+        const a = scaleRadius * worldRadius;
+        const d = separation * worldRadius;
+        const b = impactParameter * worldRadius;
+        const firstCount = Math.ceil(simulation.sphereCount / 2);
+
+        const first = addPlummerSphere(simulation, firstCount, a, 10 * a, new CANNON.Vec3(-d / 2, 0, -b / 2), new CANNON.Vec3());
+        const second = addPlummerSphere(simulation, simulation.sphereCount - firstCount, a, 10 * a, new CANNON.Vec3(d / 2, 0, b / 2), new CANNON.Vec3());
+        if (second.length === 0) return;
+
+        // Head toward each other along x with the center of mass at rest
+        const m1 = totalMass(first);
+        const m2 = totalMass(second);
+        const relativeSpeed = approachSpeed * Math.sqrt(2 * simulation.gravityConstant * (m1 + m2) / Math.max(d, 1e-6));
+        first.forEach(body => { body.velocity.x += relativeSpeed * m2 / (m1 + m2); });
+        second.forEach(body => { body.velocity.x -= relativeSpeed * m1 / (m1 + m2); });
+    },
+
+    fewBody(simulation, { count, mass, separation }) {
+        const G = simulation.gravityConstant;
+        const length = separation * simulation.worldSize / 2;
+
+        if (count < 3) {
+            // Equal masses on a circular orbit about their midpoint
+            const speed = Math.sqrt(G * mass / (2 * length));
+            addMassiveBody(simulation, new CANNON.Vec3(-length / 2, 0, 0), mass, 2).velocity.set(0, 0, -speed);
+            addMassiveBody(simulation, new CANNON.Vec3(length / 2, 0, 0), mass, 2).velocity.set(0, 0, speed);
+            return;
+        }
+
+        // Chenciner & Montgomery's figure eight, in units of G = m = 1 scaled to `length`
+        const speedUnit = Math.sqrt(G * mass / length);
+        const x = 0.97000436 * length;
+        const z = -0.24308753 * length;
+        const vx = -0.93240737 * speedUnit;
+        const vz = -0.86473146 * speedUnit;
+        addMassiveBody(simulation, new CANNON.Vec3(x, 0, z), mass, 2).velocity.set(-vx / 2, 0, -vz / 2);
+        addMassiveBody(simulation, new CANNON.Vec3(-x, 0, -z), mass, 2).velocity.set(-vx / 2, 0, -vz / 2);
+        addMassiveBody(simulation, new CANNON.Vec3(), mass, 2).velocity.set(vx, 0, vz);
+    },
+};
+
+// Populate an empty simulation with its attractors and its selected generator
+function generateInitialConditions(simulation) {
+    simulation.attractors.forEach(description => simulation.addAttractor(description));
+    const name = simulation.initialConditions;
+    const parameters = { ...DEFAULT_PARAMETERS[name], ...simulation.initialConditionParameters[name] };
+    GENERATORS[name](simulation, parameters);
+}
+
+export { INITIAL_CONDITIONS, DEFAULT_PARAMETERS, defaultParameters, generateInitialConditions };
@@ -0,0 +1,305 @@
+import CANNON from 'cannon';
+import { forceKernel, forceKernelSlope } from './softening.js';
+
+// Gravity integrators that replace cannon's force-based Euler step.
+//
+// 'leapfrog' is kick-drift-kick. With contacts enabled, cannon performs the drift, so
+// it only resolves collisions; without them the drift is done here and the run is
+// collisionless. 'hermite' is the 4th-order Hermite predictor-corrector on direct
+// summation with the octree's softening kernel (O(N^2), collisionless only, so
+// Simulation.setIntegrator turns contacts off for it).
+//
+// Timesteps: 'fixed' takes one step per update, 'adaptive' splits the update into
+// equal substeps of eta * sqrt(length / maxAcceleration), and 'block' gives every
+// body its own power-of-two fraction of the update (leapfrog only; Hermite falls
+// back to adaptive).
+
+const INTEGRATORS = ['cannon', 'leapfrog', 'hermite'];
+const TIMESTEP_MODES = ['fixed', 'adaptive', 'block'];
+
+function isDynamic(body) {
+    return body.type === CANNON.Body.DYNAMIC;
+}
+
+// Length scale for the timestep criterion: the softening length when softening is on,
+// otherwise the typical crystal radius
+function timestepLength(simulation) {
+    const octree = simulation.octree;
+    return octree.softening !== 'none' && octree.softeningLength > 0 ? octree.softeningLength : simulation.radius;
+}
+
+function timestepFor(simulation, acceleration) {
+    return acceleration > 0 ? simulation.timestepAccuracy * Math.sqrt(timestepLength(simulation) / acceleration) : Infinity;
+}
+
+function substepsFor(simulation, deltaTime, maxAcceleration) {
+    if (simulation.timestepMode === 'fixed') return 1;
+    const substeps = Math.ceil(deltaTime / timestepFor(simulation, maxAcceleration));
+    return Math.min(Math.max(substeps, 1), simulation.maxSubsteps);
+}
+
+function kick(body, accelerations, i, dt) {
+    body.velocity.x += accelerations[3 * i] * dt;
+    body.velocity.y += accelerations[3 * i + 1] * dt;
+    body.velocity.z += accelerations[3 * i + 2] * dt;
+}
+
+const spin = new CANNON.Quaternion();
+const spinProduct = new CANNON.Quaternion();
+
+// Rotate the body's quaternion by its angular velocity, the same way cannon does
+function rotate(body, dt) {
+    const w = body.angularVelocity;
+    const q = body.quaternion;
+    spin.set(w.x, w.y, w.z, 0);
+    spin.mult(q, spinProduct);
+    q.x += 0.5 * dt * spinProduct.x;
+    q.y += 0.5 * dt * spinProduct.y;
+    q.z += 0.5 * dt * spinProduct.z;
+    q.w += 0.5 * dt * spinProduct.w;
+    q.normalize();
+}
+
+function drift(simulation, dt) {
+    if (simulation.contacts) {
+        // No forces are applied, so cannon's step is a drift plus contact resolution
+        simulation.world.step(dt);
+        return;
+    }
+    simulation.bodies.forEach(body => {
+        if (!isDynamic(body)) return;
+        body.position.x += body.velocity.x * dt;
+        body.position.y += body.velocity.y * dt;
+        body.position.z += body.velocity.z * dt;
+        rotate(body, dt);
+        body.aabbNeedsUpdate = true;
+        body.updateInertiaWorld();
+    });
+}
+
+// ----------------- Leapfrog -----------------
+
+function stepLeapfrog(simulation, deltaTime) {
+    const bodies = simulation.bodies;
+    // The last update's closing kick already has the opening kick's accelerations, unless
+    // bodies have moved or gravity has changed since. Passes fill simulation.accelerations;
+    // no body comes or goes during the update.
+    const maxAcceleration = simulation.accelerationsCurrent ? simulation.maxAcceleration : simulation.computeAccelerations();
+    const accelerations = simulation.accelerations;
+
+    if (simulation.timestepMode === 'block') {
+        stepBlockLeapfrog(simulation, deltaTime, accelerations);
+        return;
+    }
+
+    const substeps = substepsFor(simulation, deltaTime, maxAcceleration);
+    const dt = deltaTime / substeps;
+    for (let s = 0; s < substeps; s++) {
+        bodies.forEach((body, i) => { if (isDynamic(body)) kick(body, accelerations, i, dt / 2); });
+        drift(simulation, dt);
+        simulation.computeAccelerations();
+        bodies.forEach((body, i) => { if (isDynamic(body)) kick(body, accelerations, i, dt / 2); });
+    }
+    simulation.lastSubsteps = substeps;
+}
+
+// Hierarchical KDK: every body is kicked on its own level's schedule while all
+// bodies drift together on the finest level. Forces are evaluated only for the bodies
+// whose step ends on a substep; the last substep ends every body's.
+function stepBlockLeapfrog(simulation, deltaTime, accelerations) {
+    const bodies = simulation.bodies;
+    const maxLevel = Math.floor(Math.log2(simulation.maxSubsteps));
+    const levels = bodies.map((body, i) => {
+        const acceleration = Math.hypot(accelerations[3 * i], accelerations[3 * i + 1], accelerations[3 * i + 2]);
+        const level = Math.ceil(Math.log2(deltaTime / timestepFor(simulation, acceleration)));
+        return Math.min(Math.max(level, 0), maxLevel);
+    });
+
+    const finestLevel = Math.max(0, ...levels);
+    const fineSteps = 2 ** finestLevel;
+    const fineDt = deltaTime / fineSteps;
+    const strides = levels.map(level => 2 ** (finestLevel - level));
+    const active = [];
+
+    for (let s = 0; s < fineSteps; s++) {
+        // Opening half-kicks for bodies whose step starts now
+        bodies.forEach((body, i) => {
+            if (isDynamic(body) && s % strides[i] === 0) kick(body, accelerations, i, strides[i] * fineDt / 2);
+        });
+        drift(simulation, fineDt);
+        if (s === fineSteps - 1) {
+            simulation.computeAccelerations();
+        } else {
+            active.length = 0;
+            bodies.forEach((body, i) => { if ((s + 1) % strides[i] === 0) active.push(i); });
+            if (active.length > 0) simulation.computeAccelerationsOf(active);
+        }
+        // Closing half-kicks for bodies whose step ends now
+        bodies.forEach((body, i) => {
+            if (isDynamic(body) && (s + 1) % strides[i] === 0) kick(body, accelerations, i, strides[i] * fineDt / 2);
+        });
+    }
+    simulation.lastSubsteps = fineSteps;
+}
+
+// ----------------- Hermite -----------------
+
+// stepHermite's state arrays, grown by doubling like Simulation.accelerations and
+// reused across updates; each update works on views of the first 3n entries
+const HERMITE_ARRAYS = ['positions', 'velocities', 'accelerations', 'jerks', 'predictedAccelerations', 'predictedJerks', 'predictedPositions', 'predictedVelocities'];
+const hermiteScratch = { capacity: 0 };
+
+function hermiteArrays(size) {
+    if (hermiteScratch.capacity < size) {
+        hermiteScratch.capacity = Math.max(size, 2 * hermiteScratch.capacity);
+        HERMITE_ARRAYS.forEach(name => { hermiteScratch[name] = new Float64Array(hermiteScratch.capacity); });
+    }
+    const views = {};
+    HERMITE_ARRAYS.forEach(name => { views[name] = hermiteScratch[name].subarray(0, size); });
+    return views;
+}
+
+// Direct-summation accelerations and jerks with the octree's softening kernel
+function computeAccelerationsAndJerks(simulation, positions, velocities, accelerations, jerks) {
+    const bodies = simulation.bodies;
+    const n = bodies.length;
+    const G = simulation.gravityConstant;
+    const octree = simulation.octree;
+    const softening = octree.softening;
+    const eps = octree.softeningLength;
+    const period = octree.period; // Minimum image in a periodic box, as in the octree
+    accelerations.fill(0);
+    jerks.fill(0);
+
+    let maxAcceleration = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let dx = positions[3 * j] - positions[3 * i];
+            let dy = positions[3 * j + 1] - positions[3 * i + 1];
+            let dz = positions[3 * j + 2] - positions[3 * i + 2];
+            if (period) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            const dvx = velocities[3 * j] - velocities[3 * i];
+            const dvy = velocities[3 * j + 1] - velocities[3 * i + 1];
+            const dvz = velocities[3 * j + 2] - velocities[3 * i + 2];
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const g = forceKernel(softening, r2, eps);
+            if (g === 0) continue;
+            // d/dt of g(r) * dx is g * dv + (g'(r) / r) * (dx . dv) * dx
+            const rv = forceKernelSlope(softening, r2, eps) * (dx * dvx + dy * dvy + dz * dvz);
+
+            const mi = G * bodies[i].mass;
+            const mj = G * bodies[j].mass;
+            accelerations[3 * i] += mj * dx * g;
+            accelerations[3 * i + 1] += mj * dy * g;
+            accelerations[3 * i + 2] += mj * dz * g;
+            accelerations[3 * j] -= mi * dx * g;
+            accelerations[3 * j + 1] -= mi * dy * g;
+            accelerations[3 * j + 2] -= mi * dz * g;
+
+            const jx = dvx * g + rv * dx;
+            const jy = dvy * g + rv * dy;
+            const jz = dvz * g + rv * dz;
+            jerks[3 * i] += mj * jx;
+            jerks[3 * i + 1] += mj * jy;
+            jerks[3 * i + 2] += mj * jz;
+            jerks[3 * j] -= mi * jx;
+            jerks[3 * j + 1] -= mi * jy;
+            jerks[3 * j + 2] -= mi * jz;
+        }
+    }
+    for (let i = 0; i < n; i++) {
+        maxAcceleration = Math.max(maxAcceleration, Math.hypot(accelerations[3 * i], accelerations[3 * i + 1], accelerations[3 * i + 2]));
+    }
+    return maxAcceleration;
+}
+
+function stepHermite(simulation, deltaTime) {
+    const bodies = simulation.bodies;
+    const size = 3 * bodies.length;
+    const arrays = hermiteArrays(size);
+    const { positions, velocities, predictedPositions, predictedVelocities } = arrays;
+    let { accelerations, jerks, predictedAccelerations, predictedJerks } = arrays;
+    bodies.forEach((body, i) => {
+        positions[3 * i] = body.position.x;
+        positions[3 * i + 1] = body.position.y;
+        positions[3 * i + 2] = body.position.z;
+        velocities[3 * i] = body.velocity.x;
+        velocities[3 * i + 1] = body.velocity.y;
+        velocities[3 * i + 2] = body.velocity.z;
+    });
+
+    let maxAcceleration = computeAccelerationsAndJerks(simulation, positions, velocities, accelerations, jerks);
+    const substeps = substepsFor(simulation, deltaTime, maxAcceleration);
+    const dt = deltaTime / substeps;
+    const dt2 = dt * dt;
+    const dt3 = dt2 * dt;
+
+    for (let s = 0; s < substeps; s++) {
+        // Predict
+        for (let k = 0; k < size; k++) {
+            predictedPositions[k] = positions[k] + velocities[k] * dt + accelerations[k] * dt2 / 2 + jerks[k] * dt3 / 6;
+            predictedVelocities[k] = velocities[k] + accelerations[k] * dt + jerks[k] * dt2 / 2;
+        }
+        // Pinned bodies keep their state
+        bodies.forEach((body, i) => {
+            if (isDynamic(body)) return;
+            for (let c = 0; c < 3; c++) {
+                predictedPositions[3 * i + c] = positions[3 * i + c];
+                predictedVelocities[3 * i + c] = velocities[3 * i + c];
+            }
+        });
+
+        maxAcceleration = computeAccelerationsAndJerks(simulation, predictedPositions, predictedVelocities, predictedAccelerations, predictedJerks);
+
+        // Correct
+        bodies.forEach((body, i) => {
+            if (!isDynamic(body)) return;
+            for (let c = 0; c < 3; c++) {
+                const k = 3 * i + c;
+                const newVelocity = velocities[k] + (accelerations[k] + predictedAccelerations[k]) * dt / 2 + (jerks[k] - predictedJerks[k]) * dt2 / 12;
+                positions[k] += (velocities[k] + newVelocity) * dt / 2 + (accelerations[k] - predictedAccelerations[k]) * dt2 / 12;
+                velocities[k] = newVelocity;
+            }
+        });
+
+        // The corrected state's accelerations are close enough to the predicted ones to start the next substep
+        [accelerations, predictedAccelerations] = [predictedAccelerations, accelerations];
+        [jerks, predictedJerks] = [predictedJerks, jerks];
+    }
+
+    bodies.forEach((body, i) => {
+        if (!isDynamic(body)) return;
+        body.position.set(positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]);
+        body.velocity.set(velocities[3 * i], velocities[3 * i + 1], velocities[3 * i + 2]);
+        rotate(body, deltaTime);
+        body.aabbNeedsUpdate = true;
+        body.updateInertiaWorld();
+    });
+    simulation.lastSubsteps = substeps;
+
+    // The last substep's accelerations stand in for a force pass, for the color
+    // mapping and the largest acceleration; they are of the predicted positions
+    simulation.reserveAccelerations();
+    simulation.accelerations.set(accelerations);
+    simulation.maxAcceleration = maxAcceleration;
+    simulation.accelerationsValid = true;
+    simulation.accelerationsCurrent = false;
+}
+
+// Advance the bodies by deltaTime with the simulation's integrator; 'cannon' is
+// stepped by Simulation.update itself
+function integrate(simulation, deltaTime) {
+    if (simulation.integrator === 'hermite') {
+        stepHermite(simulation, deltaTime);
+    } else if (simulation.integrator === 'leapfrog') {
+        stepLeapfrog(simulation, deltaTime);
+    } else {
+        throw new Error(`Unknown integrator '${simulation.integrator}' (expected one of ${INTEGRATORS.join(', ')})`);
+    }
+}
+
+export { INTEGRATORS, TIMESTEP_MODES, integrate };
@@ -1,32 +1,50 @@
-import * as CANNON from 'cannon';
+import CANNON from 'cannon';
+import { forceKernel, potentialKernel } from './softening.js';
+import FlatOctree from './flatOctree.js';
+
+// Barnes-Hut implementations with the same interface: 'flat' keeps the tree in typed
+// arrays (flatOctree.js), 'object' is the tree of OctreeNode objects below
+const TREE_TYPES = ['flat', 'object'];
+
+// Smallest edge of a fitted root cube
+const MIN_ROOT_SIZE = 1;
+// Nodes this deep stay leaves whatever they hold, so coincident bodies can't split forever
+const MAX_DEPTH = 48;
 
 class OctreeNode {
-    constructor(center, halfSize) {
+    constructor(center, halfSize, tree, depth = 0) {
+        this.tree = tree; // For its leaf capacity
         this.center = center;
         this.halfSize = halfSize;
+        this.depth = depth; // Levels below the root it was made under
         this.mass = 0;
         this.com = new CANNON.Vec3();
         this.isLeaf = true;
         this.bodies = [];
         this.children = [];
+        this.quadrupole = null; // Traceless quadrupole about com: [xx, yy, zz, xy, xz, yz]
     }
 
     isEmpty() {
         return this.isLeaf && this.bodies.length === 0;
     }
 
+    overfull() {
+        return this.bodies.length > this.tree.MAX_BODIES_PER_NODE && this.depth < MAX_DEPTH;
+    }
+
     insert(body) {
         if (!this.isLeaf) {
             this._insertIntoChild(body);
         } else {
             this.bodies.push(body);
-            if (this.bodies.length > Octree.MAX_BODIES_PER_NODE) {
+            if (this.overfull()) {
                 this.subdivide();
             }
         }
         this.updateMassDistribution(body);
         // After inserting the body, check if the current node is a leaf and has too many bodies
-        if (this.isLeaf && this.bodies.length > Octree.MAX_BODIES_PER_NODE) {
+        if (this.isLeaf && this.overfull()) {
             this.subdivide();
         }
     }
@@ -67,7 +85,7 @@ class OctreeNode {
                         this.center.y + y * quarterSize,
                         this.center.z + z * quarterSize
                     );
-                    this.children.push(new OctreeNode(childCenter, quarterSize));
+                    this.children.push(new OctreeNode(childCenter, quarterSize, this.tree, this.depth + 1));
                 }
             }
         }
@@ -82,7 +100,7 @@ class OctreeNode {
         // Only merge if this node is not a leaf and all children are leaves
         if (!this.isLeaf && this.children.every(child => child.isLeaf)) {
             let totalBodies = this.children.reduce((sum, child) => sum + child.bodies.length, 0);
-            if (totalBodies < Octree.MIN_BODIES_PER_NODE) {
+            if (totalBodies < this.tree.MIN_BODIES_PER_NODE) {
                 this.bodies = [].concat(...this.children.map(child => child.bodies));
                 this.children = [];
                 this.isLeaf = true;
@@ -90,13 +108,15 @@ class OctreeNode {
         }
     }
 
+    // By octant rather than by contains(), so a body on a face or just past the edge
+    // (from rounding) still lands in a child instead of being dropped
     _insertIntoChild(body) {
-        for (let child of this.children) {
-            if (child.contains(body.position)) {
-                child.insert(body);
-                return;
-            }
-        }
+        this.children[this.octant(body.position)].insert(body);
+    }
+
+    // Index in `children` of the child whose octant holds the point, in subdivide()'s order
+    octant(point) {
+        return (point.x >= this.center.x ? 4 : 0) + (point.y >= this.center.y ? 2 : 0) + (point.z >= this.center.z ? 1 : 0);
     }
 
     contains(point) {
@@ -118,16 +138,35 @@ class OctreeNode {
 
 
 class Octree {
-    constructor(worldSize, gravityConstant) {
+    constructor(worldSize, gravityConstant, { theta = 0.5, softening = 'none', softeningLength = 1, quadrupole = false, maxBodiesPerNode = 10, period = null } = {}) {
         this.gravityConstant = gravityConstant;
+        this.theta = theta; // Opening angle: nodes with halfSize / distance below this are approximated
+        this.softening = softening; // Kernel name from softening.js
+        this.softeningLength = softeningLength;
+        this.quadrupole = quadrupole; // Add quadrupole corrections to approximated nodes
+        // Edge of a periodic box centered on the origin, or null. Separations then take the
+        // nearest periodic image on each axis (minimum image), with no Ewald sum beyond it.
+        this.period = period;
+        this.worldSize = worldSize; // Edge length of the root cube before it is fitted to bodies, applied on clear()
         let halfWorldSize = worldSize / 2;
-        this.root = new OctreeNode(new CANNON.Vec3(0, 0, 0), halfWorldSize);
+        this.root = new OctreeNode(new CANNON.Vec3(0, 0, 0), halfWorldSize, this);
         this.bodies = []; // Keep track of all bodies
         this.vec3Pool = []; // Initialize the pool
         this.updateThreshold = 10; // Define the threshold for update checks
         this.framesSinceLastUpdate = 0; // Initialize frame counter
-        this.MAX_BODIES_PER_NODE = Octree.MAX_BODIES_PER_NODE = 10; // Example threshold for splitting
-        this.MIN_BODIES_PER_NODE = Octree.MIN_BODIES_PER_NODE = 5; // Example threshold for merging
+        this.maxBodiesPerNode = maxBodiesPerNode; // Leaf capacity, applied on clear()
+        this.setLeafCapacity();
+    }
+
+    get type() {
+        return 'object';
+    }
+
+    // Leaves split beyond MAX_BODIES_PER_NODE bodies, and siblings merge back below
+    // MIN_BODIES_PER_NODE. Changing them mid-tree would leave leaves over capacity.
+    setLeafCapacity() {
+        this.MAX_BODIES_PER_NODE = this.maxBodiesPerNode;
+        this.MIN_BODIES_PER_NODE = Math.max(1, Math.floor(this.maxBodiesPerNode / 2));
     }
 
     shouldUpdate() {
@@ -206,7 +245,7 @@ class Octree {
     _updateNodeStructure(node) {
         if (node.isLeaf) {
             // If it's a leaf and too dense, subdivide it
-            if (node.bodies.length > Octree.MAX_BODIES_PER_NODE) {
+            if (node.overfull()) {
                 node.subdivide();
             }
         } else {
@@ -217,50 +256,311 @@ class Octree {
         }
     }
 
+    // Grows the root until it holds the body, so bodies that wander off are never lost.
+    // A body without a finite position has nowhere to go and is left out.
     insert(body) {
+        const p = body.position;
+        if (!Number.isFinite(p.x) || !Number.isFinite(p.y) || !Number.isFinite(p.z)) return;
+        while (!this.root.contains(p)) this.grow(p);
         this.root.insert(body);
     }
 
-    calculateGravity(body, theta = 0.5) {
+    // Double the root toward `point`, keeping the old root as one of its children
+    grow(point) {
+        const old = this.root;
+        const center = new CANNON.Vec3(
+            old.center.x + (point.x >= old.center.x ? old.halfSize : -old.halfSize),
+            old.center.y + (point.y >= old.center.y ? old.halfSize : -old.halfSize),
+            old.center.z + (point.z >= old.center.z ? old.halfSize : -old.halfSize)
+        );
+        const root = new OctreeNode(center, 2 * old.halfSize, this);
+        root.subdivide();
+        root.children[root.octant(old.center)] = old;
+        root.mass = old.mass;
+        root.com.copy(old.com);
+        this.root = root;
+    }
+
+    // Rebuild the tree from scratch for the given bodies, with the root cube fitted to them
+    build(bodies) {
+        this.clear();
+        this.fit(bodies);
+        this.bodies = bodies;
+        bodies.forEach(body => this.insert(body));
+        if (this.quadrupole) this.computeQuadrupoles(this.root);
+    }
+
+    // Center the root on the bodies' bounding box, as a cube just large enough to hold them
+    fit(bodies) {
+        const min = new CANNON.Vec3(Infinity, Infinity, Infinity);
+        const max = new CANNON.Vec3(-Infinity, -Infinity, -Infinity);
+        bodies.forEach(({ position: p }) => {
+            if (!Number.isFinite(p.x) || !Number.isFinite(p.y) || !Number.isFinite(p.z)) return;
+            min.set(Math.min(min.x, p.x), Math.min(min.y, p.y), Math.min(min.z, p.z));
+            max.set(Math.max(max.x, p.x), Math.max(max.y, p.y), Math.max(max.z, p.z));
+        });
+        if (min.x > max.x) return; // No bodies to fit
+        const center = new CANNON.Vec3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+        // Padded a little against rounding, and never degenerate for a single body
+        const halfSize = Math.max(max.x - min.x, max.y - min.y, max.z - min.z, MIN_ROOT_SIZE) / 2 * (1 + 1e-6);
+        this.root = new OctreeNode(center, halfSize, this);
+    }
+
+    computeQuadrupoles(node) {
+        const q = node.quadrupole = [0, 0, 0, 0, 0, 0];
+        // Add the moment of a point (or a sub-node, via the parallel axis theorem) of mass m at p
+        const addPoint = (m, p) => {
+            const dx = p.x - node.com.x, dy = p.y - node.com.y, dz = p.z - node.com.z;
+            const r2 = dx * dx + dy * dy + dz * dz;
+            q[0] += m * (3 * dx * dx - r2);
+            q[1] += m * (3 * dy * dy - r2);
+            q[2] += m * (3 * dz * dz - r2);
+            q[3] += m * 3 * dx * dy;
+            q[4] += m * 3 * dx * dz;
+            q[5] += m * 3 * dy * dz;
+        };
+        if (node.isLeaf) {
+            node.bodies.forEach(body => addPoint(body.mass, body.position));
+        } else {
+            node.children.forEach(child => {
+                if (child.mass === 0) return;
+                this.computeQuadrupoles(child);
+                addPoint(child.mass, child.com);
+                for (let i = 0; i < 6; i++) q[i] += child.quadrupole[i];
+            });
+        }
+    }
+
+    calculateGravity(body, theta = this.theta) {
         let force = this.getVec3().set(0, 0, 0);
         this._calculateGravity(this.root, body, theta, force);
         return force;
     }
 
+    // Acceleration of every body of the last build(), packed as x, y, z triplets in
+    // `out` in the order they were passed. Returns the largest magnitude.
+    accelerations(out, theta = this.theta) {
+        let maxAcceleration = 0;
+        this.bodies.forEach((body, i) => {
+            const force = this.calculateGravity(body, theta);
+            out[3 * i] = force.x / body.mass;
+            out[3 * i + 1] = force.y / body.mass;
+            out[3 * i + 2] = force.z / body.mass;
+            maxAcceleration = Math.max(maxAcceleration, force.norm() / body.mass);
+        });
+        return maxAcceleration;
+    }
+
+    // Like accelerations(), for just the bodies at `indices` into the built array
+    accelerationsOf(indices, out, theta = this.theta) {
+        indices.forEach(i => {
+            const body = this.bodies[i];
+            const force = this.calculateGravity(body, theta);
+            out[3 * i] = force.x / body.mass;
+            out[3 * i + 1] = force.y / body.mass;
+            out[3 * i + 2] = force.z / body.mass;
+        });
+    }
+
+    // `to` - `from`, or its nearest periodic image in a periodic box
+    separation(from, to) {
+        const d = new CANNON.Vec3(to.x - from.x, to.y - from.y, to.z - from.z);
+        if (this.period) {
+            d.x -= this.period * Math.round(d.x / this.period);
+            d.y -= this.period * Math.round(d.y / this.period);
+            d.z -= this.period * Math.round(d.z / this.period);
+        }
+        return d;
+    }
+
+    // Whether a node at `distance` from `position` is far enough to stand in for its
+    // bodies. In a periodic box it also has to lie on one side of the minimum-image
+    // faces at ±period/2 from `position`: a node that straddles them has bodies whose
+    // nearest images are on opposite sides, so its center of mass stands for none of them.
+    approximates(node, distance, theta, position) {
+        return (node.halfSize / distance) < theta && !(this.period && this.straddles(node, position));
+    }
+
+    straddles(node, position) {
+        const d = this.separation(position, node.center);
+        const limit = this.period / 2 - node.halfSize;
+        return Math.abs(d.x) >= limit || Math.abs(d.y) >= limit || Math.abs(d.z) >= limit;
+    }
+
     _calculateGravity(node, body, theta, force) {
         if (!node.isLeaf) {
-            let directionToCOM = new CANNON.Vec3().copy(node.com).vsub(body.position);
-            let distance = directionToCOM.norm();
-    
-            if ((node.halfSize / distance) < theta) {
-                let strength = (this.gravityConstant * body.mass * node.mass) / (distance * distance);
-                let unitDirection = directionToCOM.unit(new CANNON.Vec3()); // Normalize the vector
-                let gravityForce = unitDirection.mult(strength); // Scale the normalized vector
-                force.vadd(gravityForce, force);
+            let directionToCOM = this.separation(body.position, node.com);
+            let distanceSquared = directionToCOM.norm2();
+            let distance = Math.sqrt(distanceSquared);
+
+            if (this.approximates(node, distance, theta, body.position)) {
+                let strength = this.gravityConstant * body.mass * node.mass * forceKernel(this.softening, distanceSquared, this.softeningLength);
+                force.vadd(directionToCOM.mult(strength), force);
+                if (node.quadrupole) {
+                    this._addQuadrupoleForce(node, body, directionToCOM, distanceSquared, force);
+                }
             } else {
                 node.children.forEach(child => this._calculateGravity(child, body, theta, force));
             }
         } else {
             node.bodies.forEach(otherBody => {
                 if (otherBody !== body) {
-                    let direction = new CANNON.Vec3().copy(otherBody.position).vsub(body.position);
-                    let distanceSquared = direction.norm2();
-                    if (distanceSquared > 1e-10) {
-                        let strength = (this.gravityConstant * body.mass * otherBody.mass) / distanceSquared;
-                        let unitDirection = direction.unit(new CANNON.Vec3()); // Normalize the vector
-                        let gravityForce = unitDirection.mult(strength); // Scale the normalized vector
-                        force.vadd(gravityForce, force);
-                    }
+                    let direction = this.separation(body.position, otherBody.position);
+                    let strength = this.gravityConstant * body.mass * otherBody.mass * forceKernel(this.softening, direction.norm2(), this.softeningLength);
+                    force.vadd(direction.mult(strength), force);
                 }
             });
         }
     }
-    
+
+    _addQuadrupoleForce(node, body, directionToCOM, r2, force) {
+        // With r pointing from the node's com to the body, the quadrupole adds
+        // G*m*(Q r / r^5 - 5/2 (r.Q.r) r / r^7)
+        const q = node.quadrupole;
+        const x = -directionToCOM.x, y = -directionToCOM.y, z = -directionToCOM.z;
+        const qx = q[0] * x + q[3] * y + q[4] * z;
+        const qy = q[3] * x + q[1] * y + q[5] * z;
+        const qz = q[4] * x + q[5] * y + q[2] * z;
+        const rQr = x * qx + y * qy + z * qz;
+        const r5 = r2 * r2 * Math.sqrt(r2);
+        const gm = this.gravityConstant * body.mass;
+        const radial = 2.5 * rQr / (r5 * r2);
+        force.x += gm * (qx / r5 - radial * x);
+        force.y += gm * (qy / r5 - radial * y);
+        force.z += gm * (qz / r5 - radial * z);
+    }
+
+    calculatePotential(body, theta = this.theta) {
+        // Potential energy of the body in the field of every other body
+        return this._calculatePotential(this.root, body, theta);
+    }
+
+    _calculatePotential(node, body, theta) {
+        if (!node.isLeaf) {
+            const r = this.separation(node.com, body.position);
+            let distanceSquared = r.norm2();
+            let distance = Math.sqrt(distanceSquared);
+
+            if (this.approximates(node, distance, theta, body.position)) {
+                let potential = -this.gravityConstant * body.mass * node.mass * potentialKernel(this.softening, distanceSquared, this.softeningLength);
+                if (node.quadrupole) {
+                    // -G*m*(r.Q.r) / (2 r^5)
+                    const q = node.quadrupole;
+                    const x = r.x, y = r.y, z = r.z;
+                    const rQr = q[0] * x * x + q[1] * y * y + q[2] * z * z + 2 * (q[3] * x * y + q[4] * x * z + q[5] * y * z);
+                    potential -= this.gravityConstant * body.mass * rQr / (2 * distanceSquared * distanceSquared * distance);
+                }
+                return potential;
+            }
+            return node.children.reduce((sum, child) => sum + this._calculatePotential(child, body, theta), 0);
+        }
+        let potential = 0;
+        node.bodies.forEach(otherBody => {
+            if (otherBody !== body) {
+                let distanceSquared = this.separation(body.position, otherBody.position).norm2();
+                potential -= this.gravityConstant * body.mass * otherBody.mass * potentialKernel(this.softening, distanceSquared, this.softeningLength);
+            }
+        });
+        return potential;
+    }
+
+    // Calls callback(node, depth) for every node, parents before children
+    forEachNode(callback, node = this.root, depth = 0) {
+        callback(node, depth);
+        node.children.forEach(child => this.forEachNode(callback, child, depth + 1));
+    }
+
+    // Shape of the tree and the cost of a force pass over its bodies. Interactions are
+    // the nodes approximated plus the bodies summed directly for one body, counted with
+    // the opening criterion of calculateGravity; direct summation needs bodies - 1.
+    statistics(theta = this.theta) {
+        const stats = {
+            depth: 0,
+            nodes: 0,
+            leaves: 0,
+            emptyLeaves: 0,
+            bodies: 0,
+            meanBodiesPerLeaf: 0, // Over the leaves that hold any
+            maxBodiesPerLeaf: 0,
+            interactionsPerEvaluation: 0,
+        };
+        const bodies = [];
+        this.forEachNode((node, depth) => {
+            stats.nodes++;
+            stats.depth = Math.max(stats.depth, depth);
+            if (!node.isLeaf) return;
+            stats.leaves++;
+            if (node.bodies.length === 0) stats.emptyLeaves++;
+            stats.maxBodiesPerLeaf = Math.max(stats.maxBodiesPerLeaf, node.bodies.length);
+            bodies.push(...node.bodies);
+        });
+        stats.bodies = bodies.length;
+        const occupied = stats.leaves - stats.emptyLeaves;
+        stats.meanBodiesPerLeaf = occupied > 0 ? bodies.length / occupied : 0;
+
+        let interactions = 0;
+        bodies.forEach(body => {
+            interactions += this._countInteractions(this.root, body, theta);
+        });
+        stats.interactionsPerEvaluation = bodies.length > 0 ? interactions / bodies.length : 0;
+        return stats;
+    }
+
+    // Walks the tree like _calculateGravity, counting instead of summing
+    _countInteractions(node, body, theta) {
+        if (!node.isLeaf) {
+            if (this.approximates(node, this.separation(body.position, node.com).norm(), theta, body.position)) return 1;
+            return node.children.reduce((sum, child) => sum + this._countInteractions(child, body, theta), 0);
+        }
+        return node.bodies.filter(otherBody => otherBody !== body).length;
+    }
+
+    // Bodies within `radius` of `point`, by minimum image in a periodic box, appended to `result`
+    queryRadius(point, radius, result = []) {
+        this._queryRadius(this.root, point, radius * radius, result);
+        return result;
+    }
+
+    _queryRadius(node, point, radiusSquared, result) {
+        // Skip nodes whose cube lies entirely out of reach, of every image in a periodic box
+        const d = this.separation(point, node.center);
+        const dx = Math.max(Math.abs(d.x) - node.halfSize, 0);
+        const dy = Math.max(Math.abs(d.y) - node.halfSize, 0);
+        const dz = Math.max(Math.abs(d.z) - node.halfSize, 0);
+        if (dx * dx + dy * dy + dz * dz > radiusSquared) return;
+
+        if (node.isLeaf) {
+            node.bodies.forEach(body => {
+                if (this.separation(point, body.position).norm2() <= radiusSquared) result.push(body);
+            });
+        } else {
+            node.children.forEach(child => this._queryRadius(child, point, radiusSquared, result));
+        }
+    }
 
     clear() {
-        this.root = new OctreeNode(this.root.center, this.root.halfSize);
+        this.bodies = [];
+        this.setLeafCapacity();
+        this.root = new OctreeNode(this.root.center, this.worldSize / 2, this);
     }
 }
 
+// A tree of the given type; options as for the Octree constructor
+function createOctree(type, worldSize, gravityConstant, options) {
+    return type === 'flat' ? new FlatOctree(worldSize, gravityConstant, options) : new Octree(worldSize, gravityConstant, options);
+}
+
+// The settings of a tree, to carry them over to another one
+function octreeOptions(octree) {
+    return {
+        theta: octree.theta,
+        softening: octree.softening,
+        softeningLength: octree.softeningLength,
+        quadrupole: octree.quadrupole,
+        maxBodiesPerNode: octree.maxBodiesPerNode,
+        period: octree.period,
+    };
+}
 
+export { TREE_TYPES, createOctree, octreeOptions };
 export default Octree;
@@ -0,0 +1,213 @@
+// Osculating Keplerian orbits: the two-body orbit a body would follow about a
+// reference if every other force vanished now. Like the attractor orbits, the
+// reference plane is x-z with +y as its pole, and longitudes count
+// counterclockwise about +y from +x. Angles are radians.
+//
+// The reference is one of
+//
+//   massive     the most massive other body
+//   barycenter  the center of mass of all the other bodies, holding their total mass
+//   body        the body with id `primaryId`
+//
+// Elements of an unbound orbit have a negative semi-major axis and an infinite
+// period and apoapsis.
+
+const ORBIT_REFERENCES = ['massive', 'barycenter', 'body'];
+const ORBITAL_SPEEDS = ['circular', 'escape'];
+
+// Below this, an orbit counts as circular or equatorial and the undefined angles are 0
+const EPSILON = 1e-9;
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+const norm = a => Math.sqrt(dot(a, a));
+
+// Angle between a and b, past pi when `flip`
+function angleBetween(a, b, flip) {
+    const angle = Math.acos(Math.max(-1, Math.min(1, dot(a, b) / (norm(a) * norm(b)))));
+    return flip ? 2 * Math.PI - angle : angle;
+}
+
+// Longitude of an in-plane vector, counterclockwise about +y from +x
+const longitude = v => (Math.atan2(-v.z, v.x) + 2 * Math.PI) % (2 * Math.PI);
+
+// Elements of the orbit with relative position r and velocity v about mu = G (M + m)
+function orbitalElements(r, v, mu) {
+    const radius = norm(r);
+    const h = cross(r, v); // Specific angular momentum
+    const hNorm = norm(h);
+    const node = { x: h.z, y: 0, z: -h.x }; // +y x h, toward the ascending node
+    const nodeNorm = norm(node);
+    const rv = dot(r, v);
+    const v2 = dot(v, v);
+    // e = ((v^2 - mu/r) r - (r.v) v) / mu
+    const e = {
+        x: ((v2 - mu / radius) * r.x - rv * v.x) / mu,
+        y: ((v2 - mu / radius) * r.y - rv * v.y) / mu,
+        z: ((v2 - mu / radius) * r.z - rv * v.z) / mu,
+    };
+    const eccentricity = norm(e);
+    const specificEnergy = v2 / 2 - mu / radius;
+    const bound = specificEnergy < 0;
+    const semiMajorAxis = -mu / (2 * specificEnergy);
+    const semiLatusRectum = hNorm * hNorm / mu;
+
+    const inclination = hNorm > 0 ? Math.acos(Math.max(-1, Math.min(1, h.y / hNorm))) : 0;
+    const equatorial = nodeNorm < EPSILON * hNorm;
+    const circular = eccentricity < EPSILON;
+    const retrograde = h.y < 0;
+
+    const longitudeOfAscendingNode = equatorial ? 0 : longitude(node);
+    let argumentOfPeriapsis = 0;
+    let trueAnomaly;
+    if (!circular) {
+        // In an equatorial orbit, from +x: the longitude of periapsis
+        if (equatorial) argumentOfPeriapsis = retrograde ? (2 * Math.PI - longitude(e)) % (2 * Math.PI) : longitude(e);
+        else argumentOfPeriapsis = angleBetween(node, e, e.y < 0);
+        trueAnomaly = angleBetween(e, r, rv < 0);
+    } else if (!equatorial) {
+        trueAnomaly = angleBetween(node, r, r.y < 0);
+    } else {
+        trueAnomaly = retrograde ? (2 * Math.PI - longitude(r)) % (2 * Math.PI) : longitude(r);
+    }
+
+    return {
+        semiMajorAxis: semiMajorAxis,
+        eccentricity: eccentricity,
+        inclination: inclination,
+        longitudeOfAscendingNode: longitudeOfAscendingNode,
+        argumentOfPeriapsis: argumentOfPeriapsis,
+        trueAnomaly: trueAnomaly,
+        period: bound ? 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / mu) : Infinity,
+        periapsis: semiLatusRectum / (1 + eccentricity),
+        apoapsis: bound ? semiMajorAxis * (1 + eccentricity) : Infinity,
+        semiLatusRectum: semiLatusRectum,
+        specificEnergy: specificEnergy,
+        bound: bound,
+    };
+}
+
+// Offset from the focus of the point at true anomaly `anomaly` on the orbit
+function orbitPoint(elements, anomaly) {
+    const { eccentricity, inclination, longitudeOfAscendingNode, argumentOfPeriapsis, semiLatusRectum } = elements;
+    const radius = semiLatusRectum / (1 + eccentricity * Math.cos(anomaly));
+    const u = argumentOfPeriapsis + anomaly; // Argument of latitude
+    const cosNode = Math.cos(longitudeOfAscendingNode);
+    const sinNode = Math.sin(longitudeOfAscendingNode);
+    const cosU = Math.cos(u);
+    const sinU = Math.sin(u);
+    // In the frame X = x, Y = -z, Z = y, where the usual formulas apply
+    const X = radius * (cosNode * cosU - sinNode * sinU * Math.cos(inclination));
+    const Y = radius * (sinNode * cosU + cosNode * sinU * Math.cos(inclination));
+    const Z = radius * sinU * Math.sin(inclination);
+    return { x: X, y: Z, z: -Y };
+}
+
+// Returns body => { primaryId, mass, position, velocity } of the body's reference, or
+// null for the reference itself. Built once per frame, so it is cheap for every body.
+function createOrbitReference(simulation, reference = 'massive', primaryId = null) {
+    const bodies = simulation.bodies;
+    const vector = v => ({ x: v.x, y: v.y, z: v.z });
+
+    if (reference === 'barycenter') {
+        let mass = 0;
+        const moment = { x: 0, y: 0, z: 0 };
+        const momentum = { x: 0, y: 0, z: 0 };
+        bodies.forEach(body => {
+            mass += body.mass;
+            moment.x += body.mass * body.position.x;
+            moment.y += body.mass * body.position.y;
+            moment.z += body.mass * body.position.z;
+            momentum.x += body.mass * body.velocity.x;
+            momentum.y += body.mass * body.velocity.y;
+            momentum.z += body.mass * body.velocity.z;
+        });
+        // Take the body's own share out, so it orbits the rest
+        return body => {
+            const others = mass - body.mass;
+            if (!(others > 0)) return null;
+            return {
+                primaryId: null,
+                mass: others,
+                position: {
+                    x: (moment.x - body.mass * body.position.x) / others,
+                    y: (moment.y - body.mass * body.position.y) / others,
+                    z: (moment.z - body.mass * body.position.z) / others,
+                },
+                velocity: {
+                    x: (momentum.x - body.mass * body.velocity.x) / others,
+                    y: (momentum.y - body.mass * body.velocity.y) / others,
+                    z: (momentum.z - body.mass * body.velocity.z) / others,
+                },
+            };
+        };
+    }
+
+    let primary = null;
+    let runnerUp = null; // The most massive body's own reference
+    if (reference === 'body') {
+        primary = simulation.findBody(primaryId);
+    } else {
+        bodies.forEach(body => {
+            if (!primary || body.mass > primary.mass) {
+                runnerUp = primary;
+                primary = body;
+            } else if (!runnerUp || body.mass > runnerUp.mass) {
+                runnerUp = body;
+            }
+        });
+    }
+    return body => {
+        const other = body === primary ? (reference === 'body' ? null : runnerUp) : primary;
+        if (!other) return null;
+        return { primaryId: other.id, mass: other.mass, position: vector(other.position), velocity: vector(other.velocity) };
+    };
+}
+
+// { primaryId, focus, elements } of the body's orbit about `referenceOf(body)`, or null
+function bodyOrbit(simulation, body, referenceOf) {
+    const reference = referenceOf(body);
+    if (!reference) return null;
+    const r = {
+        x: body.position.x - reference.position.x,
+        y: body.position.y - reference.position.y,
+        z: body.position.z - reference.position.z,
+    };
+    const v = {
+        x: body.velocity.x - reference.velocity.x,
+        y: body.velocity.y - reference.velocity.y,
+        z: body.velocity.z - reference.velocity.z,
+    };
+    if (norm(r) === 0) return null;
+    return {
+        primaryId: reference.primaryId,
+        focus: reference.position,
+        elements: orbitalElements(r, v, simulation.gravityConstant * (reference.mass + body.mass)),
+    };
+}
+
+// Launch from `origin` into a circular orbit about `primary`, or at its escape speed:
+// { direction, speed, frameVelocity }, where the velocity is direction * speed plus
+// the primary's own velocity. The direction is `hint` (e.g. the camera's right)
+// made perpendicular to the line to the primary.
+function orbitalLaunch(simulation, primary, origin, hint, kind = 'circular') {
+    const r = { x: origin.x - primary.position.x, y: origin.y - primary.position.y, z: origin.z - primary.position.z };
+    const distance = norm(r);
+    const radial = { x: r.x / distance, y: r.y / distance, z: r.z / distance };
+    let tangent = {
+        x: hint.x - dot(hint, radial) * radial.x,
+        y: hint.y - dot(hint, radial) * radial.y,
+        z: hint.z - dot(hint, radial) * radial.z,
+    };
+    // A hint along the radius leaves no tangent; any perpendicular will do
+    if (norm(tangent) < EPSILON) tangent = cross(radial, Math.abs(radial.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 });
+    const length = norm(tangent);
+    const gm = simulation.gravityConstant * primary.mass;
+    return {
+        direction: { x: tangent.x / length, y: tangent.y / length, z: tangent.z / length },
+        speed: Math.sqrt((kind === 'escape' ? 2 : 1) * gm / distance),
+        frameVelocity: { x: primary.velocity.x, y: primary.velocity.y, z: primary.velocity.z },
+    };
+}
+
+export { ORBIT_REFERENCES, ORBITAL_SPEEDS, orbitalElements, orbitPoint, createOrbitReference, bodyOrbit, orbitalLaunch };
@@ -0,0 +1,138 @@
+import { createSnapshot, restoreSnapshot } from './snapshot.js';
+
+// Recorder: a bounded timeline of a Simulation for replay. Every `interval` steps it
+// stores a frame: the time, the body ids and their masses, positions and quaternions
+// as typed arrays, plus the shape of any body it hasn't seen before. Replaying only
+// needs poses, so frames stay small.
+//
+// To fork a live run from any frame, the recorder also keeps a full snapshot (a
+// keyframe) every `keyframeInterval` frames, and on the first frame after the run
+// was changed from outside update(): a throw, new settings. Keyframes also hold what
+// a snapshot leaves out: the collision and escape counters and the diagnostics
+// baseline. Forking restores the last keyframe at or before the frame and steps
+// forward to it; runs are deterministic, so this lands exactly on the recorded state.
+class Recorder {
+    constructor(simulation, { interval = 2, maxFrames = 1500, keyframeInterval = 150 } = {}) {
+        this.simulation = simulation;
+        this.enabled = false;
+        this.interval = interval; // Steps between frames
+        this.maxFrames = maxFrames; // Oldest frames are dropped beyond this
+        this.keyframeInterval = keyframeInterval; // Frames between keyframes
+        this.reset();
+    }
+
+    reset() {
+        this.frames = []; // { stepCount, time, ids, masses, positions, quaternions }, oldest first
+        this.keyframes = []; // { stepCount, snapshot, counters, baseline }, oldest first
+        this.shapes = new Map(); // body.id -> { crystal, attractor }
+        this.framesSinceKeyframe = 0;
+        this.needsKeyframe = true;
+    }
+
+    // The run changed outside update(), so the next frame needs a keyframe
+    invalidate() {
+        this.needsKeyframe = true;
+    }
+
+    onStep() {
+        if (!this.enabled || this.simulation.stepCount % this.interval !== 0) return;
+        this.record();
+    }
+
+    record() {
+        const simulation = this.simulation;
+        const bodies = simulation.bodies;
+        const n = bodies.length;
+        const frame = {
+            stepCount: simulation.stepCount,
+            time: simulation.time,
+            ids: new Int32Array(n),
+            masses: new Float32Array(n),
+            positions: new Float32Array(3 * n),
+            quaternions: new Float32Array(4 * n),
+        };
+        bodies.forEach((body, i) => {
+            frame.ids[i] = body.id;
+            frame.masses[i] = body.mass;
+            frame.positions[3 * i] = body.position.x;
+            frame.positions[3 * i + 1] = body.position.y;
+            frame.positions[3 * i + 2] = body.position.z;
+            frame.quaternions[4 * i] = body.quaternion.x;
+            frame.quaternions[4 * i + 1] = body.quaternion.y;
+            frame.quaternions[4 * i + 2] = body.quaternion.z;
+            frame.quaternions[4 * i + 3] = body.quaternion.w;
+            if (!this.shapes.has(body.id)) this.shapes.set(body.id, { crystal: body.crystal, attractor: body.attractor });
+        });
+
+        if (this.needsKeyframe || this.framesSinceKeyframe >= this.keyframeInterval) {
+            this.keyframes.push({
+                stepCount: simulation.stepCount,
+                snapshot: createSnapshot(simulation),
+                counters: {
+                    mergeCount: simulation.accretion.mergeCount,
+                    fragmentationCount: simulation.fragmentation.fragmentationCount,
+                    escapeCount: simulation.boundary.escapeCount,
+                    escapedMass: simulation.boundary.escapedMass,
+                },
+                baseline: simulation.diagnostics.baseline,
+            });
+            this.framesSinceKeyframe = 0;
+            this.needsKeyframe = false;
+        }
+        this.framesSinceKeyframe++;
+        this.frames.push(frame);
+        this.trim();
+    }
+
+    trim() {
+        if (this.frames.length <= this.maxFrames) return;
+        this.frames.splice(0, this.frames.length - this.maxFrames);
+
+        // Keep the last keyframe at or before the oldest frame, for forking from it
+        const oldest = this.frames[0].stepCount;
+        let dropped = 0;
+        while (this.keyframes.length > 1 && this.keyframes[1].stepCount <= oldest) {
+            this.keyframes.shift();
+            dropped++;
+        }
+
+        // Forget the shapes of bodies that left before the oldest frame
+        if (dropped > 0) {
+            const live = new Set();
+            this.frames.forEach(frame => frame.ids.forEach(id => live.add(id)));
+            [...this.shapes.keys()].forEach(id => { if (!live.has(id)) this.shapes.delete(id); });
+        }
+    }
+
+    // Make the simulation continue live from frame `index`; later frames are discarded
+    fork(index) {
+        const frame = this.frames[index];
+        const keyframe = this.keyframes.filter(k => k.stepCount <= frame.stepCount).pop();
+        const simulation = this.simulation;
+
+        // Recording or logging the replayed steps again would duplicate them
+        const enabled = this.enabled;
+        const logging = simulation.logger.enabled;
+        this.enabled = false;
+        simulation.logger.enabled = false;
+        try {
+            restoreSnapshot(simulation, keyframe.snapshot);
+            // Restoring clears these; the replayed steps count on from the keyframe's
+            simulation.accretion.mergeCount = keyframe.counters.mergeCount;
+            simulation.fragmentation.fragmentationCount = keyframe.counters.fragmentationCount;
+            simulation.boundary.escapeCount = keyframe.counters.escapeCount;
+            simulation.boundary.escapedMass = keyframe.counters.escapedMass;
+            simulation.diagnostics.baseline = keyframe.baseline;
+            while (simulation.stepCount < frame.stepCount) simulation.update();
+        } finally {
+            this.enabled = enabled;
+            simulation.logger.enabled = logging;
+        }
+
+        this.frames.length = index + 1;
+        this.keyframes = this.keyframes.filter(k => k.stepCount <= frame.stepCount);
+        this.needsKeyframe = true;
+    }
+}
+
+export default Recorder;
@@ -0,0 +1,24 @@
+import * as THREE from 'three';
+
+// Attractors are drawn as glowing spheres, so a central star or planet stands out
+// from the crystals around it. Color mapping leaves them alone.
+const ATTRACTOR_COLORS = {
+    free: 0xffb347,
+    pinned: 0xfff1a8,
+    orbit: 0x8ec5ff,
+};
+
+function createAttractorMesh(attractor) {
+    const geometry = new THREE.SphereGeometry(attractor.radius, 32, 16);
+    const color = new THREE.Color(ATTRACTOR_COLORS[attractor.motion]);
+    const material = new THREE.MeshPhongMaterial({
+        color: color,
+        emissive: color,
+        emissiveIntensity: 0.8,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.castShadow = true;
+    return mesh;
+}
+
+export { ATTRACTOR_COLORS, createAttractorMesh };
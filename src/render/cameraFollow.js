@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+
+const CAMERA_TARGETS = ['free', 'body', 'barycenter', 'clump'];
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Keeps the view on a moving point by gliding the OrbitControls target toward it,
+// and the camera with it, so the user's own orbiting and zooming still work:
+//
+//   free        the target stays where it is
+//   body        the body picked for the inspector
+//   barycenter  the center of mass of every body
+//   clump       the center of mass of the most massive clump (see clumps.js), which
+//               needs clump finding on
+//
+// With `corotate` on, the camera also turns about +y with the line between the two
+// most massive bodies, so a binary keeps still on screen. Targets are taken from the
+// interpolated poses in `source`, so call update() after SimulationClient.interpolate.
+class CameraFollow {
+    constructor(source, camera, controls, { target = 'free', corotate = false, smoothing = 0.3 } = {}) {
+        this.source = source;
+        this.camera = camera;
+        this.controls = controls;
+        this.target = target; // One of CAMERA_TARGETS
+        this.corotate = corotate;
+        this.smoothing = smoothing; // Seconds to close most (1 - 1/e) of the gap; 0 snaps
+        this.lastTime = null;
+        this.pairIds = null; // Ids of the co-rotating pair
+        this.pairAngle = 0; // Longitude of the line between them, counterclockwise about +y
+
+        this.goal = new THREE.Vector3(); // Scratch
+        this.offset = new THREE.Vector3(); // Scratch
+    }
+
+    update(now) {
+        // Long pauses (a hidden tab) shouldn't count as one huge step
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, (now - this.lastTime) / 1000);
+        this.lastTime = now;
+
+        let moved = false;
+        if (this.target !== 'free' && this.targetPosition(this.goal)) {
+            const blend = this.smoothing > 0 ? 1 - Math.exp(-dt / this.smoothing) : 1;
+            this.offset.subVectors(this.goal, this.controls.target).multiplyScalar(blend);
+            this.controls.target.add(this.offset);
+            this.camera.position.add(this.offset);
+            moved = true;
+        }
+        if (this.corotate) {
+            moved = this.turnWithPair() || moved;
+        } else {
+            this.pairIds = null;
+        }
+        if (moved) this.controls.update();
+    }
+
+    // Writes the followed point into `out`; false when there is none to follow
+    targetPosition(out) {
+        const source = this.source;
+        if (this.target === 'body') {
+            const record = source.records.get(source.inspectedId);
+            if (!record) return false;
+            out.copy(record.position);
+            return true;
+        }
+        if (this.target === 'barycenter') return centerOfMass(source.bodies, out);
+        if (this.target === 'clump') {
+            const latest = source.clumps.latest;
+            if (!latest || latest.clumps.length === 0) return false;
+            const largest = latest.clumps.reduce((a, b) => (b.mass > a.mass ? b : a));
+            // The members' current poses, rather than the center when the search ran
+            const members = largest.members.map(id => source.records.get(id)).filter(Boolean);
+            return centerOfMass(members, out);
+        }
+        return false;
+    }
+
+    // Turn the camera about the target by how far the pair has turned since the last
+    // call; true if it moved
+    turnWithPair() {
+        let first = null;
+        let second = null;
+        this.source.bodies.forEach(record => {
+            if (!first || record.mass > first.mass) {
+                second = first;
+                first = record;
+            } else if (!second || record.mass > second.mass) {
+                second = record;
+            }
+        });
+        if (!second) {
+            this.pairIds = null;
+            return false;
+        }
+
+        const angle = Math.atan2(-(second.position.z - first.position.z), second.position.x - first.position.x);
+        // A new pair starts from its own angle, without a jump
+        const samePair = this.pairIds !== null && this.pairIds[0] === first.id && this.pairIds[1] === second.id;
+        const previous = this.pairAngle;
+        this.pairIds = [first.id, second.id];
+        this.pairAngle = angle;
+        if (!samePair) return false;
+
+        // The short way round
+        const delta = Math.atan2(Math.sin(angle - previous), Math.cos(angle - previous));
+        if (delta === 0) return false;
+        this.offset.subVectors(this.camera.position, this.controls.target).applyAxisAngle(UP, delta);
+        this.camera.position.addVectors(this.controls.target, this.offset);
+        return true;
+    }
+}
+
+// Mass-weighted mean of the records' positions into `out`; false if they have no mass
+function centerOfMass(records, out) {
+    let mass = 0;
+    out.set(0, 0, 0);
+    records.forEach(record => {
+        mass += record.mass;
+        out.x += record.mass * record.position.x;
+        out.y += record.mass * record.position.y;
+        out.z += record.mass * record.position.z;
+    });
+    if (!(mass > 0)) return false;
+    out.divideScalar(mass);
+    return true;
+}
+
+export { CAMERA_TARGETS };
+export default CameraFollow;
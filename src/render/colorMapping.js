@@ -0,0 +1,22 @@
+// Shared color scheme for the crystal renderers.
+
+const DEFAULT_COLOR = 0x808080;
+
+// Color a crystal by its acceleration vs the maximum acceleration of all crystals, in place.
+// Inverted mapping: higher acceleration gives a lower hue value (closer to red)
+function accelerationColor(color, acceleration, maxAcceleration) {
+    const ratio = maxAcceleration > 0 ? acceleration / maxAcceleration : 0; // Before the first colored frame
+    const hue = 240 - (240 * (Math.max(0, Math.min(1, ratio))));
+    color.setHSL(hue / 360, 1.0, 0.5);
+    return color;
+}
+
+// Color a crystal by the clump it belongs to, in place. Hues step by the golden
+// ratio, so clumps with nearby ids still get distinct colors.
+function clumpColor(color, clumpId) {
+    const hue = (clumpId * 0.618033988749895) % 1;
+    color.setHSL(hue, 0.85, 0.55);
+    return color;
+}
+
+export { DEFAULT_COLOR, accelerationColor, clumpColor };
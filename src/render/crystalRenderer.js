@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { DEFAULT_COLOR, accelerationColor, clumpColor } from './colorMapping.js';
+import { createAttractorMesh } from './attractorMesh.js';
+
+// Three.js adapter for the simulation's bodies: keeps one mesh per body in
+// `group`, creating and disposing meshes as bodies come and go. `source` is a
+// SimulationClient, whose body records carry interpolated poses, the
+// acceleration magnitudes the worker computed for color mapping and clump labels.
+class CrystalRenderer {
+    constructor(source) {
+        this.source = source;
+        this.group = new THREE.Group();
+        this.meshes = new Map(); // body.id -> THREE.Mesh
+    }
+
+    createMesh(crystal) {
+        // Create a geometry that starts as a cylinder
+        const crystalGeometry = new THREE.CylinderGeometry(
+            crystal.baseRadius, // top radius
+            crystal.baseRadius, // bottom radius
+            crystal.height, // height of the crystal
+            crystal.radialSegments // number of radial segments
+        );
+
+        // Elongate the crystal by scaling it along the Y-axis
+        crystalGeometry.scale(1, crystal.elongation, 1);
+
+        // Bake the crystal's initial orientation into the geometry
+        crystalGeometry.rotateX(crystal.orientation.x);
+        crystalGeometry.rotateY(crystal.orientation.y);
+        crystalGeometry.rotateZ(crystal.orientation.z);
+
+        // Material and mesh creation
+        const crystalMaterial = new THREE.MeshPhongMaterial({
+            color: new THREE.Color(DEFAULT_COLOR),
+            specular: new THREE.Color(0xffffff),
+            shininess: 30,
+            flatShading: true,
+        });
+        const crystalMesh = new THREE.Mesh(crystalGeometry, crystalMaterial);
+
+        // Add shadow
+        crystalMesh.castShadow = true;
+        crystalMesh.receiveShadow = true;
+
+        return crystalMesh;
+    }
+
+    getMesh(body) {
+        return this.meshes.get(body.id);
+    }
+
+    // Bring the meshes in line with the simulation's bodies
+    sync(enableColorMapping, enableClumpColors = false) {
+        const bodies = this.source.bodies;
+
+        // Drop meshes whose bodies have left the simulation
+        const liveIds = new Set(bodies.map(body => body.id));
+        this.meshes.forEach((mesh, id) => {
+            if (!liveIds.has(id)) this.removeMesh(id);
+        });
+
+        const maxAcceleration = this.source.maxAcceleration;
+
+        bodies.forEach(body => {
+            let mesh = this.meshes.get(body.id);
+            if (!mesh) {
+                mesh = body.attractor ? createAttractorMesh(body.attractor) : this.createMesh(body.crystal);
+                mesh.userData.bodyId = body.id;
+                this.meshes.set(body.id, mesh);
+                this.group.add(mesh);
+            }
+
+            mesh.position.copy(body.position);
+            mesh.quaternion.copy(body.quaternion);
+
+            if (body.attractor) return;
+            if (enableClumpColors && body.clump !== -1) {
+                clumpColor(mesh.material.color, body.clump);
+            } else if (enableColorMapping) {
+                this.updateColor(mesh.material.color, body.acceleration, maxAcceleration);
+            } else {
+                // Reset the color to the default
+                mesh.material.color.setHex(DEFAULT_COLOR);
+            }
+        });
+    }
+
+    updateColor(color, acceleration, maxAcceleration) {
+        return accelerationColor(color, acceleration, maxAcceleration);
+    }
+
+    // Id of the nearest body the ray hits, or null
+    pick(raycaster) {
+        const hit = raycaster.intersectObjects([...this.meshes.values()], false)[0];
+        return hit ? hit.object.userData.bodyId : null;
+    }
+
+    removeMesh(id) {
+        const mesh = this.meshes.get(id);
+        this.group.remove(mesh);
+        mesh.geometry.dispose(); // Dispose of the geometry
+        mesh.material.dispose(); // Dispose of the material
+        this.meshes.delete(id);
+    }
+
+    dispose() {
+        [...this.meshes.keys()].forEach(id => this.removeMesh(id));
+    }
+}
+
+export default CrystalRenderer;
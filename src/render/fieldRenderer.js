@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+import { FIELD_PLANES } from '../fieldSlice.js';
+import { accelerationColor } from './colorMapping.js';
+
+const AXES = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+const CONTOUR_SHADE = 0.25; // Brightness of contour cells
+
+// The gravity field slice in `source.field` (see fieldSlice.js) as a translucent
+// textured square, one texel per cell. Cells are colored on a log scale of the
+// potential's depth or of the acceleration, from blue (weak) to red (strong) like
+// "See Gravity". With `contours` above 0, the scale is cut into that many bands
+// and the cells where the band changes are darkened into contour lines.
+class FieldRenderer {
+    constructor(source, { opacity = 0.6, contours = 0 } = {}) {
+        this.source = source;
+        this.contours = contours;
+        this.lastDrawn = null;
+        this.texture = null;
+        this.resolution = 0;
+
+        this.material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true, opacity: opacity, depthWrite: false });
+        this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), this.material);
+        this.mesh.visible = false;
+        this.group = this.mesh;
+
+        this.color = new THREE.Color(); // Scratch
+        this.basis = new THREE.Matrix4(); // Scratch
+        this.normal = new THREE.Vector3(); // Scratch
+    }
+
+    get opacity() {
+        return this.material.opacity;
+    }
+
+    set opacity(value) {
+        this.material.opacity = value;
+    }
+
+    // Redraw on the next sync, e.g. after changing `contours`
+    invalidate() {
+        this.lastDrawn = null;
+    }
+
+    // Textures can't be resized, so replace it with one of the new resolution
+    allocate(resolution) {
+        if (this.texture) this.texture.dispose();
+        this.texture = new THREE.DataTexture(new Uint8Array(4 * resolution * resolution), resolution, resolution, THREE.RGBAFormat);
+        this.texture.magFilter = THREE.LinearFilter;
+        this.material.map = this.texture;
+        this.material.needsUpdate = true;
+        this.resolution = resolution;
+    }
+
+    // Redraw when a frame has brought a new slice
+    sync() {
+        const field = this.source.field;
+        if (field === this.lastDrawn) return;
+        this.lastDrawn = field;
+        this.mesh.visible = field !== null;
+        if (!field) return;
+
+        if (field.resolution !== this.resolution) this.allocate(field.resolution);
+        const levels = logLevels(field);
+        const data = this.texture.image.data;
+        const band = k => Math.floor(levels[k] * this.contours);
+        for (let k = 0; k < levels.length; k++) {
+            accelerationColor(this.color, levels[k], 1);
+            if (this.contours > 0) {
+                // A band edge between this cell and the next one along u or v
+                const i = k % field.resolution;
+                const edge = (i + 1 < field.resolution && band(k + 1) !== band(k)) ||
+                    (k + field.resolution < levels.length && band(k + field.resolution) !== band(k));
+                if (edge) this.color.multiplyScalar(CONTOUR_SHADE);
+            }
+            data[4 * k] = Math.round(255 * this.color.r);
+            data[4 * k + 1] = Math.round(255 * this.color.g);
+            data[4 * k + 2] = Math.round(255 * this.color.b);
+            data[4 * k + 3] = 255;
+        }
+        this.texture.needsUpdate = true;
+
+        // The plane's local x and y run along the slice's u and v
+        const [u, v, normal] = FIELD_PLANES[field.plane];
+        this.normal.crossVectors(AXES[u], AXES[v]);
+        this.basis.makeBasis(AXES[u], AXES[v], this.normal);
+        this.mesh.quaternion.setFromRotationMatrix(this.basis);
+        this.mesh.position.set(0, 0, 0);
+        this.mesh.position[normal] = field.offset;
+        this.mesh.scale.set(field.size, field.size, 1);
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.material.dispose();
+        if (this.texture) this.texture.dispose();
+    }
+}
+
+// Each cell's place from 0 to 1 between the slice's weakest and strongest field, on
+// a log scale; the depth of the (negative) potential stands in for its strength
+function logLevels(field) {
+    const potential = field.quantity === 'potential';
+    const strongest = potential ? -field.min : field.max;
+    const weakest = potential ? -field.max : field.min;
+    const levels = new Float32Array(field.values.length);
+    if (!(strongest > 0)) return levels; // No field at all
+    // Keep the scale to six decades, in case the weakest cell is (near) zero
+    const low = Math.log(Math.max(weakest, strongest * 1e-6));
+    const range = Math.log(strongest) - low;
+    field.values.forEach((value, k) => {
+        const strength = potential ? -value : value;
+        const level = range > 0 ? (Math.log(Math.max(strength, Number.MIN_VALUE)) - low) / range : 1;
+        // Cells on top of a body (infinite) saturate
+        levels[k] = Number.isNaN(level) ? 1 : Math.max(0, Math.min(1, level));
+    });
+    return levels;
+}
+
+export default FieldRenderer;
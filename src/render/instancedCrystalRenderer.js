@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { DEFAULT_COLOR, accelerationColor, clumpColor } from './colorMapping.js';
+import { createAttractorMesh } from './attractorMesh.js';
+
+const INITIAL_CAPACITY = 256;
+
+// Instanced alternative to CrystalRenderer for large crystal counts: one
+// InstancedMesh per prism archetype (a unit cylinder per radialSegments value),
+// so the draw calls no longer grow with the number of bodies. Each crystal's
+// size, elongation and baked-in orientation go into its instance matrix, and
+// color mapping writes instance colors. The few attractors get a mesh each.
+class InstancedCrystalRenderer {
+    constructor(source) {
+        this.source = source;
+        this.group = new THREE.Group();
+        this.archetypes = new Map(); // radialSegments -> { mesh, capacity, count, ids }
+        this.shapes = new Map(); // body.id -> { archetype, orientation, scale }
+        this.attractorMeshes = new Map(); // body.id -> THREE.Mesh
+
+        // Scratch objects reused for every instance
+        this.matrix = new THREE.Matrix4();
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.color = new THREE.Color();
+    }
+
+    createArchetype(radialSegments, capacity = INITIAL_CAPACITY) {
+        const geometry = new THREE.CylinderGeometry(1, 1, 1, radialSegments);
+        // White, so the instance colors show unchanged
+        const material = new THREE.MeshPhongMaterial({
+            color: new THREE.Color(0xffffff),
+            specular: new THREE.Color(0xffffff),
+            shininess: 30,
+            flatShading: true,
+        });
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.count = 0;
+        // Instances move every frame, so a cached bounding sphere would cull wrongly
+        mesh.frustumCulled = false;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        // Allocate the color buffer up front
+        mesh.setColorAt(0, this.color.setHex(DEFAULT_COLOR));
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+        return { radialSegments, mesh, capacity, count: 0, ids: [] }; // ids: instance index -> body.id
+    }
+
+    getArchetype(radialSegments) {
+        let archetype = this.archetypes.get(radialSegments);
+        if (!archetype) {
+            archetype = this.createArchetype(radialSegments);
+            this.archetypes.set(radialSegments, archetype);
+            this.group.add(archetype.mesh);
+        }
+        return archetype;
+    }
+
+    // InstancedMesh buffers can't grow, so replace the mesh with a larger one
+    grow(archetype, needed) {
+        let capacity = archetype.capacity;
+        while (capacity < needed) capacity *= 2;
+        const replacement = this.createArchetype(archetype.radialSegments, capacity);
+        this.group.remove(archetype.mesh);
+        archetype.mesh.geometry.dispose();
+        archetype.mesh.material.dispose();
+        archetype.mesh.dispose();
+        this.group.add(replacement.mesh);
+        archetype.mesh = replacement.mesh;
+        archetype.capacity = capacity;
+    }
+
+    // Per-crystal scale and the orientation CrystalRenderer bakes into its geometry
+    getShape(body) {
+        let shape = this.shapes.get(body.id);
+        if (!shape) {
+            const crystal = body.crystal;
+            const orientation = crystal.orientation;
+            shape = {
+                archetype: this.getArchetype(crystal.radialSegments),
+                // rotateX, then rotateY, then rotateZ on the geometry
+                orientation: new THREE.Quaternion().setFromEuler(new THREE.Euler(orientation.x, orientation.y, orientation.z, 'ZYX')),
+                scale: new THREE.Vector3(crystal.baseRadius, crystal.height * crystal.elongation, crystal.baseRadius),
+            };
+            this.shapes.set(body.id, shape);
+        }
+        return shape;
+    }
+
+    syncAttractors(attractors) {
+        const liveIds = new Set(attractors.map(body => body.id));
+        this.attractorMeshes.forEach((mesh, id) => {
+            if (!liveIds.has(id)) this.removeAttractorMesh(id);
+        });
+        attractors.forEach(body => {
+            let mesh = this.attractorMeshes.get(body.id);
+            if (!mesh) {
+                mesh = createAttractorMesh(body.attractor);
+                mesh.userData.bodyId = body.id;
+                this.attractorMeshes.set(body.id, mesh);
+                this.group.add(mesh);
+            }
+            mesh.position.copy(body.position);
+            mesh.quaternion.copy(body.quaternion);
+        });
+    }
+
+    removeAttractorMesh(id) {
+        const mesh = this.attractorMeshes.get(id);
+        this.group.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.attractorMeshes.delete(id);
+    }
+
+    // Rewrite every instance from the simulation's bodies
+    sync(enableColorMapping, enableClumpColors = false) {
+        const maxAcceleration = this.source.maxAcceleration;
+        this.syncAttractors(this.source.bodies.filter(body => body.attractor));
+        const bodies = this.source.bodies.filter(body => body.crystal);
+
+        // Forget the shapes of bodies that have left the simulation
+        if (this.shapes.size > bodies.length) {
+            const liveIds = new Set(bodies.map(body => body.id));
+            [...this.shapes.keys()].forEach(id => { if (!liveIds.has(id)) this.shapes.delete(id); });
+        }
+
+        // Size every archetype for this frame's bodies before writing instances
+        this.archetypes.forEach(archetype => { archetype.count = 0; });
+        const shapes = bodies.map(body => {
+            const shape = this.getShape(body);
+            shape.archetype.count++;
+            return shape;
+        });
+        this.archetypes.forEach(archetype => {
+            if (archetype.count > archetype.capacity) this.grow(archetype, archetype.count);
+            archetype.mesh.count = archetype.count;
+            archetype.count = 0;
+        });
+
+        bodies.forEach((body, i) => {
+            const shape = shapes[i];
+            const archetype = shape.archetype;
+            const index = archetype.count++;
+
+            this.position.set(body.position.x, body.position.y, body.position.z);
+            this.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w).multiply(shape.orientation);
+            this.matrix.compose(this.position, this.quaternion, shape.scale);
+            archetype.mesh.setMatrixAt(index, this.matrix);
+            archetype.ids[index] = body.id;
+
+            if (enableClumpColors && body.clump !== -1) {
+                clumpColor(this.color, body.clump);
+            } else if (enableColorMapping) {
+                accelerationColor(this.color, body.acceleration, maxAcceleration);
+            } else {
+                this.color.setHex(DEFAULT_COLOR);
+            }
+            archetype.mesh.setColorAt(index, this.color);
+        });
+
+        this.archetypes.forEach(archetype => {
+            archetype.mesh.instanceMatrix.needsUpdate = true;
+            archetype.mesh.instanceColor.needsUpdate = true;
+        });
+    }
+
+    // Id of the nearest body the ray hits, or null
+    pick(raycaster) {
+        const archetypes = [...this.archetypes.values()];
+        // Instanced meshes cache their bounding sphere on the first raycast, but the instances move
+        archetypes.forEach(archetype => archetype.mesh.computeBoundingSphere());
+        const meshes = [...archetypes.map(archetype => archetype.mesh), ...this.attractorMeshes.values()];
+        const hit = raycaster.intersectObjects(meshes, false)[0];
+        if (!hit) return null;
+        if (hit.instanceId === undefined) return hit.object.userData.bodyId;
+        return archetypes.find(archetype => archetype.mesh === hit.object).ids[hit.instanceId];
+    }
+
+    dispose() {
+        this.archetypes.forEach(archetype => {
+            this.group.remove(archetype.mesh);
+            archetype.mesh.geometry.dispose();
+            archetype.mesh.material.dispose();
+            archetype.mesh.dispose();
+        });
+        this.archetypes.clear();
+        this.shapes.clear();
+        [...this.attractorMeshes.keys()].forEach(id => this.removeAttractorMesh(id));
+    }
+}
+
+export default InstancedCrystalRenderer;
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { orbitPoint } from '../orbits.js';
+
+const ORBIT_MODES = ['off', 'selected', 'all'];
+const ORBIT_COLOR = 0x9ccc65;
+const SELECTED_COLOR = 0xffee58;
+const SEGMENTS = 128; // Per ellipse
+const INITIAL_CAPACITY = 64; // Ellipses
+
+// Osculating ellipses of the orbits in `source.orbits` (see orbits.js), drawn around
+// their foci as one LineSegments. Unbound orbits have no ellipse and are skipped.
+// The inspected body's orbit is drawn in the selection color. Which orbits the
+// worker sends is set with SimulationClient.setOrbits.
+class OrbitRenderer {
+    constructor(source) {
+        this.source = source;
+        this.lastDrawn = null;
+
+        this.group = new THREE.Group();
+        this.material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.6 });
+        this.allocate(INITIAL_CAPACITY);
+
+        this.color = new THREE.Color(); // Scratch
+    }
+
+    // Line buffers can't grow, so replace the geometry with a larger one
+    allocate(capacity) {
+        if (this.lines) {
+            this.group.remove(this.lines);
+            this.lines.geometry.dispose();
+        }
+        const vertices = 2 * SEGMENTS * capacity;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * vertices), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3 * vertices), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+        this.lines = new THREE.LineSegments(geometry, this.material);
+        // Orbits span the scene and change every frame
+        this.lines.frustumCulled = false;
+        this.capacity = capacity;
+        this.group.add(this.lines);
+    }
+
+    // Redraw when a frame has brought new orbits
+    sync() {
+        const orbits = this.source.orbits;
+        if (orbits === this.lastDrawn) return;
+        this.lastDrawn = orbits;
+
+        const ellipses = orbits.filter(orbit => orbit.elements.bound);
+        if (ellipses.length > this.capacity) {
+            let capacity = this.capacity;
+            while (capacity < ellipses.length) capacity *= 2;
+            this.allocate(capacity);
+        }
+
+        const positions = this.lines.geometry.attributes.position.array;
+        const colors = this.lines.geometry.attributes.color.array;
+        let v = 0; // Vertex index
+        const writeVertex = (focus, point) => {
+            positions[3 * v] = focus.x + point.x;
+            positions[3 * v + 1] = focus.y + point.y;
+            positions[3 * v + 2] = focus.z + point.z;
+            colors[3 * v] = this.color.r;
+            colors[3 * v + 1] = this.color.g;
+            colors[3 * v + 2] = this.color.b;
+            v++;
+        };
+
+        ellipses.forEach(orbit => {
+            this.color.setHex(orbit.id === this.source.inspectedId ? SELECTED_COLOR : ORBIT_COLOR);
+            let previous = orbitPoint(orbit.elements, 0);
+            for (let k = 1; k <= SEGMENTS; k++) {
+                const point = orbitPoint(orbit.elements, 2 * Math.PI * k / SEGMENTS);
+                writeVertex(orbit.focus, previous);
+                writeVertex(orbit.focus, point);
+                previous = point;
+            }
+        });
+
+        const geometry = this.lines.geometry;
+        geometry.setDrawRange(0, v);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    dispose() {
+        this.group.remove(this.lines);
+        this.lines.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export { ORBIT_MODES };
+export default OrbitRenderer;
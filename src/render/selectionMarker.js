@@ -0,0 +1,39 @@
+import * as THREE from 'three';
+
+const MARKER_COLOR = 0xffee58;
+
+// Highlight for the body picked for the inspector: a wireframe ball around it,
+// drawn over everything so it shows even inside a dense clump. Follows
+// `source.inspectedId`, so it disappears when the body leaves the simulation.
+class SelectionMarker {
+    constructor(source) {
+        this.source = source;
+        const geometry = new THREE.EdgesGeometry(new THREE.IcosahedronGeometry(1, 1));
+        const material = new THREE.LineBasicMaterial({ color: MARKER_COLOR, depthTest: false, transparent: true });
+        this.mesh = new THREE.LineSegments(geometry, material);
+        this.mesh.renderOrder = 1;
+        this.mesh.visible = false;
+        this.group = this.mesh;
+    }
+
+    sync() {
+        const record = this.source.records.get(this.source.inspectedId);
+        this.mesh.visible = record !== undefined;
+        if (!record) return;
+        this.mesh.position.copy(record.position);
+        this.mesh.scale.setScalar(1.5 * boundingRadius(record));
+    }
+
+    dispose() {
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
+
+function boundingRadius(record) {
+    if (record.attractor) return record.attractor.radius;
+    const crystal = record.crystal;
+    return Math.hypot(crystal.baseRadius, crystal.height * crystal.elongation / 2);
+}
+
+export default SelectionMarker;
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { ATTRACTOR_COLORS } from './attractorMesh.js';
+
+const TRAIL_MODES = ['off', 'all', 'selected'];
+const TRAIL_COLOR = 0x66ccff;
+const INITIAL_CAPACITY = 4096; // Segments
+
+// Orbit trails: each traced body keeps a ring buffer of its last `length` positions,
+// sampled from the simulation frames every `decimation` steps. All trails are drawn
+// as one LineSegments whose vertex colors fade from the newest point to black, which
+// additive blending turns into a fade-out. The newest segment runs to the body's
+// interpolated position, so trails stay attached between samples.
+//
+// `mode` traces every body ('all'), only the ids in `selection` ('selected'), or none.
+class TrailRenderer {
+    constructor(source, { length = 120, decimation = 2 } = {}) {
+        this.source = source;
+        this.mode = 'off';
+        this.length = length; // Samples kept per body
+        this.decimation = decimation; // Simulation steps between samples
+        this.selection = new Set(); // Body ids traced in 'selected' mode
+        this.trails = new Map(); // body.id -> { positions, head, count }
+        this.lastSlot = null; // Step index of the last sample, divided by the decimation
+        this.lastStep = null;
+
+        this.group = new THREE.Group();
+        this.material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+        });
+        this.allocate(INITIAL_CAPACITY);
+
+        this.color = new THREE.Color(); // Scratch
+    }
+
+    // Line buffers can't grow, so replace the geometry with a larger one
+    allocate(capacity) {
+        if (this.lines) {
+            this.group.remove(this.lines);
+            this.lines.geometry.dispose();
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6 * capacity), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(6 * capacity), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+        this.lines = new THREE.LineSegments(geometry, this.material);
+        // Trails span the scene and change every frame
+        this.lines.frustumCulled = false;
+        this.capacity = capacity;
+        this.group.add(this.lines);
+    }
+
+    setLength(length) {
+        // Ring buffers have a fixed size; start the trails over
+        this.length = length;
+        this.clear();
+    }
+
+    clear() {
+        this.trails.clear();
+    }
+
+    select(id) {
+        this.selection.add(id);
+    }
+
+    deselect(id) {
+        this.selection.delete(id);
+        this.trails.delete(id);
+    }
+
+    clearSelection() {
+        this.selection.forEach(id => this.trails.delete(id));
+        this.selection.clear();
+    }
+
+    isTraced(body) {
+        return this.mode === 'all' || (this.mode === 'selected' && this.selection.has(body.id));
+    }
+
+    // Append each traced body's position from the latest simulation frame
+    sample(bodies) {
+        bodies.forEach(body => {
+            if (!this.isTraced(body) || !body.to) return;
+            let trail = this.trails.get(body.id);
+            if (!trail) {
+                trail = { positions: new Float32Array(3 * this.length), head: 0, count: 0 };
+                this.trails.set(body.id, trail);
+            }
+            trail.positions[3 * trail.head] = body.to.px;
+            trail.positions[3 * trail.head + 1] = body.to.py;
+            trail.positions[3 * trail.head + 2] = body.to.pz;
+            trail.head = (trail.head + 1) % this.length;
+            trail.count = Math.min(trail.count + 1, this.length);
+        });
+    }
+
+    sync() {
+        this.lines.visible = this.mode !== 'off';
+        if (this.mode === 'off') {
+            this.clear();
+            return;
+        }
+
+        const bodies = this.source.bodies;
+        const step = this.source.stepCount;
+        // A restart or restored snapshot goes back in time
+        if (this.lastStep !== null && step < this.lastStep) this.clear();
+        this.lastStep = step;
+        const slot = Math.floor(step / this.decimation);
+        if (slot !== this.lastSlot) {
+            this.sample(bodies);
+            this.lastSlot = slot;
+        }
+
+        // Drop the trails of bodies that are gone or no longer traced
+        const traced = new Map();
+        bodies.forEach(body => { if (this.isTraced(body)) traced.set(body.id, body); });
+        [...this.trails.keys()].forEach(id => { if (!traced.has(id)) this.trails.delete(id); });
+
+        let segments = 0;
+        this.trails.forEach(trail => { segments += trail.count; });
+        if (segments > this.capacity) {
+            let capacity = this.capacity;
+            while (capacity < segments) capacity *= 2;
+            this.allocate(capacity);
+        }
+
+        const positions = this.lines.geometry.attributes.position.array;
+        const colors = this.lines.geometry.attributes.color.array;
+        let v = 0; // Vertex index
+        const color = this.color;
+        const writeVertex = (x, y, z, brightness) => {
+            positions[3 * v] = x;
+            positions[3 * v + 1] = y;
+            positions[3 * v + 2] = z;
+            colors[3 * v] = color.r * brightness;
+            colors[3 * v + 1] = color.g * brightness;
+            colors[3 * v + 2] = color.b * brightness;
+            v++;
+        };
+
+        this.trails.forEach((trail, id) => {
+            const body = traced.get(id);
+            const p = trail.positions;
+            color.setHex(body.attractor ? ATTRACTOR_COLORS[body.attractor.motion] : TRAIL_COLOR);
+            // Segments from the oldest sample to the newest, then on to the body itself
+            const oldest = (trail.head - trail.count + this.length) % this.length;
+            for (let k = 0; k < trail.count; k++) {
+                const i = 3 * ((oldest + k) % this.length);
+                writeVertex(p[i], p[i + 1], p[i + 2], k / trail.count);
+                if (k + 1 < trail.count) {
+                    const j = 3 * ((oldest + k + 1) % this.length);
+                    writeVertex(p[j], p[j + 1], p[j + 2], (k + 1) / trail.count);
+                } else {
+                    writeVertex(body.position.x, body.position.y, body.position.z, 1);
+                }
+            }
+        });
+
+        const geometry = this.lines.geometry;
+        geometry.setDrawRange(0, v);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    dispose() {
+        this.group.remove(this.lines);
+        this.lines.geometry.dispose();
+        this.material.dispose();
+        this.trails.clear();
+    }
+}
+
+export { TRAIL_MODES };
+export default TrailRenderer;
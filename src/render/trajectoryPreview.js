@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+
+const PREVIEW_COLOR = 0xff8a65;
+
+// Dashed line along the predicted path of the next throw (see trajectory.js)
+class TrajectoryPreview {
+    constructor() {
+        this.material = new THREE.LineDashedMaterial({ color: PREVIEW_COLOR, dashSize: 4, gapSize: 3, transparent: true, opacity: 0.8 });
+        this.line = null;
+        this.group = new THREE.Group();
+        this.allocate(301);
+    }
+
+    // Line buffers can't grow, so replace the geometry with a larger one
+    allocate(capacity) {
+        if (this.line) {
+            this.group.remove(this.line);
+            this.line.geometry.dispose();
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * capacity), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+        this.line = new THREE.Line(geometry, this.material);
+        this.line.frustumCulled = false;
+        this.line.visible = false;
+        this.capacity = capacity;
+        this.group.add(this.line);
+    }
+
+    // `points` is a Float32Array of x, y, z triples
+    show(points) {
+        const count = points.length / 3;
+        if (count > this.capacity) this.allocate(count);
+        const geometry = this.line.geometry;
+        geometry.attributes.position.array.set(points);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.setDrawRange(0, count);
+        this.line.computeLineDistances();
+        this.line.visible = count > 1;
+    }
+
+    hide() {
+        this.line.visible = false;
+    }
+
+    dispose() {
+        this.group.remove(this.line);
+        this.line.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default TrajectoryPreview;
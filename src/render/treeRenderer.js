@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { accelerationColor } from './colorMapping.js';
+
+const TREE_COLORINGS = ['depth', 'mass'];
+const BOX_STRIDE = 6; // center x, y, z, half size, depth, mass
+const INITIAL_CAPACITY = 512; // Boxes
+
+// Corners of the unit cube as signs, and its 12 edges as pairs of corners
+const CORNERS = [];
+for (let x = -1; x <= 1; x += 2) {
+    for (let y = -1; y <= 1; y += 2) {
+        for (let z = -1; z <= 1; z += 2) CORNERS.push([x, y, z]);
+    }
+}
+const EDGES = [[0, 1], [2, 3], [4, 5], [6, 7], [0, 2], [1, 3], [4, 6], [5, 7], [0, 4], [1, 5], [2, 6], [3, 7]];
+
+// Wireframe boxes of the octree nodes in `source.tree.boxes` (see the worker's
+// describeTree), drawn as one LineSegments. Boxes are colored from blue to red by
+// depth, or by node mass on a log scale, so both how deep the tree goes and where the
+// mass sits show at a glance.
+class TreeRenderer {
+    constructor(source, { colorBy = 'depth' } = {}) {
+        this.source = source;
+        this.colorBy = colorBy; // One of TREE_COLORINGS
+        this.lastDrawn = null;
+
+        this.group = new THREE.Group();
+        this.material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.5, depthWrite: false });
+        this.allocate(INITIAL_CAPACITY);
+
+        this.color = new THREE.Color(); // Scratch
+    }
+
+    get visible() {
+        return this.group.visible;
+    }
+
+    set visible(value) {
+        this.group.visible = value;
+    }
+
+    // Redraw on the next sync, e.g. after changing `colorBy`
+    invalidate() {
+        this.lastDrawn = null;
+    }
+
+    // Line buffers can't grow, so replace the geometry with a larger one
+    allocate(capacity) {
+        if (this.lines) {
+            this.group.remove(this.lines);
+            this.lines.geometry.dispose();
+        }
+        const vertices = 2 * EDGES.length * capacity;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3 * vertices), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3 * vertices), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+        this.lines = new THREE.LineSegments(geometry, this.material);
+        this.lines.frustumCulled = false;
+        this.capacity = capacity;
+        this.group.add(this.lines);
+    }
+
+    // Redraw when a frame has brought a new tree
+    sync() {
+        const boxes = this.source.tree.boxes;
+        if (boxes === this.lastDrawn) return;
+        this.lastDrawn = boxes;
+        const count = boxes ? boxes.length / BOX_STRIDE : 0;
+        if (count > this.capacity) {
+            let capacity = this.capacity;
+            while (capacity < count) capacity *= 2;
+            this.allocate(capacity);
+        }
+
+        let maxDepth = 0;
+        let minMass = Infinity;
+        let maxMass = 0;
+        for (let b = 0; b < count; b++) {
+            maxDepth = Math.max(maxDepth, boxes[BOX_STRIDE * b + 4]);
+            minMass = Math.min(minMass, boxes[BOX_STRIDE * b + 5]);
+            maxMass = Math.max(maxMass, boxes[BOX_STRIDE * b + 5]);
+        }
+        const massRange = Math.log(maxMass / minMass);
+
+        const positions = this.lines.geometry.attributes.position.array;
+        const colors = this.lines.geometry.attributes.color.array;
+        let v = 0; // Vertex index
+        for (let b = 0; b < count; b++) {
+            const [x, y, z, halfSize, depth, mass] = boxes.subarray(BOX_STRIDE * b, BOX_STRIDE * (b + 1));
+            const ratio = this.colorBy === 'mass' ?
+                (massRange > 0 ? Math.log(mass / minMass) / massRange : 1) :
+                (maxDepth > 0 ? depth / maxDepth : 0);
+            accelerationColor(this.color, ratio, 1);
+            EDGES.forEach(edge => edge.forEach(corner => {
+                const [sx, sy, sz] = CORNERS[corner];
+                positions[3 * v] = x + sx * halfSize;
+                positions[3 * v + 1] = y + sy * halfSize;
+                positions[3 * v + 2] = z + sz * halfSize;
+                colors[3 * v] = this.color.r;
+                colors[3 * v + 1] = this.color.g;
+                colors[3 * v + 2] = this.color.b;
+                v++;
+            }));
+        }
+
+        const geometry = this.lines.geometry;
+        geometry.setDrawRange(0, v);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    dispose() {
+        this.group.remove(this.lines);
+        this.lines.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export { TREE_COLORINGS };
+export default TreeRenderer;
@@ -2,13 +2,34 @@ import './style.css';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import * as dat from 'dat.gui';
-import Simulation from './sim.js';
+import SimulationClient from './worker/simulationClient.js';
+import CrystalRenderer from './render/crystalRenderer.js';
+import InstancedCrystalRenderer from './render/instancedCrystalRenderer.js';
+import TrailRenderer, { TRAIL_MODES } from './render/trailRenderer.js';
+import SelectionMarker from './render/selectionMarker.js';
+import OrbitRenderer, { ORBIT_MODES } from './render/orbitRenderer.js';
+import TrajectoryPreview from './render/trajectoryPreview.js';
+import CameraFollow, { CAMERA_TARGETS } from './render/cameraFollow.js';
+import FieldRenderer from './render/fieldRenderer.js';
+import TreeRenderer, { TREE_COLORINGS } from './render/treeRenderer.js';
+import DiagnosticsPanel from './ui/diagnosticsPanel.js';
+import InspectorPanel from './ui/inspectorPanel.js';
+import { randomSeed } from './utils/random.js';
+import { SOFTENING_KERNELS } from './softening.js';
+import { TREE_TYPES } from './octree.js';
+import { INTEGRATORS, TIMESTEP_MODES } from './integrators.js';
+import { ACCRETION_CRITERIA } from './accretion.js';
+import { BOUNDARY_MODES } from './boundary.js';
+import { INITIAL_CONDITIONS } from './initialConditions.js';
+import { ATTRACTOR_MOTIONS, createAttractor } from './attractors.js';
+import { ORBIT_REFERENCES, ORBITAL_SPEEDS } from './orbits.js';
+import { FIELD_QUANTITIES, FIELD_PLANES } from './fieldSlice.js';
+import { LOG_CHANNELS, LOG_FORMATS } from './dataLogger.js';
 import Stats from 'three/examples/jsm/libs/stats.module.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { SSAOPass } from 'three/examples/jsm/postprocessing/SSAOPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
-import * as CANNON from 'cannon';
 
 // Setup ------------------------------------
 const canvas = document.querySelector('canvas.webgl');
@@ -97,10 +118,48 @@ const worldsize = isMobileDevice() ? 200 : 450;
 const velocityX = isMobileDevice() ? 5 : 20;
 const velocityY = isMobileDevice() ? 5 : 20;
 const velocityZ = isMobileDevice() ? 5 : 20;
-const simulation = new Simulation(gravityConstant * 10e-6, sphereCount, worldsize, velocityX, velocityY, velocityZ, scene);
-scene.add(simulation.getMeshes());
+const seed = randomSeed();
+// The engine steps in a Web Worker; `simulation` mirrors its state for rendering and the GUI
+const simulation = new SimulationClient({
+    gravityConstant: gravityConstant * 10e-6,
+    sphereCount: sphereCount,
+    worldSize: worldsize,
+    velocity: { x: velocityX, y: velocityY, z: velocityZ },
+    seed: seed,
+});
+// Instanced rendering keeps draw calls constant; one mesh per crystal is kept for comparison
+let crystalRenderer = new InstancedCrystalRenderer(simulation);
+scene.add(crystalRenderer.group);
+const trailRenderer = new TrailRenderer(simulation);
+scene.add(trailRenderer.group);
+const diagnosticsPanel = new DiagnosticsPanel(simulation.diagnostics);
+const selectionMarker = new SelectionMarker(simulation);
+scene.add(selectionMarker.group);
+const orbitRenderer = new OrbitRenderer(simulation);
+scene.add(orbitRenderer.group);
+const trajectoryPreview = new TrajectoryPreview();
+scene.add(trajectoryPreview.group);
+const cameraFollow = new CameraFollow(simulation, camera, controls);
+const fieldRenderer = new FieldRenderer(simulation);
+scene.add(fieldRenderer.group);
+const treeRenderer = new TreeRenderer(simulation);
+scene.add(treeRenderer.group);
+// Shared by the Orbits folder and the inspector's "Use as Primary"
+const orbitSettings = { mode: 'off', reference: 'massive', primaryId: -1 };
+const inspectorPanel = new InspectorPanel(simulation, {
+    onClose: () => simulation.inspect(null),
+    onSetPrimary: id => {
+        orbitSettings.reference = 'body';
+        orbitSettings.primaryId = id;
+        simulation.setOrbits({ reference: 'body', primaryId: id });
+    },
+});
 
 // GUI for simulation properties
+const CLICK_TOOLS = ['throw', 'select'];
+// 'force' throws along the mouse ray at the throw force; the others launch tangentially
+// at the circular or escape speed about the body under the mouse
+const THROW_MODES = ['force', ...ORBITAL_SPEEDS];
 const simulationProperties = {
     totalSpheres: sphereCount,
     gravityConstant: gravityConstant,
@@ -108,9 +167,14 @@ const simulationProperties = {
     velocityX: velocityX,
     velocityY: velocityY,
     velocityZ: velocityZ,
+    seed: seed,
     throwForce: 100,
     amountOfCrystals: 1,
     radiusOfThrow: 5,
+    throwMode: 'force',
+    showPreview: true,
+    previewSteps: 300,
+    clickTool: 'throw', // What a click on the canvas does, one of CLICK_TOOLS
     start: () => toggleSimulation(true),
     stop: () => toggleSimulation(false),
     // Function to update the throw force, called when the GUI slider is changed
@@ -123,8 +187,15 @@ const simulationProperties = {
 const gridHelper = new THREE.GridHelper(1000, 100);
 scene.add(gridHelper);
 
-// Add GUI controls --------------------------------
-addSimulationGUI(gui, simulation, simulationProperties);
+// Add GUI controls once the worker has reported its settings --------------------------------
+simulation.ready.then(() => {
+    addSimulationGUI(gui, simulation, simulationProperties);
+    simulation.onSettings = () => {
+        refreshGUI(gui);
+        // Gravity or the timestep may have changed under the throw preview
+        throwPreview.key = null;
+    };
+});
 
 // Event Listeners -------------------------------
 window.addEventListener('resize', onWindowResize);
@@ -151,7 +222,17 @@ composer.addPass(bloomPass);
 // Animation Loop -------------------------------
 const animate = () => {
     stats.begin();
-    if (simulationProperties.running) simulation.update(1 / 60, colormapping);
+    simulation.interpolate(performance.now());
+    cameraFollow.update(performance.now());
+    crystalRenderer.sync(colormapping, clumpColors);
+    trailRenderer.sync();
+    selectionMarker.sync();
+    orbitRenderer.sync();
+    fieldRenderer.sync();
+    treeRenderer.sync();
+    updateThrowPreview();
+    diagnosticsPanel.update();
+    inspectorPanel.update();
     renderer.render(scene, camera);
     stats.end();
     composer.render();
@@ -160,38 +241,49 @@ const animate = () => {
 
 // GUI and Helper Functions -----------------------------
 let colormapping = false;
+let clumpColors = true; // Color the members of each clump while clumps are found
+let traceThrownCrystals = true; // Add thrown crystals to the trail selection
 
-function handleSimulationChange(simulation, props, propName, value) {
-    simulation[propName] = value;
+// `changes` are partial settings in the snapshot settings format
+function handleSimulationChange(simulation, props, changes) {
+    simulation.configure(changes);
     simulation.restart();
+    simulation.setRunning(false);
     props.running = false;
-    scene.add(simulation.getMeshes());
 }
 
 function addSimulationSettingsGUI(gui, simulation, props) {
     const simulationFolder = gui.addFolder('Simulation Settings');
 
     simulationFolder.add(props, 'totalSpheres', 1, 10000, 1).name('Total Spheres').onChange(value => {
-        handleSimulationChange(simulation, props, 'sphereCount', value);
+        handleSimulationChange(simulation, props, { sphereCount: value });
     });
 
     simulationFolder.add(props, 'gravityConstant', 0, 60000, 0.01).name('Gravity Constant').onChange(value => {
-        handleSimulationChange(simulation, props, 'gravityConstant', value * 10e-6);
+        handleSimulationChange(simulation, props, { gravityConstant: value * 10e-6 });
     });
 
+    simulationFolder.add(props, 'seed', 0, 4294967295, 1).name('Seed').onChange(value => {
+        handleSimulationChange(simulation, props, { seed: value });
+    }).listen();
+    simulationFolder.add({ newSeed: () => {
+        props.seed = randomSeed();
+        handleSimulationChange(simulation, props, { seed: props.seed });
+    } }, 'newSeed').name('New Seed');
+
     simulationFolder.add(props, 'worldsize', 0, 10000, 1).name('World Size').onChange(value => {
-        handleSimulationChange(simulation, props, 'worldSize', value);
+        handleSimulationChange(simulation, props, { worldSize: value });
     });
 
     const velocityFolder = simulationFolder.addFolder('Initial Velocities');
     velocityFolder.add(props, 'velocityX', 0, 100, 1).name('Velocity X').onChange(value => {
-        handleSimulationChange(simulation, props, 'velocityX', value);
+        handleSimulationChange(simulation, props, { velocity: { x: value } });
     });
     velocityFolder.add(props, 'velocityY', 0, 100, 1).name('Velocity Y').onChange(value => {
-        handleSimulationChange(simulation, props, 'velocityY', value);
+        handleSimulationChange(simulation, props, { velocity: { y: value } });
     });
     velocityFolder.add(props, 'velocityZ', 0, 100, 1).name('Velocity Z').onChange(value => {
-        handleSimulationChange(simulation, props, 'velocityZ', value);
+        handleSimulationChange(simulation, props, { velocity: { z: value } });
     });
 }
 
@@ -201,28 +293,370 @@ function addParticleThrowGUI(gui, simulation, props) {
     particleThrowFolder.add(props, 'throwForce', 0, 200, 1).name('Throw Force');
     particleThrowFolder.add(props, 'amountOfCrystals', 1, 100, 1).name('Amount of Crystals');
     particleThrowFolder.add(props, 'radiusOfThrow', 1, 50, 0.1).name('Radius of Throw');
+    particleThrowFolder.add(props, 'throwMode', THROW_MODES).name('Throw Speed');
+    particleThrowFolder.add(props, 'showPreview').name('Preview Path');
+    particleThrowFolder.add(props, 'previewSteps', 30, 3000, 10).name('Preview Steps');
+
+    particleThrowFolder.add({exportCrystals: () => exportCrystals()}, 'exportCrystals').name('Save Snapshot');
+    particleThrowFolder.add({importCrystals: () => document.getElementById('fileInput').click()}, 'importCrystals').name('Load Snapshot');
+}
+
+// Slider ranges for the generator parameters: [min, max, step, label]
+const INITIAL_CONDITION_CONTROLS = {
+    disk: {
+        centralMassRatio: [0, 100, 0.1, 'Central Mass / Disk'],
+        innerRadius: [0, 1, 0.01, 'Inner Radius'],
+        outerRadius: [0, 1, 0.01, 'Outer Radius'],
+        thickness: [0, 0.2, 0.001, 'Thickness'],
+        dispersion: [0, 1, 0.01, 'Velocity Dispersion'],
+    },
+    plummer: {
+        scaleRadius: [0.01, 1, 0.01, 'Scale Radius'],
+        virialRatio: [0, 2, 0.01, 'Virial Ratio 2K/|W|'],
+    },
+    hernquist: {
+        scaleRadius: [0.01, 1, 0.01, 'Scale Radius'],
+        virialRatio: [0, 2, 0.01, 'Virial Ratio 2K/|W|'],
+    },
+    rotatingCloud: {
+        cloudRadius: [0.05, 1, 0.01, 'Cloud Radius'],
+        spin: [0, 2, 0.01, 'Spin'],
+        dispersion: [0, 1, 0.01, 'Velocity Dispersion'],
+    },
+    collidingClusters: {
+        scaleRadius: [0.01, 0.5, 0.01, 'Cluster Radius'],
+        separation: [0, 2, 0.01, 'Separation'],
+        impactParameter: [0, 1, 0.01, 'Impact Parameter'],
+        approachSpeed: [0, 2, 0.01, 'Approach Speed'],
+    },
+    fewBody: {
+        count: [2, 3, 1, 'Bodies'],
+        mass: [1e6, 1e11, 1e6, 'Mass (kg)'],
+        separation: [0.05, 1, 0.01, 'Separation'],
+    },
+};
+
+function addInitialConditionsGUI(gui, simulation, props) {
+    const initialFolder = gui.addFolder('Initial Conditions');
+    const initialConditions = simulation.settings.initialConditions;
+
+    // Lengths are fractions of the world radius; every change regenerates the bodies
+    initialFolder.add(initialConditions, 'name', INITIAL_CONDITIONS).name('Generator').onChange(value => {
+        handleSimulationChange(simulation, props, { initialConditions: { name: value } });
+    });
+    Object.entries(INITIAL_CONDITION_CONTROLS).forEach(([generator, controls]) => {
+        const generatorFolder = initialFolder.addFolder(generator);
+        const parameters = initialConditions.parameters[generator];
+        Object.entries(controls).forEach(([key, [min, max, step, label]]) => {
+            generatorFolder.add(parameters, key, min, max, step).name(label).onChange(value => {
+                handleSimulationChange(simulation, props, { initialConditions: { parameters: { [generator]: { [key]: value } } } });
+            });
+        });
+    });
+}
+
+function addAttractorsGUI(gui, simulation, props) {
+    const attractorsFolder = gui.addFolder('Attractors');
+    // The next attractor to add; attractors are placed on every restart
+    const next = { mass: 1e10, radius: 8, motion: 'pinned', x: 0, y: 0, z: 0, orbitRadius: 150, period: 15, inclination: 0 };
+    // Read from the settings mirror, which loading a snapshot replaces too
+    const count = { get attractors() { return simulation.settings.attractors.length; } };
+
+    attractorsFolder.add(next, 'mass', 1e6, 1e12, 1e6).name('Mass (kg)');
+    attractorsFolder.add(next, 'radius', 1, 50, 0.5).name('Radius');
+    attractorsFolder.add(next, 'motion', ATTRACTOR_MOTIONS).name('Motion');
+    attractorsFolder.add(next, 'x', -1000, 1000, 1).name('Position X');
+    attractorsFolder.add(next, 'y', -1000, 1000, 1).name('Position Y');
+    attractorsFolder.add(next, 'z', -1000, 1000, 1).name('Position Z');
+    // Orbits circle the origin
+    attractorsFolder.add(next, 'orbitRadius', 0, 1000, 1).name('Orbit Radius');
+    attractorsFolder.add(next, 'period', 0, 300, 0.5).name('Orbit Period (s)');
+    attractorsFolder.add(next, 'inclination', -Math.PI, Math.PI, 0.01).name('Inclination (rad)');
+
+    const setAttractors = attractors => handleSimulationChange(simulation, props, { attractors: attractors });
+    attractorsFolder.add({ add: () => {
+        const attractor = createAttractor({
+            mass: next.mass,
+            radius: next.radius,
+            motion: next.motion,
+            position: { x: next.x, y: next.y, z: next.z },
+            orbit: { radius: next.orbitRadius, period: next.period, inclination: next.inclination },
+        });
+        setAttractors([...simulation.settings.attractors, attractor]);
+    } }, 'add').name('Add Attractor');
+    attractorsFolder.add({ removeAll: () => setAttractors([]) }, 'removeAll').name('Remove Attractors');
+    attractorsFolder.add(count, 'attractors').name('Attractors').listen();
+}
+
+function addGravitySolverGUI(gui, simulation) {
+    const solverFolder = gui.addFolder('Gravity Solver');
+    const solver = simulation.settings.gravitySolver;
+    const configure = key => value => simulation.configure({ gravitySolver: { [key]: value } });
+
+    // Smaller opening angles open more nodes: more accurate, slower
+    solverFolder.add(solver, 'theta', 0, 1.5, 0.01).name('Opening Angle θ').onChange(configure('theta'));
+    solverFolder.add(solver, 'quadrupole').name('Quadrupole Moments').onChange(configure('quadrupole'));
+    // Leaves split beyond this many bodies; see the Octree folder for its effect
+    solverFolder.add(solver, 'maxBodiesPerNode', 1, 64, 1).name('Max Bodies per Leaf').onChange(configure('maxBodiesPerNode'));
+    solverFolder.add(solver, 'softening', SOFTENING_KERNELS).name('Softening Kernel').onChange(configure('softening'));
+    solverFolder.add(solver, 'softeningLength', 0, 20, 0.1).name('Softening Length').onChange(configure('softeningLength'));
+    // Same forces either way, up to rounding; 'object' is the original, slower tree
+    solverFolder.add(solver, 'treeType', TREE_TYPES).name('Tree Layout').onChange(configure('treeType'));
+}
+
+function addIntegratorGUI(gui, simulation) {
+    const integratorFolder = gui.addFolder('Integrator');
+    const integrator = simulation.settings.integrator;
+    const configure = key => value => simulation.configure({ integrator: { [key]: value } });
+
+    integratorFolder.add(integrator, 'name', INTEGRATORS).name('Integrator').onChange(configure('name'));
+    integratorFolder.add(integrator, 'timestepMode', TIMESTEP_MODES).name('Timestep').onChange(configure('timestepMode'));
+    integratorFolder.add(integrator, 'timestepAccuracy', 0.01, 1, 0.01).name('Accuracy η').onChange(configure('timestepAccuracy'));
+    integratorFolder.add(integrator, 'maxSubsteps', 1, 256, 1).name('Max Substeps').onChange(configure('maxSubsteps'));
+    // Leapfrog only: with contacts off the run is collisionless. Choosing Hermite turns them off
+    integratorFolder.add(integrator, 'contacts').name('Resolve Contacts').onChange(configure('contacts'));
+    integratorFolder.add(simulation, 'lastSubsteps').name('Substeps (last)').listen();
+}
+
+function addAccretionGUI(gui, simulation) {
+    const accretionFolder = gui.addFolder('Accretion');
+    const accretion = simulation.settings.accretion;
+    const configure = key => value => simulation.configure({ accretion: { [key]: value } });
+
+    // Needs contacts: the cannon integrator, or leapfrog with "Resolve Contacts"
+    accretionFolder.add(accretion, 'enabled').name('Merge on Impact').onChange(configure('enabled'));
+    accretionFolder.add(accretion, 'criterion', ACCRETION_CRITERIA).name('Criterion').onChange(configure('criterion'));
+    accretionFolder.add(accretion, 'velocityThreshold', 0, 100, 0.1).name('Max Impact Speed').onChange(configure('velocityThreshold'));
+    accretionFolder.add(accretion, 'escapeFactor', 0, 10, 0.1).name('× Escape Velocity').onChange(configure('escapeFactor'));
+    accretionFolder.add(simulation, 'mergeCount').name('Merges').listen();
+}
 
-    particleThrowFolder.add({exportCrystals: () => exportCrystals(simulation.bodies, simulation.meshes)}, 'exportCrystals').name('Export Crystals');
-    particleThrowFolder.add({importCrystals: () => document.getElementById('fileInput').click()}, 'importCrystals').name('Import Crystals');
+function addFragmentationGUI(gui, simulation) {
+    const fragmentationFolder = gui.addFolder('Fragmentation');
+    const fragmentation = simulation.settings.fragmentation;
+    const configure = key => value => simulation.configure({ fragmentation: { [key]: value } });
+
+    fragmentationFolder.add(fragmentation, 'enabled').name('Shatter on Impact').onChange(configure('enabled'));
+    fragmentationFolder.add(fragmentation, 'strength', 0, 5000, 1).name('Strength Q* (J/kg)').onChange(configure('strength'));
+    fragmentationFolder.add(fragmentation, 'maxFragments', 1, 32, 1).name('Max Fragments').onChange(configure('maxFragments'));
+    fragmentationFolder.add(fragmentation, 'exponent', 0, 4, 0.1).name('Mass Exponent').onChange(configure('exponent'));
+    fragmentationFolder.add(fragmentation, 'minFragmentRadius', 0.1, 10, 0.1).name('Min Fragment Radius').onChange(configure('minFragmentRadius'));
+    fragmentationFolder.add(fragmentation, 'ejectaEfficiency', 0, 1, 0.01).name('Ejecta Energy').onChange(configure('ejectaEfficiency'));
+    fragmentationFolder.add(simulation, 'fragmentationCount').name('Shattered').listen();
+}
+
+function addBoundaryGUI(gui, simulation) {
+    const boundaryFolder = gui.addFolder('Boundary');
+    const boundary = simulation.settings.boundary;
+    const configure = key => value => simulation.configure({ boundary: { [key]: value } });
+
+    // The walls and the periodic box are the world cube of "World Size"
+    boundaryFolder.add(boundary, 'mode', BOUNDARY_MODES).name('Mode').onChange(configure('mode'));
+    boundaryFolder.add(boundary, 'escapeRadius', 100, 10000, 10).name('Escape Radius').onChange(configure('escapeRadius'));
+    boundaryFolder.add(simulation, 'escapeCount').name('Escaped').listen();
+    boundaryFolder.add(simulation, 'escapedMass').name('Escaped Mass').listen();
+}
+
+function addTrailsGUI(gui) {
+    const trailsFolder = gui.addFolder('Trails');
+    const trails = { traceThrown: traceThrownCrystals };
+
+    // 'selected' traces thrown crystals, so you can see whether they settle into an orbit
+    trailsFolder.add(trailRenderer, 'mode', TRAIL_MODES).name('Trails');
+    trailsFolder.add(trailRenderer, 'length', 2, 1000, 1).name('Length (samples)').onChange(value => trailRenderer.setLength(value));
+    trailsFolder.add(trailRenderer, 'decimation', 1, 60, 1).name('Steps per Sample');
+    trailsFolder.add(trails, 'traceThrown').name('Trace Thrown Crystals').onChange(value => {
+        traceThrownCrystals = value;
+    });
+    trailsFolder.add({ clearSelection: () => trailRenderer.clearSelection() }, 'clearSelection').name('Clear Traced');
+}
+
+function addOrbitsGUI(gui, simulation) {
+    const orbitsFolder = gui.addFolder('Orbits');
+
+    // 'selected' draws the orbit of the body picked with the select tool
+    orbitsFolder.add(orbitSettings, 'mode', ORBIT_MODES).name('Draw Orbits').onChange(value => simulation.setOrbits({ mode: value }));
+    orbitsFolder.add(orbitSettings, 'reference', ORBIT_REFERENCES).name('About').listen().onChange(value => simulation.setOrbits({ reference: value }));
+    orbitsFolder.add(orbitSettings, 'primaryId').name('Primary Body Id').listen().onFinishChange(value => simulation.setOrbits({ primaryId: value }));
+}
+
+function addFieldGUI(gui, simulation) {
+    const fieldFolder = gui.addFolder('Gravity Field');
+    // Mirrors the worker's slice settings
+    const field = { enabled: false, quantity: 'potential', plane: 'xz', offset: 0, size: 1000, resolution: 64, interval: 10 };
+    const setField = key => value => simulation.setField({ [key]: value });
+
+    fieldFolder.add(field, 'enabled').name('Show Field').onChange(setField('enabled'));
+    fieldFolder.add(field, 'quantity', FIELD_QUANTITIES).name('Quantity').onChange(setField('quantity'));
+    fieldFolder.add(field, 'plane', Object.keys(FIELD_PLANES)).name('Plane').onChange(setField('plane'));
+    fieldFolder.add(field, 'offset', -1000, 1000, 1).name('Offset').onChange(setField('offset'));
+    fieldFolder.add(field, 'size', 50, 5000, 10).name('Size').onChange(setField('size'));
+    // Cost grows with the square of the resolution
+    fieldFolder.add(field, 'resolution', 8, 256, 1).name('Resolution').onChange(setField('resolution'));
+    fieldFolder.add(field, 'interval', 1, 120, 1).name('Steps per Sample').onChange(setField('interval'));
+    fieldFolder.add(fieldRenderer, 'opacity', 0, 1, 0.05).name('Opacity');
+    fieldFolder.add(fieldRenderer, 'contours', 0, 40, 1).name('Contour Lines').onChange(() => fieldRenderer.invalidate());
+}
+
+function addOctreeGUI(gui, simulation) {
+    const octreeFolder = gui.addFolder('Octree');
+    const tree = { enabled: false, interval: 30 };
+    const stats = simulation.tree.stats; // Mirrors the worker's Octree.statistics
+
+    octreeFolder.add(tree, 'enabled').name('Tree Statistics').onChange(value => simulation.setTreeStatistics({ enabled: value }));
+    octreeFolder.add(tree, 'interval', 1, 300, 1).name('Steps per Sample').onChange(value => simulation.setTreeStatistics({ interval: value }));
+    octreeFolder.add(treeRenderer, 'visible').name('Draw Nodes');
+    octreeFolder.add(treeRenderer, 'colorBy', TREE_COLORINGS).name('Color By').onChange(() => treeRenderer.invalidate());
+    octreeFolder.add(stats, 'depth').name('Depth').listen();
+    octreeFolder.add(stats, 'nodes').name('Nodes').listen();
+    octreeFolder.add(stats, 'leaves').name('Leaves').listen();
+    octreeFolder.add(stats, 'meanBodiesPerLeaf').name('Mean Bodies per Leaf').listen();
+    octreeFolder.add(stats, 'maxBodiesPerLeaf').name('Max Bodies per Leaf').listen();
+    // Direct summation would need one per other body
+    octreeFolder.add(stats, 'interactionsPerEvaluation').name('Interactions per Force').listen();
+}
+
+function addCameraGUI(gui) {
+    const cameraFolder = gui.addFolder('Camera');
+
+    // 'body' follows the body picked with the select tool, 'clump' needs clump finding on
+    cameraFolder.add(cameraFollow, 'target', CAMERA_TARGETS).name('Follow').listen();
+    cameraFolder.add(cameraFollow, 'corotate').name('Co-rotate with Pair');
+    cameraFolder.add(cameraFollow, 'smoothing', 0, 2, 0.05).name('Smoothing (s)');
+    cameraFolder.add({ recenter: () => {
+        cameraFollow.target = 'free';
+        camera.position.sub(controls.target);
+        controls.target.set(0, 0, 0);
+        controls.update();
+    } }, 'recenter').name('Recenter on Origin');
+}
+
+function addRecordingGUI(gui, simulation, props) {
+    const recordingFolder = gui.addFolder('Recording');
+    const recording = { enabled: false, interval: 2, maxFrames: 1500 };
+    const replay = simulation.replay; // Mirrors the worker's replay state
+
+    recordingFolder.add(recording, 'enabled').name('Record').onChange(value => simulation.setRecording({ enabled: value }));
+    recordingFolder.add(recording, 'interval', 1, 60, 1).name('Steps per Frame').onChange(value => simulation.setRecording({ interval: value }));
+    recordingFolder.add(recording, 'maxFrames', 10, 10000, 10).name('Max Frames').onChange(value => simulation.setRecording({ maxFrames: value }));
+    recordingFolder.add(replay, 'frameCount').name('Frames').listen();
+
+    // Replay drives the meshes from the recording while the live run waits
+    recordingFolder.add(replay, 'active').name('Replay').listen().onChange(value => simulation.setReplay({ active: value }));
+    recordingFolder.add(replay, 'playing').name('Play').listen().onChange(value => simulation.setReplay({ playing: value }));
+    recordingFolder.add(replay, 'position', 0, 1, 0.001).name('Timeline').listen().onChange(value => simulation.setReplay({ position: value }));
+    recordingFolder.add(replay, 'speed', 0.1, 8, 0.1).name('Speed').onChange(value => simulation.setReplay({ speed: value }));
+    recordingFolder.add(replay, 'loop').name('Loop').onChange(value => simulation.setReplay({ loop: value }));
+    recordingFolder.add({ fork: () => {
+        // Running straight on: Start would restart the simulation
+        simulation.fork().then(() => {
+            refreshGUI(gui);
+            props.running = true;
+            simulation.setRunning(true);
+        }).catch(error => console.error('Could not fork:', error));
+    } }, 'fork').name('Fork Live Run Here');
+}
+
+function addClumpsGUI(gui, simulation) {
+    const clumpsFolder = gui.addFolder('Clumps');
+    const finder = { enabled: false, interval: 30, linkingFactor: 0.2, minMembers: 5, colors: clumpColors };
+
+    clumpsFolder.add(finder, 'enabled').name('Find Clumps').onChange(value => simulation.setClumpFinding({ enabled: value }));
+    clumpsFolder.add(finder, 'interval', 1, 600, 1).name('Every (steps)').onChange(value => simulation.setClumpFinding({ interval: value }));
+    // As a fraction of the mean spacing of the bodies in the world cube
+    clumpsFolder.add(finder, 'linkingFactor', 0.01, 1, 0.01).name('Linking Length').onChange(value => simulation.setClumpFinding({ linkingFactor: value }));
+    clumpsFolder.add(finder, 'minMembers', 2, 100, 1).name('Min Members').onChange(value => simulation.setClumpFinding({ minMembers: value }));
+    clumpsFolder.add(finder, 'colors').name('Color Clumps').onChange(value => {
+        clumpColors = value;
+    });
+    clumpsFolder.add(simulation.clumps, 'count').name('Clumps').listen();
+    clumpsFolder.add(simulation.clumps, 'boundFraction').name('Bound Fraction').listen();
+    clumpsFolder.add(simulation.clumps, 'largestMembers').name('Largest (members)').listen();
+    clumpsFolder.add(simulation.clumps, 'largestMassFraction').name('Largest (mass)').listen();
+}
+
+function addDataExportGUI(gui, simulation) {
+    const exportFolder = gui.addFolder('Data Export');
+    const logging = { enabled: false, interval: 10, format: 'csv' };
+    const channels = {};
+    LOG_CHANNELS.forEach(channel => { channels[channel] = channel === 'global'; });
+    const selectedChannels = () => LOG_CHANNELS.filter(channel => channels[channel]);
+
+    exportFolder.add(logging, 'enabled').name('Log').onChange(value => simulation.setLogging({ enabled: value }));
+    exportFolder.add(logging, 'interval', 1, 600, 1).name('Every (steps)').onChange(value => simulation.setLogging({ interval: value }));
+    exportFolder.add(logging, 'format', LOG_FORMATS).name('Format').onChange(value => simulation.setLogging({ format: value }));
+    LOG_CHANNELS.forEach(channel => {
+        exportFolder.add(channels, channel).onChange(() => simulation.setLogging({ channels: selectedChannels() }));
+    });
+    exportFolder.add({ download: () => {
+        simulation.requestLog().then(downloadLog).catch(error => console.error('Could not export the log:', error));
+    } }, 'download').name('Download Log');
+    exportFolder.add({ clear: () => simulation.clearLog() }, 'clear').name('Clear Log');
+    exportFolder.add(simulation.log, 'length').name('Logged (chars)').listen();
+    // Set once the log reaches its cap and drops rows, until it is cleared
+    exportFolder.add(simulation.log, 'full').name('Log Full').listen();
+}
+
+function addDiagnosticsGUI(gui, simulation) {
+    const diagnosticsFolder = gui.addFolder('Diagnostics');
+    const diagnostics = { enabled: false, interval: 1 };
+
+    diagnosticsFolder.add(diagnostics, 'enabled').name('Show Diagnostics').onChange(value => {
+        simulation.setDiagnostics({ enabled: value });
+        diagnosticsPanel.setVisible(value);
+    });
+    diagnosticsFolder.add(diagnostics, 'interval', 1, 120, 1).name('Sample Every (steps)').onChange(value => {
+        simulation.setDiagnostics({ interval: value });
+    });
+    diagnosticsFolder.add({ resetBaseline: () => simulation.resetDiagnostics() }, 'resetBaseline').name('Reset Baseline');
 }
 
 function addSimulationGUI(gui, simulation, props) {
     addSimulationSettingsGUI(gui, simulation, props);
+    addInitialConditionsGUI(gui, simulation, props);
+    addAttractorsGUI(gui, simulation, props);
     addParticleThrowGUI(gui, simulation, props);
+    addGravitySolverGUI(gui, simulation);
+    addIntegratorGUI(gui, simulation);
+    addAccretionGUI(gui, simulation);
+    addFragmentationGUI(gui, simulation);
+    addBoundaryGUI(gui, simulation);
+    addTrailsGUI(gui);
+    addOrbitsGUI(gui, simulation);
+    addCameraGUI(gui);
+    addFieldGUI(gui, simulation);
+    addOctreeGUI(gui, simulation);
+    addRecordingGUI(gui, simulation, props);
+    addClumpsGUI(gui, simulation);
+    addDataExportGUI(gui, simulation);
+    addDiagnosticsGUI(gui, simulation);
     // Grid Helper
     gui.add({ showGridHelper: true }, 'showGridHelper').name('Show Grid Helper').onChange(value => {
         gridHelper.visible = value;
     });
 
+    gui.add({ instancedRendering: true }, 'instancedRendering').name('Instanced Rendering').onChange(value => {
+        setInstancedRendering(value);
+    });
+
     // Color Mapping
     gui.add({ showColorMapping: false }, 'showColorMapping').name('See Gravity').onChange(value => {
         colormapping = value;
+        simulation.setColorMapping(value);
     });
+    gui.add(props, 'clickTool', CLICK_TOOLS).name('Click To');
     gui.add(props, 'start').name('Start');
     gui.add(props, 'stop').name('Stop & Restart');
 }
 
 
+function setInstancedRendering(enabled) {
+    scene.remove(crystalRenderer.group);
+    crystalRenderer.dispose();
+    crystalRenderer = enabled ? new InstancedCrystalRenderer(simulation) : new CrystalRenderer(simulation);
+    scene.add(crystalRenderer.group);
+}
+
 function onWindowResize() {
     // Update sizes
     sizes.width = window.innerWidth;
@@ -239,73 +673,91 @@ function onWindowResize() {
 
 function toggleSimulation(running) {
     simulationProperties.running = running;
-    if (running && simulation.sphereCount > 0) simulation.restart();
+    if (running && simulationProperties.totalSpheres > 0) simulation.restart();
     if (!running) simulation.restart();
+    simulation.setRunning(running);
 }
 
-// Export Crystals ------------------------------
-function exportCrystals(bodies, meshes) {
-    const crystalData = bodies.map((body, index) => {
-        const mesh = meshes[index];
-        return {
-            mass: body.mass,
-            position: { x: body.position.x, y: body.position.y, z: body.position.z },
-            velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
-            orientation: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
-            geometry: mesh.geometry.toJSON() // Serializing Three.js mesh geometry
-        };
-    });
+// Snapshots ------------------------------------
+function exportCrystals() {
+    simulation.requestSnapshot().then(downloadSnapshot).catch(error => reportSnapshotError('save', error));
+}
+
+// Saving and loading are both user actions, so both failures are shown, not just logged
+function reportSnapshotError(action, error) {
+    console.error(`Could not ${action} the snapshot:`, error);
+    window.alert(`Could not ${action} the snapshot: ${error.message}`);
+}
 
-    const json = JSON.stringify(crystalData, null, 2);
+function downloadSnapshot(data) {
+    const json = JSON.stringify(data, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
     // Create a link and trigger a download
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'crystals.json';
+    a.download = 'snapshot.json';
     a.click();
 
     // Cleanup
     URL.revokeObjectURL(url);
 }
 
+// One download per logged file
+function downloadLog(files) {
+    files.forEach(file => {
+        const type = file.name.endsWith('.csv') ? 'text/csv' : 'application/x-ndjson';
+        const url = URL.createObjectURL(new Blob([file.text], { type: type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = file.name;
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+}
+
 document.getElementById('fileInput').addEventListener('change', function(event) {
     const file = event.target.files[0];
     if (file) {
         const reader = new FileReader();
         reader.onload = function(e) {
-            const data = JSON.parse(e.target.result);
-            importCrystals(data, simulation); // Assuming this is where the error occurs
+            importCrystals(e.target.result, simulation);
         };
         reader.readAsText(file);
     }
+    event.target.value = ''; // Allow loading the same file twice in a row
 });
 
+function importCrystals(text, simulationInstance) {
+    simulationInstance.restore(text).then(settings => {
+        // Show the loaded settings and keep running from the loaded state
+        simulationProperties.totalSpheres = settings.sphereCount;
+        simulationProperties.gravityConstant = settings.gravityConstant / 10e-6;
+        simulationProperties.worldsize = settings.worldSize;
+        simulationProperties.velocityX = settings.velocity.x;
+        simulationProperties.velocityY = settings.velocity.y;
+        simulationProperties.velocityZ = settings.velocity.z;
+        simulationProperties.seed = settings.seed;
+        refreshGUI(gui);
+        simulationProperties.running = true;
+        simulationInstance.setRunning(true);
+    }).catch(error => reportSnapshotError('load', error));
+}
 
-function importCrystals(data, simulationInstance) {
-    // Clear the current scene before importing new data
-    simulationInstance.clearScene();
-
-    data.forEach(item => {
-        if (!item.geometry) {
-            console.error('Invalid or missing geometry data', item);
-            return; // Skip this item
-        }
-        // Add the mesh to the simulation
-        simulationInstance.addMesh(item); // Assuming item contains the entire mesh data
-
-        // Recreate the physics body and add it to the simulation
-        // Assumes addBody method accepts parameters for mass, position, velocity, and orientation
-        simulationInstance.addBody(item.mass, item.position, item.velocity, item.orientation);
-    });
-
-    // Additional steps for scene update, if necessary
+function refreshGUI(folder) {
+    folder.__controllers.forEach(controller => controller.updateDisplay());
+    Object.values(folder.__folders).forEach(refreshGUI);
 }
 
-// Throw Crystals on Mouse Click ------------------
+// Throw Crystals or Select a Body on Mouse Click ------------------
 let isDragging = false;
 let mouseDown = false;
+let pointer = null; // Mouse position in normalized device coordinates, while over the canvas
+// The throw preview's last request: what it was aimed with (see throwPreviewKey), and
+// the step and time it was made at
+const throwPreview = { pending: false, key: null, stepCount: -1, time: 0 };
+const PREVIEW_INTERVAL = 100; // ms between refreshes while only the bodies move
 
 // Listen for mouse down event
 canvas.addEventListener('mousedown', function () {
@@ -320,6 +772,11 @@ canvas.addEventListener('mousemove', function (event) {
         // If the mouse is down and moving, consider it dragging
         isDragging = true;
     }
+    pointer = toDeviceCoordinates(event);
+}, false);
+
+canvas.addEventListener('mouseleave', function () {
+    pointer = null;
 }, false);
 
 // Listen for mouse up event
@@ -334,15 +791,30 @@ canvas.addEventListener('mouseup', function (event) {
 
 // Existing onCanvasClick function remains the same
 function onCanvasClick(event) {
-    // Calculate mouse position in normalized device coordinates (-1 to +1) for both components
+    const { x, y } = toDeviceCoordinates(event);
+    if (simulationProperties.clickTool === 'select') selectBody(x, y);
+    else throwCrystal(x, y);
+}
+
+// Mouse position in normalized device coordinates (-1 to +1) for both components
+function toDeviceCoordinates(event) {
     const rect = canvas.getBoundingClientRect();
-    const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    return {
+        x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        y: -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    };
+}
 
-    throwCrystal(x, y);
+// Inspect the body under the mouse; clicking empty space deselects
+function selectBody(x, y) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    simulation.inspect(crystalRenderer.pick(raycaster));
 }
 
-function throwCrystal(x, y) {
+// Where a throw at the mouse position starts and how it is aimed: along the mouse ray,
+// or for orbital throws, about the body under the mouse (if there is one)
+function aimThrow(x, y) {
     // Create a raycaster with the camera and the mouse position
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
@@ -350,63 +822,66 @@ function throwCrystal(x, y) {
     // Get the direction from raycaster
     const direction = raycaster.ray.direction.normalize(); // Normalize the direction
 
-    // Convert the direction to CANNON.Vec3
-    const cannonDirection = new CANNON.Vec3(direction.x, direction.y, direction.z);
-
-    // Calculate the base velocity from the direction and throw force
-    let baseVelocity = cannonDirection.scale(simulationProperties.throwForce);
-
-    if (simulationProperties.amountOfCrystals > 1) {
-        for (let i = 0; i < simulationProperties.amountOfCrystals; i++) {
-            // Randomize position within the specified radius
-            const angle = Math.random() * Math.PI * 2;
-            const u = Math.random() + Math.random();
-            const r = u > 1 ? 2 - u : u;
-            const offset = new CANNON.Vec3(
-                simulationProperties.radiusOfThrow * r * Math.cos(angle),
-                simulationProperties.radiusOfThrow * r * Math.sin(angle),
-                (Math.random() - 0.5) * 2 * simulationProperties.radiusOfThrow
-            );
-
-            // Adjust the starting position to be spread within the radius of throw
-            const startPosition = new CANNON.Vec3().copy(camera.position).vadd(offset);
-
-            // Create a random orientation for the crystal
-            const orientation = new CANNON.Vec3(
-                Math.random() * Math.PI,
-                Math.random() * Math.PI,
-                Math.random() * Math.PI
-            );
-
-            // Define the size and shape of the crystal
-            const baseRadius = 3 * (0.5 + Math.random());
-            const height = 3 * (1 + Math.random() * 2); // Height is 1 to 3 times the base radius
-            const radialSegments = Math.floor(3 + Math.random() * 5); // Randomly choose between 3 and 7 sides
-            const density = 2100; // example density for crystals
-
-            // Adjust velocity for each crystal to vary the throw pattern in the direction of the throw
-            const velocityVariance = new CANNON.Vec3(
-                (Math.random() - 0.5) * 2 * baseVelocity.x,
-                (Math.random() - 0.5) * 2 * baseVelocity.y,
-                (Math.random() - 0.5) * 2 * baseVelocity.z
-            );
-            const velocity = baseVelocity.vadd(velocityVariance);
-
-            // Call the addCrystal method with the calculated parameters
-            simulation.addCrystal(baseRadius, height, radialSegments, startPosition, orientation, density, velocity);
-        }
-    } else {
-        // For a single crystal, use the camera position and direction without randomization
-        const startPosition = new CANNON.Vec3().copy(camera.position);
-        const orientation = new CANNON.Vec3(0, 0, 0); // No rotation
-        const baseRadius = 3 * (0.5 + Math.random());
-        const height = 3 * (1 + Math.random() * 2); // Height is 1 to 3 times the base radius
-        const radialSegments = Math.floor(3 + Math.random() * 5); // Randomly choose between 3 and 7 sides
-        const density = 2100; // example density for crystals
-
-        // Call the addCrystal method with the calculated parameters
-        simulation.addCrystal(baseRadius, height, radialSegments, startPosition, orientation, density, baseVelocity);
+    const mode = simulationProperties.throwMode;
+    const primaryId = mode === 'force' ? null : crystalRenderer.pick(raycaster);
+    // Orbits run along the camera's right, so they cross the view
+    const orbit = primaryId === null ? null : {
+        primaryId: primaryId,
+        kind: mode,
+        hint: new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0),
+    };
+    return { origin: camera.position.clone(), direction: direction, speed: simulationProperties.throwForce, orbit: orbit };
+}
+
+// Everything a throw preview depends on but the bodies: the mouse, the camera and the throw settings
+function throwPreviewKey() {
+    const props = simulationProperties;
+    return [pointer.x, pointer.y, ...camera.matrixWorld.elements, props.throwForce, props.throwMode, props.previewSteps].join();
+}
+
+// Keep the preview on the path a throw at the mouse would take now. One request at a
+// time; a new aim or new settings ask again at once, moving bodies every PREVIEW_INTERVAL.
+function updateThrowPreview() {
+    const aiming = simulationProperties.showPreview && simulationProperties.clickTool === 'throw' && pointer && !mouseDown;
+    if (!aiming) {
+        trajectoryPreview.hide();
+        throwPreview.key = null;
+        return;
     }
+    if (throwPreview.pending) return;
+    const key = throwPreviewKey();
+    const now = performance.now();
+    const bodiesMoved = simulation.stepCount !== throwPreview.stepCount && now - throwPreview.time >= PREVIEW_INTERVAL;
+    if (key === throwPreview.key && !bodiesMoved) return;
+
+    const aim = aimThrow(pointer.x, pointer.y);
+    Object.assign(throwPreview, { pending: true, key: key, stepCount: simulation.stepCount, time: now });
+    simulation.previewThrow(aim.origin, aim.direction, aim.speed, aim.orbit, simulationProperties.previewSteps).then(points => {
+        throwPreview.pending = false;
+        // The mouse may have left while the worker was busy
+        if (pointer) trajectoryPreview.show(points);
+    }).catch(error => {
+        throwPreview.pending = false;
+        console.error('Could not preview the throw:', error);
+    });
+}
+
+function throwCrystal(x, y) {
+    const aim = aimThrow(x, y);
+
+    // The simulation draws the crystals' shapes and spread from its seeded generator
+    simulation.throwCrystals(
+        aim.origin,
+        aim.direction,
+        aim.speed,
+        simulationProperties.amountOfCrystals,
+        simulationProperties.radiusOfThrow,
+        aim.orbit
+    ).then(ids => {
+        // The thrown crystals pull on the next preview
+        throwPreview.key = null;
+        if (traceThrownCrystals) ids.forEach(id => trailRenderer.select(id));
+    }).catch(error => console.error('Could not throw:', error));
 }
 
 // Initialize
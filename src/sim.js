@@ -1,17 +1,73 @@
-import * as CANNON from 'cannon';
-import * as THREE from 'three';
-import Octree from './octree.js';
+import CANNON from 'cannon';
+import { createOctree, octreeOptions } from './octree.js';
+import Diagnostics from './diagnostics.js';
+import ClumpFinder from './clumps.js';
+import Recorder from './recorder.js';
+import DataLogger from './dataLogger.js';
+import Accretion from './accretion.js';
+import Fragmentation from './fragmentation.js';
+import Boundary from './boundary.js';
+import { integrate } from './integrators.js';
+import { defaultParameters, generateInitialConditions } from './initialConditions.js';
+import { createAttractor, orbitState } from './attractors.js';
+import { createRandom, randomSeed } from './utils/random.js';
+
+// cannon's default per-body damping, kept for the 'cannon' integrator only
+const CANNON_DAMPING = 0.01;
+const gravityForce = new CANNON.Vec3(); // Scratch for update's cannon path
+
+// cannon's SAPBroadphase only re-sorts its axis list when bodies are added or removed,
+// so as bodies move it misses pairs, and which ones depends on the run's history.
+// Sorting every step finds them all and lets a restored snapshot see the same pairs.
+class SortedSAPBroadphase extends CANNON.SAPBroadphase {
+    collisionPairs(world, pairs1, pairs2) {
+        this.dirty = true;
+        super.collisionPairs(world, pairs1, pairs2);
+    }
+}
 
+// Headless physics engine: bodies, octree gravity and cannon stepping.
+// Rendering lives in adapters (see render/crystalRenderer.js) that read `bodies`.
 class Simulation {
-    constructor(gravityConstant, sphereCount, worldSize, velocityX, velocityY, velocityZ, scene) {
-        this.scene = scene;
+    constructor(gravityConstant, sphereCount, worldSize, velocityX, velocityY, velocityZ, seed = randomSeed()) {
+        // Every random draw goes through this.random so a seed reproduces the whole run
+        this.seed = seed;
+        this.random = createRandom(seed);
         this.gravityConstant = gravityConstant;
         this.worldSize = worldSize;
-        this.sphereGroup = new THREE.Group();
         this.radius = 3;
-        this.meshes = [];
         this.bodies = [];
         this.sphereCount = sphereCount;
+        this.timestep = 1 / 60; // Default step length for update()
+        this.time = 0; // Simulated time in seconds since the last restart
+        this.stepCount = 0;
+
+        // Gravity integration (see integrators.js): 'cannon' applies gravity as a force
+        // and lets cannon integrate; the others integrate gravity themselves
+        this.integrator = 'cannon';
+        this.timestepMode = 'fixed';
+        this.timestepAccuracy = 0.2; // eta in dt = eta * sqrt(length / acceleration)
+        this.maxSubsteps = 64;
+        this.contacts = true; // Let cannon resolve contacts during the leapfrog drift
+        this.lastSubsteps = 1;
+
+        // Gravitational accelerations from the last force pass, x, y, z for each body, and
+        // the largest magnitude. One pass per step serves the step, the timestep criterion
+        // and the color mapping. `accelerationsValid` says the buffer still lines up with
+        // `bodies`; `accelerationsCurrent` says they haven't moved since, nor has gravity changed.
+        this.accelerations = new Float64Array(0);
+        this.maxAcceleration = 0;
+        this.accelerationsValid = false;
+        this.accelerationsCurrent = false;
+        // Ids of bodies put somewhere by hand or by the boundary since the worker last
+        // posted a frame, so the renderer jumps them there instead of blending across
+        this.jumped = new Set();
+
+        // Initial-condition generator and the parameters of every generator (see initialConditions.js)
+        this.initialConditions = 'cube';
+        this.initialConditionParameters = defaultParameters();
+        // Attractor descriptions placed before the generator runs (see attractors.js)
+        this.attractors = [];
 
         // Velocity for the initial state of the simulation
         this.velocityX = velocityX;
@@ -23,16 +79,16 @@ class Simulation {
         this.world.gravity.set(0, 0, 0); // Gravity is handled manually, so set to zero in cannon.js
 
         // Set up the world with a broadphase algorithm suitable for large number of objects
-        this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+        this.world.broadphase = new SortedSAPBroadphase(this.world);
 
         // Set the world's default contact material properties
-        const defaultMaterial = new CANNON.Material('default');
+        const defaultMaterial = this.material = new CANNON.Material('default');
         const defaultContactMaterial = new CANNON.ContactMaterial(defaultMaterial, defaultMaterial, {
             friction: 0.5,
             restitution: 0.9, // Lower restitution reduces bounciness
         });
         this.world.addContactMaterial(defaultContactMaterial);
-        this.world.defaultContactMaterial = defaultContactMaterial;
+        this.world.defaultContactMaterial = this.contactMaterial = defaultContactMaterial;
 
         // Apply damping to reduce the energy over time
         this.world.defaultContactMaterial.contactEquationStiffness = 1e9;
@@ -41,8 +97,20 @@ class Simulation {
         // Configure solver iterations for better accuracy
         this.world.solver.iterations = 2; // Number of iterations to apply at each simulation step
         this.world.solver.tolerance = 0.01; // Force solver to use more iterations to satisfy tolerance
-        this.addCrystals(this.sphereCount, 2000); // 5000 kg/m^3 could be a sample density for a crystal
-        this.octree = new Octree(this.worldSize*5, this.gravityConstant);
+
+        // Before any bodies are added, so they hear all of their collisions
+        this.accretion = new Accretion(this);
+        this.fragmentation = new Fragmentation(this);
+        this.logger = new DataLogger(this);
+        // Sets the octree's period, so before it is first built
+        this.boundary = new Boundary(this);
+        // Generators that balance velocities against gravity need the octree
+        this.octree = createOctree('flat', this.worldSize, this.gravityConstant);
+        generateInitialConditions(this);
+        this.rebuildOctree();
+        this.diagnostics = new Diagnostics(this);
+        this.clumps = new ClumpFinder(this);
+        this.recorder = new Recorder(this);
 
         // sleep
         this.world.allowSleep = true;
@@ -52,25 +120,18 @@ class Simulation {
         });
     }
 
-    clearScene() {
+    clear() {
         // Remove all Cannon.js bodies
-        while (this.world.bodies.length > 0) {
-            this.world.removeBody(this.world.bodies[0]);
-        }
+        this.bodies.forEach(body => this.world.remove(body));
         this.bodies = [];
-
-        // Remove all Three.js objects
-        while (this.scene.children.length > 0) {
-            const object = this.scene.children[0];
-            if (object.isMesh) {
-                object.geometry.dispose(); // Dispose geometry
-                if (object.material.isMaterial) {
-                    object.material.dispose(); // Dispose material
-                }
-                this.scene.remove(object); // Remove from scene
-            }
-        }
-        this.meshes = [];
+        this.accelerationsValid = this.accelerationsCurrent = false;
+        this.jumped.clear();
+        this.octree.clear();
+        this.diagnostics.reset();
+        this.clumps.reset();
+        this.accretion.reset();
+        this.fragmentation.reset();
+        this.boundary.reset();
     }
 
     start() {
@@ -92,293 +153,352 @@ class Simulation {
     }
 
     restart() {
-        // Remove
-        // Remove all meshes from the Three.js scene
-        this.meshes.forEach(mesh => {
-            this.sphereGroup.remove(mesh);
-            mesh.geometry.dispose(); // Dispose of the geometry
-            mesh.material.dispose(); // Dispose of the material
-        });
-        this.meshes = []; // Clear the meshes array
-    
         // Remove all bodies from the Cannon.js world
-        this.bodies.forEach(body => this.world.remove(body));
-        this.bodies = []; // Clear the bodies array
+        this.clear();
+        this.time = 0;
+        this.stepCount = 0;
+        this.random = createRandom(this.seed);
+        this.recorder.reset();
+        this.logger.reset();
 
-        /*--------------------------------------------*/
-        // Re-add
         // Re-add crystals to the simulation
-        this.addCrystals(this.sphereCount, 2000); // Assuming 2000 is the desired density
-    
+        generateInitialConditions(this);
+
         // Reset the octree
-        this.octree.clear();
-        this.bodies.forEach(body => {
-            this.octree.insert({
-                mass: body.mass,
-                position: body.position
-            });
-        });
-        // Important: Update the scene with the new meshes
-        this.meshes.forEach(mesh => this.sphereGroup.add(mesh));
+        this.rebuildOctree();
+        this.diagnostics.reset();
     }
-    
-// ----------------- Crystal -----------------
 
-    addCrystal(baseRadius, height, radialSegments, position, orientation, density, velocity = this.generateRandomVelocity()) {
-        // Create a geometry that starts as a cylinder
-        const crystalGeometry = new THREE.CylinderGeometry(
-            baseRadius, // top radius
-            baseRadius, // bottom radius
-            height, // height of the crystal
-            radialSegments // number of radial segments
-        );
-    
-        // Elongate the crystal by scaling it along the Y-axis
-        crystalGeometry.scale(1, Math.random() + 0.5, 1); // Random elongation factor between 0.5 and 1.5
-    
-        // Apply the random orientation to the geometry
-        const eulerRotation = new THREE.Euler(orientation.x, orientation.y, orientation.z);
-        crystalGeometry.rotateX(eulerRotation.x);
-        crystalGeometry.rotateY(eulerRotation.y);
-        crystalGeometry.rotateZ(eulerRotation.z);
-    
-        // Material and mesh creation
-        const crystalMaterial = new THREE.MeshPhongMaterial({
-            color: new THREE.Color(0x808080),
-            specular: new THREE.Color(0xffffff),
-            shininess: 30,
-            flatShading: true,
-        });
-        const crystalMesh = new THREE.Mesh(crystalGeometry, crystalMaterial);
+    setIntegrator(integrator) {
+        this.integrator = integrator;
+        // Hermite can't resolve contacts; turning them off shows it in the settings
+        if (integrator === 'hermite') this.contacts = false;
+        // Damping would break the symplectic integrators' energy conservation
+        this.bodies.forEach(body => this.applyDamping(body));
+    }
+
+    // Swap the Barnes-Hut implementation (one of TREE_TYPES), keeping its settings
+    setTreeType(type) {
+        if (type === this.octree.type) return;
+        this.octree = createOctree(type, this.worldSize, this.gravityConstant, octreeOptions(this.octree));
+        this.rebuildOctree();
+        this.invalidateAccelerations();
+    }
+
+    applyDamping(body) {
+        body.linearDamping = body.angularDamping = this.integrator === 'cannon' ? CANNON_DAMPING : 0;
+    }
 
-        // Add shadow
-        crystalMesh.castShadow = true;
-        crystalMesh.receiveShadow = true;
+    rebuildOctree() {
+        this.octree.gravityConstant = this.gravityConstant;
+        this.octree.period = this.boundary.period;
+        // The root is fitted to the bodies, so ones far outside the world still count
+        this.octree.build(this.bodies);
+    }
+
+// ----------------- Crystal -----------------
 
-        crystalMesh.position.copy(position);
-    
-        // Calculate volume and mass based on the geometry and density
+    addCrystal(baseRadius, height, radialSegments, position, orientation, density, velocity = this.generateRandomVelocity()) {
+        // Calculate volume and mass based on the crystal dimensions and density
         const volume = Math.PI * baseRadius * baseRadius * height;
         const mass = density * volume;
-    
-        // Create the physics body for the crystal from the threejs mesh
-        const shape = new CANNON.Box(new CANNON.Vec3(baseRadius, baseRadius, height / 2));
-        const crystalBody = new CANNON.Body({
-            mass: mass,
-            position: new CANNON.Vec3(position.x, position.y, position.z),
-            shape: shape,
-            velocity: velocity,
-        });
-    
-        // Apply the same orientation to the physics body
-        const quaternion = new CANNON.Quaternion();
-        quaternion.setFromEuler(orientation.x, orientation.y, orientation.z);
-        crystalBody.quaternion = quaternion;
-    
-        this.world.addBody(crystalBody);
-        this.bodies.push(crystalBody);
-    
-        this.sphereGroup.add(crystalMesh);
-        this.meshes.push(crystalMesh);
+
+        // Shape parameters renderers need to rebuild the crystal's mesh
+        const crystal = {
+            baseRadius: baseRadius,
+            height: height,
+            radialSegments: radialSegments,
+            density: density,
+            elongation: this.random() + 0.5, // Random elongation factor between 0.5 and 1.5
+            orientation: { x: orientation.x, y: orientation.y, z: orientation.z },
+        };
+
+        return this.addBody(mass, position, velocity, null, crystal);
     }
 
     addCrystals(numberOfCrystals, density) {
         const volumeSize = this.worldSize / 2;
         for (let i = 0; i < numberOfCrystals; i++) {
             const position = this.generateRandomPosition(volumeSize);
-            const baseRadius = this.radius * (0.5 + Math.random());
-            const height = this.radius * (1 + Math.random() * 2); // Height is 1 to 3 times the base radius
-            const radialSegments = Math.floor(3 + Math.random() * 5); // Randomly choose between 3 and 7 sides
+            const baseRadius = this.radius * (0.5 + this.random());
+            const height = this.radius * (1 + this.random() * 2); // Height is 1 to 3 times the base radius
+            const radialSegments = Math.floor(3 + this.random() * 5); // Randomly choose between 3 and 7 sides
             const orientation = this.generateRandomOrientation();
             this.addCrystal(baseRadius, height, radialSegments, position, orientation, density);
         }
     }
 
+    // `frameVelocity` is added to every crystal's velocity, e.g. to throw relative to a moving body
+    throwCrystals(origin, direction, speed, count, radius, frameVelocity = { x: 0, y: 0, z: 0 }) {
+        // Calculate the base velocity from the direction and throw speed
+        const baseVelocity = new CANNON.Vec3(direction.x, direction.y, direction.z).scale(speed);
+        const frame = new CANNON.Vec3(frameVelocity.x, frameVelocity.y, frameVelocity.z);
+        const density = 2100; // example density for thrown crystals
+        const thrown = [];
+
+        if (count > 1) {
+            for (let i = 0; i < count; i++) {
+                // Randomize position within the specified radius
+                const angle = this.random() * Math.PI * 2;
+                const u = this.random() + this.random();
+                const r = u > 1 ? 2 - u : u;
+                const offset = new CANNON.Vec3(
+                    radius * r * Math.cos(angle),
+                    radius * r * Math.sin(angle),
+                    (this.random() - 0.5) * 2 * radius
+                );
+
+                // Adjust the starting position to be spread within the radius of throw
+                const startPosition = new CANNON.Vec3(origin.x, origin.y, origin.z).vadd(offset);
+
+                // Create a random orientation for the crystal
+                const orientation = this.generateRandomOrientation();
+
+                // Define the size and shape of the crystal
+                const baseRadius = this.radius * (0.5 + this.random());
+                const height = this.radius * (1 + this.random() * 2); // Height is 1 to 3 times the base radius
+                const radialSegments = Math.floor(3 + this.random() * 5); // Randomly choose between 3 and 7 sides
+
+                // Adjust velocity for each crystal to vary the throw pattern in the direction of the throw
+                const velocityVariance = new CANNON.Vec3(
+                    (this.random() - 0.5) * 2 * baseVelocity.x,
+                    (this.random() - 0.5) * 2 * baseVelocity.y,
+                    (this.random() - 0.5) * 2 * baseVelocity.z
+                );
+                const velocity = baseVelocity.vadd(velocityVariance).vadd(frame);
+
+                thrown.push(this.addCrystal(baseRadius, height, radialSegments, startPosition, orientation, density, velocity));
+            }
+        } else {
+            // For a single crystal, use the origin and direction without randomization
+            const startPosition = new CANNON.Vec3(origin.x, origin.y, origin.z);
+            const orientation = new CANNON.Vec3(0, 0, 0); // No rotation
+            const baseRadius = this.radius * (0.5 + this.random());
+            const height = this.radius * (1 + this.random() * 2); // Height is 1 to 3 times the base radius
+            const radialSegments = Math.floor(3 + this.random() * 5); // Randomly choose between 3 and 7 sides
+
+            thrown.push(this.addCrystal(baseRadius, height, radialSegments, startPosition, orientation, density, baseVelocity.vadd(frame)));
+        }
+
+        return thrown;
+    }
+
     generateRandomOrientation() {
         return new CANNON.Vec3(
-            Math.random() * Math.PI, // Rotation around X axis
-            Math.random() * Math.PI, // Rotation around Y axis
-            Math.random() * Math.PI  // Rotation around Z axis
+            this.random() * Math.PI, // Rotation around X axis
+            this.random() * Math.PI, // Rotation around Y axis
+            this.random() * Math.PI  // Rotation around Z axis
         );
     }
     generateRandomVelocity() {
         return new CANNON.Vec3(
-            (Math.random() - 0.5) * this.velocityX, // X velocity
-            (Math.random() - 0.5) * this.velocityY, // Y velocity
-            (Math.random() - 0.5) * this.velocityZ  // Z velocity
+            (this.random() - 0.5) * this.velocityX, // X velocity
+            (this.random() - 0.5) * this.velocityY, // Y velocity
+            (this.random() - 0.5) * this.velocityZ  // Z velocity
         );
     }
     generateRandomPosition(volumeSize) {
         return new CANNON.Vec3(
-            (Math.random() - 0.5) * volumeSize,
-            (Math.random() - 0.5) * volumeSize,
-            (Math.random() - 0.5) * volumeSize
+            (this.random() - 0.5) * volumeSize,
+            (this.random() - 0.5) * volumeSize,
+            (this.random() - 0.5) * volumeSize
         );
     }
 
+    // One force pass over a tree of the current positions into `accelerations`.
+    // Returns the largest acceleration.
+    computeAccelerations() {
+        this.reserveAccelerations();
+        this.rebuildOctree();
+        this.maxAcceleration = this.octree.accelerations(this.accelerations);
+        this.accelerationsValid = this.accelerationsCurrent = true;
+        return this.maxAcceleration;
+    }
+
+    // Grow `accelerations` to hold every body, doubling so it is seldom reallocated
+    reserveAccelerations() {
+        const size = 3 * this.bodies.length;
+        if (this.accelerations.length < size) this.accelerations = new Float64Array(Math.max(size, 2 * this.accelerations.length));
+    }
+
+    // A force pass for just the bodies at `indices`; the others keep their last accelerations
+    computeAccelerationsOf(indices) {
+        this.rebuildOctree();
+        this.octree.accelerationsOf(indices, this.accelerations);
+        this.accelerationsCurrent = false;
+    }
+
+    // Bodies moved outside a step, or gravity settings changed: the last pass is out of date
+    invalidateAccelerations() {
+        this.accelerationsCurrent = false;
+    }
+
     calculateAcceleration(body) {
         // Use the Octree to calculate the gravitational force on the body
         let force = this.octree.calculateGravity(body);
-    
+
         // Calculate the acceleration by dividing the force by the mass of the body
         let acceleration = force.scale(1 / body.mass);
-        
+
         return acceleration; // This is a CANNON.Vec3 object representing acceleration
     }
-    
+
+    // From the last force pass, unless bodies came or went since
     calculateMaxAcceleration() {
-        let maxAccelerationMagnitude = 0;
-    
-        this.bodies.forEach((body) => {
-            // Calculate the acceleration for the current body
-            let acceleration = this.calculateAcceleration(body);
-    
-            // Calculate the magnitude of the acceleration
-            let accelerationMagnitude = acceleration.length();
-    
-            // Update maxAccelerationMagnitude if the current one is larger
-            maxAccelerationMagnitude = Math.max(maxAccelerationMagnitude, accelerationMagnitude);
+        return this.accelerationsValid ? this.maxAcceleration : this.computeAccelerations();
+    }
+
+    // ----------------- Attractors -----------------
+
+    addAttractor(description) {
+        const { mass, radius, motion, position, velocity, orbit } = createAttractor(description);
+        const attractor = { radius: radius, motion: motion, orbit: motion === 'orbit' ? orbit : null };
+        if (motion === 'orbit') {
+            const state = orbitState(orbit, this.time);
+            return this.addBody(mass, state.position, state.velocity, null, null, attractor);
+        }
+        return this.addBody(mass, position, motion === 'pinned' ? new CANNON.Vec3() : velocity, null, null, attractor);
+    }
+
+    // Put orbiting attractors where their orbits say they are at this.time
+    moveAttractors() {
+        this.bodies.forEach(body => {
+            if (!body.attractor || body.attractor.motion !== 'orbit') return;
+            const state = orbitState(body.attractor.orbit, this.time);
+            body.position.copy(state.position);
+            body.velocity.copy(state.velocity);
+            body.aabbNeedsUpdate = true;
+            this.invalidateAccelerations();
         });
-    
-        return maxAccelerationMagnitude;
     }
 
-    // ----------------- IMPORT -----------------
+    // ----------------- Bodies -----------------
 
-    addBody(mass, position, velocity, orientation) {
-        // Create Cannon.js body
+    // Bodies are crystals, or attractors when `attractor` is given (and `crystal` is null)
+    addBody(mass, position, velocity, orientation, crystal, attractor = null) {
+        // The physics box is aligned with the crystal's height along Z
+        const shape = attractor ?
+            new CANNON.Sphere(attractor.radius) :
+            new CANNON.Box(new CANNON.Vec3(crystal.baseRadius, crystal.baseRadius, crystal.height / 2));
+        // Built at the origin: cannon derives inertia from the world AABB, which would
+        // otherwise round differently depending on where the body is created
         const body = new CANNON.Body({
-            mass: mass, // Set mass
-            position: new CANNON.Vec3(position.x, position.y, position.z),
+            mass: mass,
             velocity: new CANNON.Vec3(velocity.x, velocity.y, velocity.z),
-            quaternion: new CANNON.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+            shape: shape,
+            material: this.material,
         });
+        body.position.set(position.x, position.y, position.z);
+        body.previousPosition.copy(body.position);
+        body.interpolatedPosition.copy(body.position);
+
+        if (orientation) {
+            body.quaternion.set(orientation.x, orientation.y, orientation.z, orientation.w);
+        } else if (crystal) {
+            // Crystals start with the same orientation that is baked into their geometry
+            body.quaternion.setFromEuler(crystal.orientation.x, crystal.orientation.y, crystal.orientation.z);
+        }
+        body.crystal = crystal;
+        body.attractor = attractor;
+        body.pinned = false; // See setPinned; attractors are held by their motion instead
+        if (attractor && attractor.motion !== 'free') {
+            // Keeps its mass for gravity, but neither forces nor contacts move it
+            body.type = CANNON.Body.KINEMATIC;
+        }
+        this.applyDamping(body);
 
-        // Define the shape of the body, e.g., a sphere or box
-        const shape = new CANNON.Box(new CANNON.Vec3(/* dimensions */));
-        body.addShape(shape);
+        // Moving and rotating after construction invalidates the cached bounds and world inertia
+        body.aabbNeedsUpdate = true;
+        body.updateInertiaWorld(true);
 
-        // Add body to the world
         this.world.addBody(body);
         this.bodies.push(body);
+        this.accelerationsValid = this.accelerationsCurrent = false;
+        return body;
     }
 
-    addMesh(meshData) {
-        if (meshData.geometry.type === 'CylinderGeometry') {
-            const geomParams = meshData.geometry;
-            const geometry = new THREE.CylinderGeometry(
-                geomParams.radiusTop,
-                geomParams.radiusBottom,
-                geomParams.height,
-                geomParams.radialSegments,
-                geomParams.heightSegments,
-                geomParams.openEnded,
-                geomParams.thetaStart,
-                geomParams.thetaLength
-            );
-    
-            const material = new THREE.MeshPhongMaterial({
-                color: new THREE.Color(0x808080), // You can adjust the material properties
-                specular: new THREE.Color(0xffffff),
-                shininess: 30,
-                flatShading: true,
-            });
-    
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.position.set(meshData.position.x, meshData.position.y, meshData.position.z);
-            mesh.quaternion.set(meshData.orientation.x, meshData.orientation.y, meshData.orientation.z, meshData.orientation.w);
-    
-            this.scene.add(mesh);
-            this.meshes.push(mesh);
-        } else {
-            console.error('Unsupported geometry type:', meshData.geometry.type);
-        }
+    removeBody(body) {
+        this.world.remove(body);
+        this.bodies.splice(this.bodies.indexOf(body), 1);
+        this.accelerationsValid = this.accelerationsCurrent = false;
     }
 
-
-    // ----------------- Gravity -----------------
-
-    applyGravity() {
-        // 1. Construct the octree for the current positions of the bodies.
-        let octree = new Octree(this.worldSize, this.gravityConstant);
-    
-        // 2. Insert all bodies into the octree.
-        this.bodies.forEach(body => {
-            // Create a new object with the expected structure for the octree
-            let bodyObject = {
-                mass: body.mass,
-                position: body.position
-            };
-            octree.insert(bodyObject);
-        });
-    
-        // 3. Compute the force for each body using the octree.
-        this.bodies.forEach(body => {
-            let force = octree.calculateGravity(body);
-            
-            // Apply the calculated force to the body
-            body.force.vadd(force, body.force);
-        });
+    findBody(id) {
+        return this.bodies.find(body => body.id === id) || null;
     }
-    
-
-    // ----------------- Update -----------------
 
-    update(deltaTime, enableColorMapping) {
-        // Adjust deltaTime if necessary for your simulation timing
-
-        // Update the octree with the current bodies
-        this.octree.clear(); // Clear the octree for the new simulation step
-        this.bodies.forEach(body => {
-            this.octree.insert(body); // Re-insert bodies into the octree
-        });
-
-        // Calculate and apply gravitational forces using the octree
-        this.bodies.forEach(body => {
-            const gravityForce = this.octree.calculateGravity(body);
-            body.applyForce(gravityForce, body.position); // Apply the calculated gravitational force
-        });
+    // After `body.position` was set outside the integrator: interpolation starts over
+    // from the new position rather than blending across the move
+    placeBody(body) {
+        body.previousPosition.copy(body.position);
+        body.interpolatedPosition.copy(body.position);
+        body.aabbNeedsUpdate = true;
+        this.jumped.add(body.id);
+    }
 
-        this.world.step(deltaTime); // Step the physics simulation
-
-        // Calculate the maximum acceleration for all bodies in the simulation
-        const maxAcceleration = this.calculateMaxAcceleration();
-        
-        // Update Three.js meshes to match the physics world's updated state
-        for (let i = 0; i < this.bodies.length; i++) {
-            const body = this.bodies[i];
-            const mesh = this.meshes[i];
-            
-            mesh.position.copy(body.position);
-            mesh.quaternion.copy(body.quaternion);
-            
-            
-            if (enableColorMapping) {
-                // Calculate the acceleration for the body using the octree
-                const acceleration = this.calculateAcceleration(body);
-                // Get the magnitude of the acceleration for color mapping
-                const accelerationMagnitude = acceleration.length();
-
-                // Apply the color from the acceleration using updateColor
-                mesh.material.color = this.updateColor(accelerationMagnitude, maxAcceleration);
-            } else {
-                // Reset the color to the default
-                mesh.material.color = new THREE.Color(0x808080);
-            }
+    // Any of { mass, position, velocity }; a crystal's density follows its mass
+    editBody(body, { mass, position, velocity }) {
+        if (mass !== undefined && mass > 0) {
+            const scale = mass / body.mass;
+            body.mass = mass;
+            body.invMass = 1 / mass;
+            body.inertia.scale(scale, body.inertia);
+            body.invInertia.scale(1 / scale, body.invInertia);
+            body.updateInertiaWorld(true);
+            if (body.crystal) body.crystal.density *= scale;
         }
+        if (position) {
+            body.position.set(position.x, position.y, position.z);
+            this.placeBody(body);
+        }
+        if (velocity) body.velocity.set(velocity.x, velocity.y, velocity.z);
+        if (mass !== undefined || position) this.invalidateAccelerations();
+        body.wakeUp();
     }
 
-    updateColor(acceleration, maxAcceleration) {
-        // Update the color of current crystal based on its acceleration vs the maximum acceleration of all crystals.
-        const color = new THREE.Color();
-        // Invert the mapping: higher acceleration gives a lower hue value (closer to red)
-        const hue = 240 - (240 * (Math.max(0, Math.min(1, acceleration / maxAcceleration))));
-        color.setHSL(hue / 360, 1.0, 0.5);
-        return color;
+    // A pinned crystal holds still like a pinned attractor, keeping its mass for gravity
+    setPinned(body, pinned) {
+        body.pinned = pinned;
+        body.type = pinned ? CANNON.Body.KINEMATIC : CANNON.Body.DYNAMIC;
+        if (pinned) {
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+        }
+        body.wakeUp();
     }
 
-    getMeshes() {
-        return this.sphereGroup;
+    // ----------------- Update -----------------
+
+    update(deltaTime = this.timestep) {
+        if (this.integrator === 'cannon') {
+            // One force pass over the current body positions
+            this.computeAccelerations();
+
+            // Apply the gravitational forces, m * a, at the centers of mass
+            const accelerations = this.accelerations;
+            this.bodies.forEach((body, i) => {
+                gravityForce.set(accelerations[3 * i], accelerations[3 * i + 1], accelerations[3 * i + 2]);
+                gravityForce.scale(body.mass, gravityForce);
+                body.applyForce(gravityForce, body.position);
+            });
+
+            this.world.step(deltaTime); // Step the physics simulation
+            this.invalidateAccelerations();
+        } else {
+            integrate(this, deltaTime);
+        }
+        // New bodies join the octree when it is rebuilt at the start of the next step.
+        // Shattering goes first, so an impact that is both fast and slow enough never merges
+        this.fragmentation.applyFragmentations();
+        this.accretion.applyMerges();
+        this.boundary.apply();
+        this.time += deltaTime;
+        this.stepCount++;
+        this.moveAttractors();
+        this.diagnostics.onStep();
+        this.clumps.onStep();
+        this.recorder.onStep();
+        this.logger.onStep();
     }
 }
 
@@ -0,0 +1,560 @@
+import { createRandom } from './utils/random.js';
+import { SOFTENING_KERNELS } from './softening.js';
+import { INTEGRATORS, TIMESTEP_MODES } from './integrators.js';
+import { ACCRETION_CRITERIA } from './accretion.js';
+import { INITIAL_CONDITIONS } from './initialConditions.js';
+import { ATTRACTOR_MOTIONS } from './attractors.js';
+import { BOUNDARY_MODES } from './boundary.js';
+import { TREE_TYPES } from './octree.js';
+
+// Versioned save format for a whole Simulation. Version 1 stores everything
+// needed to resume a run bit-for-bit: settings, generator state, materials and
+// the full state and shape of every body.
+const SNAPSHOT_FORMAT = 'planetesimal-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotError';
+    }
+}
+
+// ----------------- Save -----------------
+
+function vector(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+// Everything about a run except its bodies. Also the message format for live
+// configuration of a running simulation (see worker/simulationWorker.js).
+function readSettings(simulation) {
+    return {
+        gravityConstant: simulation.gravityConstant,
+        worldSize: simulation.worldSize,
+        timestep: simulation.timestep,
+        time: simulation.time,
+        stepCount: simulation.stepCount,
+        sphereCount: simulation.sphereCount,
+        velocity: { x: simulation.velocityX, y: simulation.velocityY, z: simulation.velocityZ },
+        seed: simulation.seed,
+        randomState: simulation.random.getState(),
+        gravitySolver: {
+            theta: simulation.octree.theta,
+            softening: simulation.octree.softening,
+            softeningLength: simulation.octree.softeningLength,
+            quadrupole: simulation.octree.quadrupole,
+            maxBodiesPerNode: simulation.octree.maxBodiesPerNode,
+            treeType: simulation.octree.type,
+        },
+        integrator: {
+            name: simulation.integrator,
+            timestepMode: simulation.timestepMode,
+            timestepAccuracy: simulation.timestepAccuracy,
+            maxSubsteps: simulation.maxSubsteps,
+            contacts: simulation.contacts,
+        },
+        accretion: {
+            enabled: simulation.accretion.enabled,
+            criterion: simulation.accretion.criterion,
+            velocityThreshold: simulation.accretion.velocityThreshold,
+            escapeFactor: simulation.accretion.escapeFactor,
+        },
+        fragmentation: {
+            enabled: simulation.fragmentation.enabled,
+            strength: simulation.fragmentation.strength,
+            maxFragments: simulation.fragmentation.maxFragments,
+            exponent: simulation.fragmentation.exponent,
+            minFragmentRadius: simulation.fragmentation.minFragmentRadius,
+            ejectaEfficiency: simulation.fragmentation.ejectaEfficiency,
+        },
+        boundary: {
+            mode: simulation.boundary.mode,
+            escapeRadius: simulation.boundary.escapeRadius,
+        },
+        initialConditions: {
+            name: simulation.initialConditions,
+            parameters: JSON.parse(JSON.stringify(simulation.initialConditionParameters)),
+        },
+        attractors: JSON.parse(JSON.stringify(simulation.attractors)),
+    };
+}
+
+function createSnapshot(simulation) {
+    const material = simulation.contactMaterial;
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        settings: readSettings(simulation),
+        materials: [{
+            name: simulation.material.name,
+            friction: material.friction,
+            restitution: material.restitution,
+        }],
+        bodies: simulation.bodies.map(body => body.attractor ? {
+            kind: 'attractor',
+            attractor: JSON.parse(JSON.stringify(body.attractor)),
+            mass: body.mass,
+            material: body.material.name,
+            position: vector(body.position),
+            velocity: vector(body.velocity),
+            angularVelocity: vector(body.angularVelocity),
+            quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+        } : {
+            kind: 'crystal',
+            shape: {
+                baseRadius: body.crystal.baseRadius,
+                height: body.crystal.height,
+                radialSegments: body.crystal.radialSegments,
+                elongation: body.crystal.elongation,
+                orientation: vector(body.crystal.orientation),
+            },
+            mass: body.mass,
+            density: body.crystal.density,
+            pinned: body.pinned,
+            material: body.material.name,
+            position: vector(body.position),
+            velocity: vector(body.velocity),
+            angularVelocity: vector(body.angularVelocity),
+            quaternion: { x: body.quaternion.x, y: body.quaternion.y, z: body.quaternion.z, w: body.quaternion.w },
+        }),
+        contacts: readContacts(simulation),
+    };
+}
+
+// Index pairs [i, j] (j < i) of the bodies cannon saw touching in the last step.
+// Impacts only count as new when the pair wasn't touching before, so accretion and
+// fragmentation need this to resume exactly. Read straight from cannon's collision
+// matrix, which stores pair (i, j) at i * (i + 1) / 2 + j - 1.
+function readContacts(simulation) {
+    const matrix = simulation.world.collisionMatrix.matrix;
+    const n = simulation.bodies.length;
+    const contacts = [];
+    let i = 1;
+    for (let k = 0; k < matrix.length; k++) {
+        if (!matrix[k]) continue;
+        while ((i + 1) * (i + 2) / 2 - 1 <= k) i++;
+        const j = k - i * (i + 1) / 2 + 1;
+        if (i < n && j >= 0 && j < i) contacts.push([i, j]);
+    }
+    return contacts;
+}
+
+// ----------------- Validation -----------------
+
+function expectObject(value, path) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new SnapshotError(`${path} must be an object`);
+    }
+    return value;
+}
+
+function expectNumber(value, path, { min = -Infinity, integer = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new SnapshotError(`${path} must be a finite number`);
+    }
+    if (value < min) {
+        throw new SnapshotError(`${path} must be at least ${min}, got ${value}`);
+    }
+    if (integer && !Number.isInteger(value)) {
+        throw new SnapshotError(`${path} must be an integer, got ${value}`);
+    }
+    return value;
+}
+
+function expectVector(value, path, keys = ['x', 'y', 'z']) {
+    expectObject(value, path);
+    keys.forEach(key => expectNumber(value[key], `${path}.${key}`));
+    return value;
+}
+
+// The shape and motion every attractor has, in settings and in saved bodies
+function expectAttractor(value, path) {
+    const attractor = expectObject(value, path);
+    expectNumber(attractor.radius, `${path}.radius`, { min: 0 });
+    if (!ATTRACTOR_MOTIONS.includes(attractor.motion)) {
+        throw new SnapshotError(`${path}.motion must be one of ${ATTRACTOR_MOTIONS.join(', ')}`);
+    }
+    if (attractor.motion === 'orbit') {
+        const orbit = expectObject(attractor.orbit, `${path}.orbit`);
+        expectVector(orbit.center, `${path}.orbit.center`);
+        expectNumber(orbit.radius, `${path}.orbit.radius`, { min: 0 });
+        expectNumber(orbit.period, `${path}.orbit.period`, { min: 0 });
+        expectNumber(orbit.phase, `${path}.orbit.phase`);
+        expectNumber(orbit.inclination, `${path}.orbit.inclination`);
+    }
+    return attractor;
+}
+
+function validateSettings(settings) {
+    expectObject(settings, 'settings');
+    expectNumber(settings.gravityConstant, 'settings.gravityConstant', { min: 0 });
+    expectNumber(settings.worldSize, 'settings.worldSize', { min: 0 });
+    expectNumber(settings.timestep, 'settings.timestep', { min: 0 });
+    expectNumber(settings.time, 'settings.time', { min: 0 });
+    expectNumber(settings.stepCount, 'settings.stepCount', { min: 0, integer: true });
+    expectNumber(settings.sphereCount, 'settings.sphereCount', { min: 0, integer: true });
+    expectVector(settings.velocity, 'settings.velocity');
+    expectNumber(settings.seed, 'settings.seed', { min: 0, integer: true });
+    expectNumber(settings.randomState, 'settings.randomState', { min: 0, integer: true });
+    if (settings.gravitySolver !== undefined) {
+        const solver = expectObject(settings.gravitySolver, 'settings.gravitySolver');
+        expectNumber(solver.theta, 'settings.gravitySolver.theta', { min: 0 });
+        if (!SOFTENING_KERNELS.includes(solver.softening)) {
+            throw new SnapshotError(`settings.gravitySolver.softening must be one of ${SOFTENING_KERNELS.join(', ')}`);
+        }
+        expectNumber(solver.softeningLength, 'settings.gravitySolver.softeningLength', { min: 0 });
+        if (typeof solver.quadrupole !== 'boolean') {
+            throw new SnapshotError('settings.gravitySolver.quadrupole must be true or false');
+        }
+        // Optional: older snapshots have the fixed capacity of 10
+        if (solver.maxBodiesPerNode !== undefined) {
+            expectNumber(solver.maxBodiesPerNode, 'settings.gravitySolver.maxBodiesPerNode', { min: 1, integer: true });
+        }
+        // Optional: older snapshots were computed with the object tree
+        if (solver.treeType !== undefined && !TREE_TYPES.includes(solver.treeType)) {
+            throw new SnapshotError(`settings.gravitySolver.treeType must be one of ${TREE_TYPES.join(', ')}`);
+        }
+    }
+    if (settings.integrator !== undefined) {
+        const integrator = expectObject(settings.integrator, 'settings.integrator');
+        if (!INTEGRATORS.includes(integrator.name)) {
+            throw new SnapshotError(`settings.integrator.name must be one of ${INTEGRATORS.join(', ')}`);
+        }
+        if (!TIMESTEP_MODES.includes(integrator.timestepMode)) {
+            throw new SnapshotError(`settings.integrator.timestepMode must be one of ${TIMESTEP_MODES.join(', ')}`);
+        }
+        expectNumber(integrator.timestepAccuracy, 'settings.integrator.timestepAccuracy', { min: 0 });
+        expectNumber(integrator.maxSubsteps, 'settings.integrator.maxSubsteps', { min: 1, integer: true });
+        if (typeof integrator.contacts !== 'boolean') {
+            throw new SnapshotError('settings.integrator.contacts must be true or false');
+        }
+    }
+    if (settings.accretion !== undefined) {
+        const accretion = expectObject(settings.accretion, 'settings.accretion');
+        if (typeof accretion.enabled !== 'boolean') {
+            throw new SnapshotError('settings.accretion.enabled must be true or false');
+        }
+        if (!ACCRETION_CRITERIA.includes(accretion.criterion)) {
+            throw new SnapshotError(`settings.accretion.criterion must be one of ${ACCRETION_CRITERIA.join(', ')}`);
+        }
+        expectNumber(accretion.velocityThreshold, 'settings.accretion.velocityThreshold', { min: 0 });
+        expectNumber(accretion.escapeFactor, 'settings.accretion.escapeFactor', { min: 0 });
+    }
+    if (settings.fragmentation !== undefined) {
+        const fragmentation = expectObject(settings.fragmentation, 'settings.fragmentation');
+        if (typeof fragmentation.enabled !== 'boolean') {
+            throw new SnapshotError('settings.fragmentation.enabled must be true or false');
+        }
+        expectNumber(fragmentation.strength, 'settings.fragmentation.strength', { min: 0 });
+        expectNumber(fragmentation.maxFragments, 'settings.fragmentation.maxFragments', { min: 1, integer: true });
+        expectNumber(fragmentation.exponent, 'settings.fragmentation.exponent', { min: 0 });
+        expectNumber(fragmentation.minFragmentRadius, 'settings.fragmentation.minFragmentRadius', { min: 0 });
+        expectNumber(fragmentation.ejectaEfficiency, 'settings.fragmentation.ejectaEfficiency', { min: 0 });
+    }
+    if (settings.boundary !== undefined) {
+        const boundary = expectObject(settings.boundary, 'settings.boundary');
+        if (!BOUNDARY_MODES.includes(boundary.mode)) {
+            throw new SnapshotError(`settings.boundary.mode must be one of ${BOUNDARY_MODES.join(', ')}`);
+        }
+        expectNumber(boundary.escapeRadius, 'settings.boundary.escapeRadius', { min: 0 });
+    }
+    if (settings.initialConditions !== undefined) {
+        const initialConditions = expectObject(settings.initialConditions, 'settings.initialConditions');
+        if (!INITIAL_CONDITIONS.includes(initialConditions.name)) {
+            throw new SnapshotError(`settings.initialConditions.name must be one of ${INITIAL_CONDITIONS.join(', ')}`);
+        }
+        const parameters = expectObject(initialConditions.parameters, 'settings.initialConditions.parameters');
+        INITIAL_CONDITIONS.filter(name => parameters[name] !== undefined).forEach(name => {
+            const path = `settings.initialConditions.parameters.${name}`;
+            Object.entries(expectObject(parameters[name], path)).forEach(([key, value]) => expectNumber(value, `${path}.${key}`));
+        });
+    }
+    if (settings.attractors !== undefined) {
+        if (!Array.isArray(settings.attractors)) {
+            throw new SnapshotError('settings.attractors must be an array');
+        }
+        settings.attractors.forEach((attractor, i) => {
+            const path = `settings.attractors[${i}]`;
+            expectAttractor(attractor, path);
+            expectNumber(attractor.mass, `${path}.mass`, { min: 0 });
+            expectVector(attractor.position, `${path}.position`);
+            expectVector(attractor.velocity, `${path}.velocity`);
+        });
+    }
+    return settings;
+}
+
+function validateSnapshot(data) {
+    expectObject(data, 'snapshot');
+    if (data.format !== SNAPSHOT_FORMAT) {
+        throw new SnapshotError(`Not a simulation snapshot (expected format "${SNAPSHOT_FORMAT}")`);
+    }
+    if (data.version !== SNAPSHOT_VERSION) {
+        throw new SnapshotError(`Unsupported snapshot version ${data.version} (this build reads version ${SNAPSHOT_VERSION})`);
+    }
+
+    validateSettings(data.settings);
+
+    if (!Array.isArray(data.materials)) {
+        throw new SnapshotError('materials must be an array');
+    }
+    const materialNames = new Set();
+    data.materials.forEach((material, i) => {
+        const path = `materials[${i}]`;
+        expectObject(material, path);
+        if (typeof material.name !== 'string') {
+            throw new SnapshotError(`${path}.name must be a string`);
+        }
+        expectNumber(material.friction, `${path}.friction`, { min: 0 });
+        expectNumber(material.restitution, `${path}.restitution`, { min: 0 });
+        materialNames.add(material.name);
+    });
+
+    if (!Array.isArray(data.bodies)) {
+        throw new SnapshotError('bodies must be an array');
+    }
+    data.bodies.forEach((body, i) => {
+        const path = `bodies[${i}]`;
+        expectObject(body, path);
+        if (body.kind === 'attractor') {
+            expectAttractor(body.attractor, `${path}.attractor`);
+        } else if (body.kind === 'crystal') {
+            const shape = expectObject(body.shape, `${path}.shape`);
+            expectNumber(shape.baseRadius, `${path}.shape.baseRadius`, { min: 0 });
+            expectNumber(shape.height, `${path}.shape.height`, { min: 0 });
+            expectNumber(shape.radialSegments, `${path}.shape.radialSegments`, { min: 3, integer: true });
+            expectNumber(shape.elongation, `${path}.shape.elongation`, { min: 0 });
+            expectVector(shape.orientation, `${path}.shape.orientation`);
+            expectNumber(body.density, `${path}.density`, { min: 0 });
+            // Optional: snapshots written before crystals could be pinned have none pinned
+            if (body.pinned !== undefined && typeof body.pinned !== 'boolean') {
+                throw new SnapshotError(`${path}.pinned must be a boolean`);
+            }
+        } else {
+            throw new SnapshotError(`${path}.kind "${body.kind}" is not a known body kind`);
+        }
+        expectNumber(body.mass, `${path}.mass`, { min: 0 });
+        if (!materialNames.has(body.material)) {
+            throw new SnapshotError(`${path}.material "${body.material}" is not listed in materials`);
+        }
+        expectVector(body.position, `${path}.position`);
+        expectVector(body.velocity, `${path}.velocity`);
+        expectVector(body.angularVelocity, `${path}.angularVelocity`);
+        expectVector(body.quaternion, `${path}.quaternion`, ['x', 'y', 'z', 'w']);
+    });
+
+    // Optional: snapshots written before contacts were saved resume without them
+    if (data.contacts !== undefined) {
+        if (!Array.isArray(data.contacts)) {
+            throw new SnapshotError('contacts must be an array');
+        }
+        data.contacts.forEach((pair, k) => {
+            const path = `contacts[${k}]`;
+            if (!Array.isArray(pair) || pair.length !== 2) {
+                throw new SnapshotError(`${path} must be a pair of body indices`);
+            }
+            pair.forEach((index, m) => expectNumber(index, `${path}[${m}]`, { min: 0, integer: true }));
+            if (pair[0] >= data.bodies.length || pair[1] >= data.bodies.length || pair[0] === pair[1]) {
+                throw new SnapshotError(`${path} must name two different bodies`);
+            }
+        });
+    }
+
+    return data;
+}
+
+// ----------------- Load -----------------
+
+function parseSnapshot(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new SnapshotError(`File is not valid JSON: ${error.message}`);
+    }
+}
+
+// Exports from before the versioned format: a bare array of crystals, or
+// { seed, crystals }. They only kept the cylinder parameters of each mesh.
+function isLegacyExport(data) {
+    return Array.isArray(data) || (data !== null && typeof data === 'object' && data.format === undefined && Array.isArray(data.crystals));
+}
+
+function restoreLegacy(simulation, data) {
+    const crystals = Array.isArray(data) ? data : data.crystals;
+    crystals.forEach((item, i) => {
+        if (!item || !item.geometry || item.geometry.type !== 'CylinderGeometry') {
+            throw new SnapshotError(`crystals[${i}].geometry must be a serialized CylinderGeometry`);
+        }
+        const radius = expectNumber(item.geometry.radiusTop, `crystals[${i}].geometry.radiusTop`, { min: 0 });
+        const height = expectNumber(item.geometry.height, `crystals[${i}].geometry.height`, { min: 0 });
+        if (radius === 0 || height === 0) {
+            throw new SnapshotError(`crystals[${i}].geometry must have a nonzero radiusTop and height`);
+        }
+        expectNumber(item.geometry.radialSegments, `crystals[${i}].geometry.radialSegments`, { min: 3, integer: true });
+        expectNumber(item.mass, `crystals[${i}].mass`, { min: 0 });
+        expectVector(item.position, `crystals[${i}].position`);
+        expectVector(item.velocity, `crystals[${i}].velocity`);
+        expectVector(item.orientation, `crystals[${i}].orientation`, ['x', 'y', 'z', 'w']);
+    });
+    const seed = Array.isArray(data) || data.seed === undefined ? null : expectNumber(data.seed, 'seed', { min: 0, integer: true });
+
+    simulation.clear();
+    if (seed !== null) {
+        // As in applySettings, so later throws and restarts draw from the saved seed
+        simulation.seed = seed;
+        simulation.random = createRandom(seed);
+    }
+    crystals.forEach(item => {
+        // Rebuild the crystal's shape from the serialized cylinder; the orientation lives in the body's quaternion
+        const geometry = item.geometry;
+        const crystal = {
+            baseRadius: geometry.radiusTop,
+            height: geometry.height,
+            radialSegments: geometry.radialSegments,
+            density: item.mass / (Math.PI * geometry.radiusTop * geometry.radiusTop * geometry.height),
+            elongation: 1,
+            orientation: { x: 0, y: 0, z: 0 },
+        };
+        simulation.addBody(item.mass, item.position, item.velocity, item.orientation, crystal);
+    });
+    simulation.rebuildOctree();
+    simulation.diagnostics.reset();
+}
+
+function applySettings(simulation, settings) {
+    simulation.gravityConstant = settings.gravityConstant;
+    simulation.worldSize = settings.worldSize;
+    simulation.timestep = settings.timestep;
+    simulation.time = settings.time;
+    simulation.stepCount = settings.stepCount;
+    simulation.sphereCount = settings.sphereCount;
+    simulation.velocityX = settings.velocity.x;
+    simulation.velocityY = settings.velocity.y;
+    simulation.velocityZ = settings.velocity.z;
+    simulation.seed = settings.seed;
+    simulation.random = createRandom(settings.seed);
+    simulation.random.setState(settings.randomState);
+    if (settings.gravitySolver) {
+        // Rounding differs between the two trees, so resuming bit-for-bit needs the same one
+        simulation.setTreeType(settings.gravitySolver.treeType ?? 'object');
+        Object.assign(simulation.octree, {
+            theta: settings.gravitySolver.theta,
+            softening: settings.gravitySolver.softening,
+            softeningLength: settings.gravitySolver.softeningLength,
+            quadrupole: settings.gravitySolver.quadrupole,
+            maxBodiesPerNode: settings.gravitySolver.maxBodiesPerNode ?? 10,
+        });
+    }
+
+    if (settings.integrator) {
+        simulation.contacts = settings.integrator.contacts;
+        // Before the bodies are added, so they get this integrator's damping; after
+        // contacts, which Hermite turns off
+        simulation.setIntegrator(settings.integrator.name);
+        simulation.timestepMode = settings.integrator.timestepMode;
+        simulation.timestepAccuracy = settings.integrator.timestepAccuracy;
+        simulation.maxSubsteps = settings.integrator.maxSubsteps;
+    }
+
+    if (settings.accretion) {
+        Object.assign(simulation.accretion, {
+            enabled: settings.accretion.enabled,
+            criterion: settings.accretion.criterion,
+            velocityThreshold: settings.accretion.velocityThreshold,
+            escapeFactor: settings.accretion.escapeFactor,
+        });
+    }
+
+    if (settings.fragmentation) {
+        Object.assign(simulation.fragmentation, {
+            enabled: settings.fragmentation.enabled,
+            strength: settings.fragmentation.strength,
+            maxFragments: settings.fragmentation.maxFragments,
+            exponent: settings.fragmentation.exponent,
+            minFragmentRadius: settings.fragmentation.minFragmentRadius,
+            ejectaEfficiency: settings.fragmentation.ejectaEfficiency,
+        });
+    }
+
+    if (settings.boundary) {
+        Object.assign(simulation.boundary, {
+            mode: settings.boundary.mode,
+            escapeRadius: settings.boundary.escapeRadius,
+        });
+    }
+
+    if (settings.initialConditions) {
+        // Only used by the next restart; the bodies come from the snapshot
+        simulation.initialConditions = settings.initialConditions.name;
+        INITIAL_CONDITIONS.forEach(name => {
+            Object.assign(simulation.initialConditionParameters[name], settings.initialConditions.parameters[name]);
+        });
+    }
+
+    if (settings.attractors) {
+        simulation.attractors = JSON.parse(JSON.stringify(settings.attractors));
+    }
+    // Gravity, softening or the boundary may have changed
+    simulation.invalidateAccelerations();
+}
+
+// Deep-merge a partial settings object into a full one, e.g. { gravitySolver: { theta: 0.3 } }
+function mergeSettings(settings, changes) {
+    const merged = { ...settings };
+    Object.entries(changes).forEach(([key, value]) => {
+        const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+        merged[key] = isObject && typeof settings[key] === 'object' ? mergeSettings(settings[key], value) : value;
+    });
+    return merged;
+}
+
+function restoreSnapshot(simulation, data) {
+    if (isLegacyExport(data)) {
+        restoreLegacy(simulation, data);
+        return simulation;
+    }
+    validateSnapshot(data);
+    simulation.clear();
+
+    applySettings(simulation, data.settings);
+
+    const material = data.materials.find(m => m.name === simulation.material.name);
+    if (material) {
+        simulation.contactMaterial.friction = material.friction;
+        simulation.contactMaterial.restitution = material.restitution;
+    }
+
+    data.bodies.forEach(item => {
+        if (item.kind === 'attractor') {
+            const attractor = JSON.parse(JSON.stringify(item.attractor));
+            const body = simulation.addBody(item.mass, item.position, item.velocity, item.quaternion, null, attractor);
+            body.angularVelocity.set(item.angularVelocity.x, item.angularVelocity.y, item.angularVelocity.z);
+            return;
+        }
+        const crystal = {
+            baseRadius: item.shape.baseRadius,
+            height: item.shape.height,
+            radialSegments: item.shape.radialSegments,
+            density: item.density,
+            elongation: item.shape.elongation,
+            orientation: vector(item.shape.orientation),
+        };
+        const body = simulation.addBody(item.mass, item.position, item.velocity, item.quaternion, crystal);
+        if (item.pinned) simulation.setPinned(body, true);
+        body.angularVelocity.set(item.angularVelocity.x, item.angularVelocity.y, item.angularVelocity.z);
+    });
+    (data.contacts || []).forEach(([i, j]) => {
+        simulation.world.collisionMatrix.set(simulation.bodies[i], simulation.bodies[j], true);
+    });
+    simulation.rebuildOctree();
+    // Drift is measured from the restored state
+    simulation.diagnostics.reset();
+    return simulation;
+}
+
+export {
+    SNAPSHOT_FORMAT, SNAPSHOT_VERSION, SnapshotError,
+    createSnapshot, parseSnapshot, validateSnapshot, restoreSnapshot,
+    readSettings, validateSettings, applySettings, mergeSettings,
+};
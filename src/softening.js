@@ -0,0 +1,80 @@
+// Gravitational softening kernels shared by the tree codes.
+//
+// forceKernel returns g(r) so that the force between two masses is G*m1*m2*g(r)*dx,
+// with g = 1/r^3 for unsoftened gravity. potentialKernel returns h(r) so that the
+// pair potential energy is -G*m1*m2*h(r), with h = 1/r unsoftened. forceKernelSlope
+// returns g'(r)/r, which the Hermite integrator's jerks need: the time derivative of
+// g(r)*dx is g(r)*dv + (g'(r)/r)*(dx.dv)*dx.
+//
+// 'plummer' replaces r^2 with r^2 + eps^2 everywhere. 'spline' is the cubic-spline
+// kernel (Monaghan & Lattanzio 1985, as in GADGET) with compact support
+// h = 2.8 eps: exactly Newtonian beyond h, and matching a Plummer sphere of
+// length eps at the center.
+
+const SOFTENING_KERNELS = ['none', 'plummer', 'spline'];
+
+// Below this squared distance two bodies are treated as coincident and ignored
+const MIN_DISTANCE_SQUARED = 1e-10;
+
+function forceKernel(kernel, r2, eps) {
+    if (kernel === 'plummer' && eps > 0) {
+        const s2 = r2 + eps * eps;
+        return 1 / (s2 * Math.sqrt(s2));
+    }
+    if (r2 <= MIN_DISTANCE_SQUARED) return 0;
+    const r = Math.sqrt(r2);
+    if (kernel === 'spline' && eps > 0) {
+        const h = 2.8 * eps;
+        if (r < h) {
+            const u = r / h;
+            const hInv3 = 1 / (h * h * h);
+            if (u < 0.5) {
+                return hInv3 * (10.666666666667 + u * u * (32.0 * u - 38.4));
+            }
+            return hInv3 * (21.333333333333 - 48.0 * u + 38.4 * u * u - 10.666666666667 * u * u * u - 0.066666666667 / (u * u * u));
+        }
+    }
+    return 1 / (r2 * r);
+}
+
+function forceKernelSlope(kernel, r2, eps) {
+    if (kernel === 'plummer' && eps > 0) {
+        const s2 = r2 + eps * eps;
+        return -3 / (s2 * s2 * Math.sqrt(s2));
+    }
+    if (r2 <= MIN_DISTANCE_SQUARED) return 0;
+    const r = Math.sqrt(r2);
+    if (kernel === 'spline' && eps > 0) {
+        const h = 2.8 * eps;
+        if (r < h) {
+            const u = r / h;
+            const hInv5 = 1 / (h * h * h * h * h);
+            if (u < 0.5) {
+                return hInv5 * (96.0 * u - 76.8);
+            }
+            return hInv5 * (-48.0 + 76.8 * u - 32.0 * u * u + 0.2 / (u * u * u * u)) / u;
+        }
+    }
+    return -3 / (r2 * r2 * r);
+}
+
+function potentialKernel(kernel, r2, eps) {
+    if (kernel === 'plummer' && eps > 0) {
+        return 1 / Math.sqrt(r2 + eps * eps);
+    }
+    if (r2 <= MIN_DISTANCE_SQUARED) return 0;
+    const r = Math.sqrt(r2);
+    if (kernel === 'spline' && eps > 0) {
+        const h = 2.8 * eps;
+        if (r < h) {
+            const u = r / h;
+            if (u < 0.5) {
+                return -(-2.8 + u * u * (5.333333333333 + u * u * (6.4 * u - 9.6))) / h;
+            }
+            return -(-3.2 + 0.066666666667 / u + u * u * (10.666666666667 + u * (-16.0 + u * (9.6 - 2.133333333333 * u)))) / h;
+        }
+    }
+    return 1 / r;
+}
+
+export { SOFTENING_KERNELS, MIN_DISTANCE_SQUARED, forceKernel, forceKernelSlope, potentialKernel };
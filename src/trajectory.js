@@ -0,0 +1,45 @@
+import CANNON from 'cannon';
+
+// Throw preview: the path a test particle would take from `origin` at `velocity`
+// through the gravity field of the bodies as they are now. The field is frozen
+// (the other bodies don't move during the prediction) and contacts are ignored,
+// so the preview is exact only for throws past slowly moving masses. It steps
+// with kick-drift-kick leapfrog at the simulation's timestep, and stops early
+// when the particle enters an attractor.
+//
+// Returns the positions as a Float32Array of x, y, z triples, origin first.
+function predictTrajectory(simulation, origin, velocity, steps = 300) {
+    const dt = simulation.timestep;
+    // With unit mass, the octree's force on the particle is its acceleration
+    const particle = { mass: 1, position: new CANNON.Vec3(origin.x, origin.y, origin.z) };
+    const v = new CANNON.Vec3(velocity.x, velocity.y, velocity.z);
+    const attractors = simulation.bodies.filter(body => body.attractor);
+    const points = new Float32Array(3 * (steps + 1));
+
+    // The tree must match the positions after the last step
+    simulation.rebuildOctree();
+    const acceleration = () => simulation.octree.calculateGravity(particle);
+    let a = acceleration();
+    points.set([particle.position.x, particle.position.y, particle.position.z], 0);
+
+    let count = 1;
+    for (let i = 0; i < steps; i++) {
+        v.x += 0.5 * dt * a.x;
+        v.y += 0.5 * dt * a.y;
+        v.z += 0.5 * dt * a.z;
+        particle.position.x += dt * v.x;
+        particle.position.y += dt * v.y;
+        particle.position.z += dt * v.z;
+        a = acceleration();
+        v.x += 0.5 * dt * a.x;
+        v.y += 0.5 * dt * a.y;
+        v.z += 0.5 * dt * a.z;
+
+        points.set([particle.position.x, particle.position.y, particle.position.z], 3 * count);
+        count++;
+        if (attractors.some(body => body.position.distanceTo(particle.position) < body.attractor.radius)) break;
+    }
+    return points.slice(0, 3 * count);
+}
+
+export { predictTrajectory };
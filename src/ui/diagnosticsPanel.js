@@ -0,0 +1,101 @@
+// Overlay that plots the Diagnostics history as small sparkline charts.
+
+const PLOTS = [
+    { key: 'energyDrift', label: 'Energy drift ΔE/|E₀|', format: v => v.toExponential(2) },
+    { key: 'momentumDrift', label: 'Momentum drift |ΔP|/Σ|p|', format: v => v.toExponential(2) },
+    { key: 'angularMomentumDrift', label: 'Ang. momentum drift |ΔL|/|L₀|', format: v => v.toExponential(2) },
+    { key: 'virialRatio', label: 'Virial ratio 2K/|W|', format: v => v.toFixed(3) },
+];
+
+const PLOT_WIDTH = 220;
+const PLOT_HEIGHT = 48;
+
+class DiagnosticsPanel {
+    constructor(diagnostics, container = document.body) {
+        this.diagnostics = diagnostics;
+        this.lastDrawn = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'diagnostics-panel';
+        this.element.style.display = 'none';
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'diagnostics-summary';
+        this.element.appendChild(this.summary);
+
+        this.plots = PLOTS.map(plot => {
+            const label = document.createElement('div');
+            label.className = 'diagnostics-label';
+            const canvas = document.createElement('canvas');
+            canvas.width = PLOT_WIDTH;
+            canvas.height = PLOT_HEIGHT;
+            this.element.appendChild(label);
+            this.element.appendChild(canvas);
+            return { ...plot, labelElement: label, context: canvas.getContext('2d') };
+        });
+
+        container.appendChild(this.element);
+    }
+
+    setVisible(visible) {
+        this.element.style.display = visible ? 'block' : 'none';
+        this.lastDrawn = null;
+    }
+
+    // Redraw when a new sample has arrived
+    update() {
+        const latest = this.diagnostics.latest;
+        if (this.element.style.display === 'none' || latest === this.lastDrawn) return;
+        this.lastDrawn = latest;
+
+        if (!latest) {
+            this.summary.textContent = 'Waiting for the first sample…';
+            this.plots.forEach(plot => {
+                plot.labelElement.textContent = plot.label;
+                plot.context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+            });
+            return;
+        }
+
+        const com = latest.centerOfMass;
+        this.summary.textContent =
+            `t = ${latest.time.toFixed(2)} s · E = ${latest.totalEnergy.toExponential(3)} ` +
+            `(K ${latest.kineticEnergy.toExponential(2)}, W ${latest.potentialEnergy.toExponential(2)}) · ` +
+            `COM (${com.x.toFixed(1)}, ${com.y.toFixed(1)}, ${com.z.toFixed(1)})`;
+
+        const history = this.diagnostics.history;
+        this.plots.forEach(plot => {
+            plot.labelElement.textContent = `${plot.label}: ${plot.format(latest[plot.key])}`;
+            this.drawSeries(plot.context, history.map(record => record[plot.key]));
+        });
+    }
+
+    drawSeries(context, values) {
+        context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+        if (values.length < 2) return;
+
+        // Always keep zero in range so drifts read relative to the baseline
+        const min = Math.min(0, ...values);
+        const max = Math.max(0, ...values);
+        const range = max - min || 1;
+        const toY = v => PLOT_HEIGHT - 2 - ((v - min) / range) * (PLOT_HEIGHT - 4);
+
+        // Zero line
+        context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        context.beginPath();
+        context.moveTo(0, toY(0));
+        context.lineTo(PLOT_WIDTH, toY(0));
+        context.stroke();
+
+        context.strokeStyle = '#4fc3f7';
+        context.beginPath();
+        values.forEach((v, i) => {
+            const x = (i / (values.length - 1)) * PLOT_WIDTH;
+            if (i === 0) context.moveTo(x, toY(v));
+            else context.lineTo(x, toY(v));
+        });
+        context.stroke();
+    }
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,147 @@
+// Overlay for the body picked with the select tool: its live mass, size, position,
+// velocity, octree acceleration, kinetic energy and osculating orbit (see orbits.js).
+// Mass, position and velocity are also fields that edit the body when a new value
+// is committed; they follow the live values except while being edited. Crystals can
+// be pinned in place, and any body deleted or made the primary orbits are measured
+// against.
+
+const formatVector = v => `(${v.x.toFixed(2)}, ${v.y.toFixed(2)}, ${v.z.toFixed(2)})`;
+const magnitude = v => Math.hypot(v.x, v.y, v.z);
+const degrees = angle => `${(angle * 180 / Math.PI).toFixed(1)}°`;
+
+function describeOrbit(orbit) {
+    if (!orbit) return [];
+    const e = orbit.elements;
+    const about = orbit.primaryId === null ? 'the barycenter' : `#${orbit.primaryId}`;
+    return [
+        `Orbit about ${about}: ${e.bound ? 'bound' : 'unbound'}`,
+        `  a ${e.semiMajorAxis.toFixed(2)}  e ${e.eccentricity.toFixed(4)}  i ${degrees(e.inclination)}`,
+        `  Ω ${degrees(e.longitudeOfAscendingNode)}  ω ${degrees(e.argumentOfPeriapsis)}  ν ${degrees(e.trueAnomaly)}`,
+        `  periapsis ${e.periapsis.toFixed(2)}  apoapsis ${e.bound ? e.apoapsis.toFixed(2) : '∞'}`,
+        `  period ${e.bound ? e.period.toFixed(2) : '∞'}`,
+    ];
+}
+
+class InspectorPanel {
+    constructor(simulation, { onClose = () => {}, onSetPrimary = () => {} } = {}, container = document.body) {
+        this.simulation = simulation;
+        this.onClose = onClose;
+        this.lastDrawn = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'inspector-panel';
+        this.element.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.className = 'inspector-header';
+        this.title = document.createElement('span');
+        const close = this.addButton(header, '×', () => this.onClose());
+        close.title = 'Deselect';
+        header.prepend(this.title);
+        this.element.appendChild(header);
+
+        this.readout = document.createElement('div');
+        this.readout.className = 'inspector-readout';
+        this.element.appendChild(this.readout);
+
+        this.fields = {
+            mass: this.addField('Mass', ['mass'], values => ({ mass: values.mass })),
+            position: this.addField('Position', ['x', 'y', 'z'], values => ({ position: values })),
+            velocity: this.addField('Velocity', ['x', 'y', 'z'], values => ({ velocity: values })),
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'inspector-actions';
+        this.pinButton = this.addButton(actions, 'Pin', () => {
+            const inspected = this.simulation.inspected;
+            if (inspected) this.simulation.pinBody(inspected.id, !inspected.pinned);
+        });
+        this.addButton(actions, 'Use as Primary', () => onSetPrimary(this.simulation.inspectedId));
+        this.addButton(actions, 'Delete', () => {
+            this.simulation.deleteBody(this.simulation.inspectedId);
+            this.onClose();
+        });
+        this.element.appendChild(actions);
+
+        container.appendChild(this.element);
+    }
+
+    addButton(parent, text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    // A labelled row of number inputs; `toChanges` turns their values into an editBody change
+    addField(label, keys, toChanges) {
+        const row = document.createElement('div');
+        row.className = 'inspector-field';
+        const name = document.createElement('span');
+        name.textContent = label;
+        row.appendChild(name);
+
+        const inputs = {};
+        keys.forEach(key => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.addEventListener('change', () => {
+                const values = {};
+                keys.forEach(k => { values[k] = Number(inputs[k].value); });
+                if (Object.values(values).every(Number.isFinite)) {
+                    this.simulation.editBody(this.simulation.inspectedId, toChanges(values));
+                }
+            });
+            inputs[key] = input;
+            row.appendChild(input);
+        });
+        this.element.appendChild(row);
+        return inputs;
+    }
+
+    // Redraw when a new frame has brought the body's details
+    update() {
+        const id = this.simulation.inspectedId;
+        this.element.style.display = id === null ? 'none' : 'block';
+        const inspected = this.simulation.inspected;
+        if (id === null || (inspected && inspected === this.lastDrawn)) return;
+        this.lastDrawn = inspected;
+
+        const record = this.simulation.records.get(id);
+        const attractor = record ? record.attractor : null;
+        this.title.textContent = `${attractor ? 'Attractor' : 'Crystal'} #${id}`;
+        this.pinButton.style.display = attractor ? 'none' : '';
+        if (!inspected || !record) {
+            this.readout.textContent = 'Waiting for the next frame…';
+            return;
+        }
+
+        const size = attractor ?
+            `radius ${attractor.radius.toFixed(2)}, ${attractor.motion}` :
+            `radius ${record.crystal.baseRadius.toFixed(2)}, height ${(record.crystal.height * record.crystal.elongation).toFixed(2)}, ${record.crystal.radialSegments} sides`;
+        this.readout.textContent = [
+            `Size: ${size}`,
+            `Speed: ${magnitude(inspected.velocity).toFixed(3)}`,
+            `Acceleration: ${formatVector(inspected.acceleration)} |a| ${magnitude(inspected.acceleration).toExponential(3)}`,
+            `Kinetic energy: ${inspected.kineticEnergy.toExponential(3)}`,
+            ...(inspected.pinned ? ['Pinned'] : []),
+            ...describeOrbit(inspected.orbit),
+        ].join('\n');
+        this.pinButton.textContent = inspected.pinned ? 'Unpin' : 'Pin';
+
+        this.setValues(this.fields.mass, { mass: inspected.mass });
+        this.setValues(this.fields.position, inspected.position);
+        this.setValues(this.fields.velocity, inspected.velocity);
+    }
+
+    setValues(inputs, values) {
+        Object.entries(inputs).forEach(([key, input]) => {
+            // Leave the field being edited alone
+            if (input !== document.activeElement) input.value = Number(values[key].toPrecision(6));
+        });
+    }
+}
+
+export default InspectorPanel;
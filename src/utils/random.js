@@ -0,0 +1,43 @@
+// random.js
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32).
+ * @param {number} seed Any integer; only the low 32 bits are used.
+ * @returns {function(): number} A function returning floats in [0, 1), like Math.random,
+ *     with getState()/setState() to save and resume the sequence.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    // The whole generator state is one integer, so snapshots can resume the exact sequence
+    random.getState = () => state;
+    random.setState = (value) => { state = value >>> 0; };
+    return random;
+}
+
+/**
+ * Picks a fresh seed for runs that don't ask for a specific one.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Draws a standard normal deviate (Box-Muller) from a generator made by createRandom.
+ * @param {function(): number} random Uniform generator in [0, 1).
+ * @returns {number} A sample with mean 0 and standard deviation 1.
+ */
+function gaussian(random) {
+    const u = 1 - random(); // (0, 1], so the logarithm stays finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export { createRandom, randomSeed, gaussian };
@@ -0,0 +1,387 @@
+import { SnapshotError } from '../snapshot.js';
+
+// Copy nested settings into the mirror in place, so GUI controllers bound to it stay valid
+function assignSettings(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        // Lists such as the attractors are replaced whole, so they can shrink
+        if (typeof value === 'object' && value !== null && !Array.isArray(value) && typeof target[key] === 'object' && target[key] !== null) {
+            assignSettings(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+// Orbital throw options as plain data, whatever vector class the hint is
+function plainOrbit(orbit) {
+    return orbit && { primaryId: orbit.primaryId, kind: orbit.kind, hint: { x: orbit.hint.x, y: orbit.hint.y, z: orbit.hint.z } };
+}
+
+// Main-thread proxy for a Simulation running in simulationWorker.js. Mirrors the
+// worker's bodies and settings from the frames it posts and interpolates body
+// poses between frames, so rendering runs at display rate whatever the step rate.
+class SimulationClient {
+    constructor({ gravityConstant, sphereCount, worldSize, velocity, seed }) {
+        this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.onMessage(event.data);
+        this.worker.onerror = (event) => this.onWorkerError(event);
+
+        this.bodies = []; // { id, crystal, attractor, mass, position, quaternion, acceleration, clump, from, to }
+        this.records = new Map(); // body id -> record
+        this.maxAcceleration = 0;
+        this.settings = null; // Same shape as readSettings in snapshot.js
+        this.diagnostics = { latest: null, history: [], historyLength: 600 };
+        // The last clump search (see clumps.js), and the largest clump's member count and share of the mass
+        this.clumps = { latest: null, count: 0, boundFraction: 0, largestMembers: 0, largestMassFraction: 0 };
+        this.inspectedId = null; // Body picked for the inspector
+        this.inspected = null; // Its { id, mass, position, velocity, acceleration, kineticEnergy, pinned, orbit }
+        this.orbits = []; // { id, primaryId, focus, elements } to draw, see orbits.js
+        this.field = null; // The latest gravity field slice, see fieldSlice.js
+        // Node boxes as in the worker's describeTree, and Octree.statistics
+        this.tree = {
+            boxes: null,
+            stats: { depth: 0, nodes: 0, leaves: 0, emptyLeaves: 0, bodies: 0, meanBodiesPerLeaf: 0, maxBodiesPerLeaf: 0, interactionsPerEvaluation: 0 },
+        };
+        this.lastSubsteps = 1;
+        this.mergeCount = 0;
+        this.fragmentationCount = 0;
+        this.escapeCount = 0; // Bodies the open boundary removed
+        this.escapedMass = 0;
+        // Updated in place from every frame, so GUI controllers can listen to it
+        this.replay = { active: false, index: -1, frameCount: 0, position: 1, playing: false, speed: 1, loop: false };
+        this.log = { length: 0, full: false }; // Characters the data log holds, and whether it hit its cap
+        this.time = 0;
+        this.stepCount = 0;
+        this.onSettings = null; // Called with the settings whenever the worker reports them
+
+        this.lastFrameTime = null;
+        this.frameInterval = 1000 / 60; // Smoothed ms between frames
+        this.requests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 1;
+
+        this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+        this.post({ type: 'init', gravityConstant, sphereCount, worldSize, velocity, seed });
+    }
+
+    post(message) {
+        this.worker.postMessage(message);
+    }
+
+    // Post a message whose reply settles the returned promise
+    request(message) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.post({ ...message, requestId });
+        });
+    }
+
+    onMessage(message) {
+        const pending = message.requestId !== undefined ? this.requests.get(message.requestId) : null;
+        if (pending) this.requests.delete(message.requestId);
+
+        switch (message.type) {
+            case 'frame':
+                this.applyFrame(message);
+                break;
+            case 'settings':
+            case 'restored':
+                this.settings = this.settings ? assignSettings(this.settings, message.settings) : message.settings;
+                if (this.onSettings) this.onSettings(this.settings);
+                this.resolveReady();
+                if (pending) pending.resolve(this.settings);
+                break;
+            case 'snapshot':
+                if (pending) pending.resolve(message.data);
+                break;
+            case 'thrown':
+                if (pending) pending.resolve(message.ids);
+                break;
+            case 'preview':
+                if (pending) pending.resolve(message.points);
+                break;
+            case 'logFiles':
+                if (pending) pending.resolve(message.files);
+                break;
+            case 'error': {
+                const error = message.name === 'SnapshotError' ? new SnapshotError(message.message) : new Error(message.message);
+                if (pending) pending.reject(error);
+                else console.error('Simulation worker error:', error);
+                break;
+            }
+        }
+    }
+
+    // The worker failed outside any message handler, so no reply is coming
+    onWorkerError(event) {
+        const error = new Error(event.message || 'Simulation worker failed');
+        console.error('Simulation worker error:', error);
+        this.requests.forEach(pending => pending.reject(error));
+        this.requests.clear();
+    }
+
+    applyFrame(frame) {
+        const now = performance.now();
+        if (this.lastFrameTime !== null) {
+            this.frameInterval += 0.1 * ((now - this.lastFrameTime) - this.frameInterval);
+        }
+        this.lastFrameTime = now;
+
+        this.time = frame.time;
+        this.stepCount = frame.stepCount;
+        this.lastSubsteps = frame.lastSubsteps;
+        this.mergeCount = frame.mergeCount;
+        this.fragmentationCount = frame.fragmentationCount;
+        this.escapeCount = frame.escapeCount;
+        this.escapedMass = frame.escapedMass;
+        Object.assign(this.replay, frame.replay);
+        Object.assign(this.log, frame.log);
+
+        frame.newBodies.forEach(({ id, crystal, attractor }) => {
+            this.records.set(id, {
+                id: id,
+                crystal: crystal,
+                attractor: attractor,
+                mass: 0,
+                position: { x: 0, y: 0, z: 0 },
+                quaternion: { x: 0, y: 0, z: 0, w: 1 },
+                acceleration: 0,
+                clump: -1, // Id of the clump the body belongs to
+                from: null,
+                to: null,
+            });
+        });
+
+        // Bodies the worker placed by hand or wrapped around the box start from their new pose
+        const jumped = new Set(frame.jumped);
+        const bodies = [];
+        frame.ids.forEach((id, i) => {
+            const record = this.records.get(id);
+            const pose = {
+                px: frame.positions[3 * i], py: frame.positions[3 * i + 1], pz: frame.positions[3 * i + 2],
+                qx: frame.quaternions[4 * i], qy: frame.quaternions[4 * i + 1], qz: frame.quaternions[4 * i + 2], qw: frame.quaternions[4 * i + 3],
+            };
+            // Interpolate from where the body is drawn now, so late frames don't jump
+            record.from = record.to && !jumped.has(id) ? this.currentPose(record) : pose;
+            record.to = pose;
+            record.mass = frame.masses[i];
+            record.acceleration = frame.accelerations ? frame.accelerations[i] : 0;
+            bodies.push(record);
+        });
+        this.bodies = bodies;
+
+        // Forget bodies the worker has removed
+        if (this.records.size > bodies.length) {
+            const live = new Set(frame.ids);
+            [...this.records.keys()].forEach(id => { if (!live.has(id)) this.records.delete(id); });
+        }
+        this.maxAcceleration = frame.maxAcceleration || 0;
+
+        if (frame.diagnostics !== undefined) this.addDiagnostics(frame.diagnostics);
+        if (frame.clumps !== undefined) this.setClumps(frame.clumps);
+        this.orbits = frame.orbits || [];
+        if (frame.field !== undefined) this.field = frame.field;
+        if (frame.tree !== undefined) {
+            this.tree.boxes = frame.tree ? frame.tree.boxes : null;
+            if (frame.tree) Object.assign(this.tree.stats, frame.tree.stats);
+        }
+        // Frames posted before the latest inspect() can still carry another body
+        if (frame.inspected && frame.inspected.id === this.inspectedId) {
+            if (frame.inspected.gone) this.inspectedId = null;
+            this.inspected = frame.inspected.gone ? null : frame.inspected;
+        }
+    }
+
+    // Label every body with its clump; bodies that arrive later are in none until the next search
+    setClumps(latest) {
+        this.records.forEach(record => { record.clump = -1; });
+        if (latest) {
+            latest.clumps.forEach(clump => clump.members.forEach(id => {
+                const record = this.records.get(id);
+                if (record) record.clump = clump.id;
+            }));
+        }
+        this.clumps.latest = latest;
+        this.clumps.count = latest ? latest.clumps.length : 0;
+        this.clumps.boundFraction = latest ? latest.boundFraction : 0;
+        const largest = latest && latest.clumps[0];
+        this.clumps.largestMembers = largest ? largest.count : 0;
+        this.clumps.largestMassFraction = largest ? largest.mass / latest.totalMass : 0;
+    }
+
+    addDiagnostics(record) {
+        const diagnostics = this.diagnostics;
+        if (!record) {
+            diagnostics.history = [];
+        } else {
+            diagnostics.history.push(record);
+            if (diagnostics.history.length > diagnostics.historyLength) diagnostics.history.shift();
+        }
+        diagnostics.latest = record;
+    }
+
+    currentPose(record) {
+        const p = record.position;
+        const q = record.quaternion;
+        return { px: p.x, py: p.y, pz: p.z, qx: q.x, qy: q.y, qz: q.z, qw: q.w };
+    }
+
+    // Move every record's pose between the last two frames, lerping positions and
+    // nlerping quaternions by the time since the latest frame
+    interpolate(now) {
+        if (this.lastFrameTime === null) return;
+        const alpha = Math.min(1, Math.max(0, (now - this.lastFrameTime) / this.frameInterval));
+
+        this.bodies.forEach(record => {
+            const from = record.from;
+            const to = record.to;
+            record.position.x = from.px + (to.px - from.px) * alpha;
+            record.position.y = from.py + (to.py - from.py) * alpha;
+            record.position.z = from.pz + (to.pz - from.pz) * alpha;
+
+            // Take the short way round
+            const sign = from.qx * to.qx + from.qy * to.qy + from.qz * to.qz + from.qw * to.qw < 0 ? -1 : 1;
+            const qx = from.qx + (sign * to.qx - from.qx) * alpha;
+            const qy = from.qy + (sign * to.qy - from.qy) * alpha;
+            const qz = from.qz + (sign * to.qz - from.qz) * alpha;
+            const qw = from.qw + (sign * to.qw - from.qw) * alpha;
+            const length = Math.hypot(qx, qy, qz, qw) || 1;
+            record.quaternion.x = qx / length;
+            record.quaternion.y = qy / length;
+            record.quaternion.z = qz / length;
+            record.quaternion.w = qw / length;
+        });
+    }
+
+    // ----------------- Commands -----------------
+
+    // Partial settings in the snapshot settings format, e.g. { gravitySolver: { theta: 0.3 } }
+    configure(changes) {
+        this.post({ type: 'configure', changes });
+    }
+
+    restart() {
+        this.post({ type: 'restart' });
+    }
+
+    setRunning(running) {
+        this.post({ type: 'run', running });
+    }
+
+    setColorMapping(enabled) {
+        this.post({ type: 'colorMapping', enabled });
+    }
+
+    setDiagnostics({ enabled, interval }) {
+        this.post({ type: 'diagnostics', enabled, interval });
+    }
+
+    resetDiagnostics() {
+        this.post({ type: 'diagnostics', reset: true });
+    }
+
+    // Any of { enabled, interval, linkingFactor, minMembers }; see clumps.js
+    setClumpFinding(changes) {
+        this.post({ type: 'clumps', ...changes });
+    }
+
+    // Have every frame carry the details of body `id`, or of none when it is null
+    inspect(id) {
+        this.inspectedId = id;
+        this.inspected = null;
+        this.post({ type: 'inspect', id });
+    }
+
+    // Any of { mass, position, velocity }
+    editBody(id, changes) {
+        this.post({ type: 'editBody', id, ...changes });
+    }
+
+    pinBody(id, pinned) {
+        this.post({ type: 'pinBody', id, pinned });
+    }
+
+    deleteBody(id) {
+        this.post({ type: 'deleteBody', id });
+    }
+
+    // Any of { mode, reference, primaryId }; see orbits.js
+    setOrbits(changes) {
+        this.post({ type: 'orbits', ...changes });
+    }
+
+    // Any of { enabled, quantity, plane, offset, size, resolution, interval }; see fieldSlice.js
+    setField(changes) {
+        this.post({ type: 'field', ...changes });
+    }
+
+    // Any of { enabled, interval }
+    setTreeStatistics(changes) {
+        this.post({ type: 'tree', ...changes });
+    }
+
+    // Resolves with the ids of the thrown crystals. With `orbit`, { primaryId, kind, hint },
+    // the worker picks the speed and direction for a circular or escape orbit about that body.
+    throwCrystals(origin, direction, speed, count, radius, orbit = null) {
+        return this.request({
+            type: 'throw',
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            direction: { x: direction.x, y: direction.y, z: direction.z },
+            speed, count, radius,
+            orbit: plainOrbit(orbit),
+        });
+    }
+
+    // Resolves with the predicted path of the same throw, a Float32Array of x, y, z triples
+    previewThrow(origin, direction, speed, orbit = null, steps = 300) {
+        return this.request({
+            type: 'preview',
+            origin: { x: origin.x, y: origin.y, z: origin.z },
+            direction: { x: direction.x, y: direction.y, z: direction.z },
+            speed,
+            orbit: plainOrbit(orbit),
+            steps,
+        });
+    }
+
+    setRecording({ enabled, interval, maxFrames }) {
+        this.post({ type: 'record', enabled, interval, maxFrames });
+    }
+
+    // Any of { active, playing, speed, loop, position }; position is 0..1 along the recording
+    setReplay(changes) {
+        this.post({ type: 'replay', ...changes });
+    }
+
+    // Continue the live run from the replayed frame. Resolves with the settings.
+    fork() {
+        return this.request({ type: 'fork' });
+    }
+
+    // Any of { enabled, interval, format, channels }; see dataLogger.js
+    setLogging(changes) {
+        this.post({ type: 'log', ...changes });
+    }
+
+    clearLog() {
+        this.post({ type: 'log', reset: true });
+    }
+
+    // Resolves with the logged files, [{ name, text }]
+    requestLog() {
+        return this.request({ type: 'logFiles' });
+    }
+
+    // Resolves with the snapshot data
+    requestSnapshot() {
+        return this.request({ type: 'snapshot' });
+    }
+
+    // Resolves with the restored settings; rejects with a SnapshotError for bad files
+    restore(text) {
+        return this.request({ type: 'restore', text });
+    }
+}
+
+export default SimulationClient;
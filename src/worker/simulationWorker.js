@@ -0,0 +1,512 @@
+// Runs the Simulation engine off the main thread.
+//
+// Messages in (all may carry a requestId, echoed back in replies and errors):
+//   init        { gravityConstant, sphereCount, worldSize, velocity, seed }
+//   configure   { changes }  partial settings in the snapshot settings format
+//   restart, run { running }, colorMapping { enabled }
+//   throw       { origin, direction, speed, count, radius, orbit }  orbit, if set, is
+//               { primaryId, kind, hint }: launch at the circular or escape speed about
+//               that body, along the hint made tangential (see orbits.js)
+//   preview     { origin, direction, speed, orbit, steps }  predicted path of a throw
+//   diagnostics { enabled, interval, reset }
+//   clumps      { enabled, interval, linkingFactor, minMembers }
+//   record      { enabled, interval, maxFrames }
+//   replay      { active, playing, speed, loop, position }  position is 0..1 along the recording
+//   fork        continue live from the replayed frame
+//   log         { enabled, interval, format, channels, reset }, logFiles
+//   inspect     { id }  null stops; editBody { id, mass, position, velocity },
+//               pinBody { id, pinned }, deleteBody { id }
+//   orbits      { mode, reference, primaryId }  mode is 'off', 'selected' or 'all'
+//   field       { enabled, quantity, plane, offset, size, resolution, interval }
+//               gravity field slice, resampled every `interval` steps (see fieldSlice.js)
+//   tree        { enabled, interval }  octree statistics and node boxes every `interval` steps
+//   snapshot, restore { text }
+//
+// Messages out:
+//   frame       body ids, masses, positions and quaternions as transferable typed arrays,
+//               shapes of bodies not sent before, ids of bodies that jumped rather than
+//               moved, the latest diagnostics sample and clump search, the inspected body,
+//               osculating orbits, the field slice and octree (each null once turned off),
+//               the replay state and the data log's { length, full }; while replaying,
+//               the poses come from the recording
+//   settings    { settings } after init, configure and restore
+//   snapshot    { data }, restored, error { name, message } of a failed message or step
+//   thrown      { ids } of the crystals a throw created
+//   logFiles    { files } of the data log, [{ name, text }]
+//   preview     { points } as a transferable Float32Array of x, y, z triples
+import Simulation from '../sim.js';
+import {
+    createSnapshot, parseSnapshot, restoreSnapshot,
+    readSettings, validateSettings, applySettings, mergeSettings,
+} from '../snapshot.js';
+import { createOrbitReference, bodyOrbit, orbitalLaunch } from '../orbits.js';
+import { predictTrajectory } from '../trajectory.js';
+import { FIELD_QUANTITIES, FIELD_PLANES, sampleField } from '../fieldSlice.js';
+
+const IDLE_DELAY = 50; // ms between checks for work while paused
+
+let simulation = null;
+let running = false;
+let colorMapping = false;
+let dirty = false; // Whether the main thread's copy is out of date
+let sentShapes = new Set(); // Ids of bodies whose shape the main thread already has
+let sentDiagnostics = null;
+let sentClumps = null;
+let inspectedId = null; // Body whose details every frame carries
+const orbits = { mode: 'off', reference: 'massive', primaryId: null }; // See orbits.js
+const field = { enabled: false, quantity: 'potential', plane: 'xz', offset: 0, size: 1000, resolution: 64, interval: 10 };
+let fieldStep = 0; // stepCount of the last slice sent
+const tree = { enabled: false, interval: 30 };
+let treeStep = 0; // stepCount of the last tree sent
+let changed = false; // Whether a message may have moved bodies or changed the field or tree settings
+const replay = { active: false, cursor: 0, playing: false, speed: 1, loop: false }; // Cursor is a frame index
+
+function postSettings(type = 'settings', requestId) {
+    self.postMessage({ type: type, requestId: requestId, settings: readSettings(simulation) });
+}
+
+// Where the recording is and what replay is doing, for the main thread's controls
+// How much the data log holds, and whether it has stopped at its cap (see dataLogger.js)
+function logState() {
+    const logger = simulation.logger;
+    return { length: logger.length, full: logger.full };
+}
+
+function replayState() {
+    const frameCount = simulation.recorder.frames.length;
+    const index = replay.active ? Math.round(replay.cursor) : frameCount - 1;
+    return {
+        active: replay.active,
+        index: index,
+        frameCount: frameCount,
+        position: frameCount > 1 ? index / (frameCount - 1) : 1,
+        playing: replay.active && replay.playing,
+        speed: replay.speed,
+        loop: replay.loop,
+    };
+}
+
+function postReplayFrame() {
+    const recorder = simulation.recorder;
+    const recorded = recorder.frames[Math.round(replay.cursor)];
+    if (!recorded) return;
+
+    const newBodies = [];
+    recorded.ids.forEach(id => {
+        if (!sentShapes.has(id)) newBodies.push({ id: id, ...recorder.shapes.get(id) });
+    });
+    sentShapes = new Set(recorded.ids);
+
+    // Copies, since transferring would empty the recording
+    const ids = recorded.ids.slice();
+    const masses = recorded.masses.slice();
+    const positions = recorded.positions.slice();
+    const quaternions = recorded.quaternions.slice();
+    self.postMessage({
+        type: 'frame',
+        time: recorded.time,
+        stepCount: recorded.stepCount,
+        lastSubsteps: simulation.lastSubsteps,
+        mergeCount: simulation.accretion.mergeCount,
+        fragmentationCount: simulation.fragmentation.fragmentationCount,
+        escapeCount: simulation.boundary.escapeCount,
+        escapedMass: simulation.boundary.escapedMass,
+        ids: ids,
+        masses: masses,
+        positions: positions,
+        quaternions: quaternions,
+        newBodies: newBodies,
+        replay: replayState(),
+        log: logState(),
+    }, [ids.buffer, masses.buffer, positions.buffer, quaternions.buffer]);
+}
+
+// Move the replay cursor by one tick's worth of recorded frames
+function advanceReplay() {
+    const last = simulation.recorder.frames.length - 1;
+    if (!replay.playing || last < 0) return;
+    replay.cursor += replay.speed / simulation.recorder.interval;
+    if (replay.cursor > last) {
+        if (replay.loop) {
+            replay.cursor = 0;
+        } else {
+            replay.cursor = last;
+            replay.playing = false;
+        }
+    }
+    dirty = true;
+}
+
+// { direction, speed, frameVelocity } of a throw; orbital throws at a body that has
+// gone fall back to the plain throw
+function launch({ origin, direction, speed, orbit }) {
+    const primary = orbit ? simulation.findBody(orbit.primaryId) : null;
+    if (primary) return orbitalLaunch(simulation, primary, origin, orbit.hint, orbit.kind);
+    return { direction: direction, speed: speed, frameVelocity: { x: 0, y: 0, z: 0 } };
+}
+
+// Live details of the inspected body, or { id, gone: true } once it has left
+function inspect(id, referenceOf) {
+    const body = simulation.findBody(id);
+    if (!body) return { id: id, gone: true };
+    // The tree must match the positions after the last step
+    simulation.rebuildOctree();
+    const acceleration = simulation.calculateAcceleration(body);
+    return {
+        id: body.id,
+        mass: body.mass,
+        position: { x: body.position.x, y: body.position.y, z: body.position.z },
+        velocity: { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z },
+        acceleration: { x: acceleration.x, y: acceleration.y, z: acceleration.z },
+        kineticEnergy: 0.5 * body.mass * body.velocity.norm2(),
+        pinned: body.pinned,
+        orbit: bodyOrbit(simulation, body, referenceOf),
+    };
+}
+
+// Statistics of the tree for the bodies as they are now, and the box of every node
+// holding mass as center x, y, z, half size, depth and mass
+function describeTree() {
+    simulation.rebuildOctree();
+    const octree = simulation.octree;
+    const boxes = [];
+    octree.forEachNode((node, depth) => {
+        if (node.mass > 0) boxes.push(node.center.x, node.center.y, node.center.z, node.halfSize, depth, node.mass);
+    });
+    return { stats: octree.statistics(), boxes: new Float32Array(boxes) };
+}
+
+function postFrame() {
+    const bodies = simulation.bodies;
+    const n = bodies.length;
+    const ids = new Int32Array(n);
+    const masses = new Float32Array(n);
+    const positions = new Float32Array(3 * n);
+    const quaternions = new Float32Array(4 * n);
+    const newBodies = [];
+    const liveShapes = new Set();
+
+    bodies.forEach((body, i) => {
+        ids[i] = body.id;
+        masses[i] = body.mass;
+        positions[3 * i] = body.position.x;
+        positions[3 * i + 1] = body.position.y;
+        positions[3 * i + 2] = body.position.z;
+        quaternions[4 * i] = body.quaternion.x;
+        quaternions[4 * i + 1] = body.quaternion.y;
+        quaternions[4 * i + 2] = body.quaternion.z;
+        quaternions[4 * i + 3] = body.quaternion.w;
+        if (!sentShapes.has(body.id)) newBodies.push({ id: body.id, crystal: body.crystal, attractor: body.attractor });
+        liveShapes.add(body.id);
+    });
+    sentShapes = liveShapes;
+
+    const frame = {
+        type: 'frame',
+        time: simulation.time,
+        stepCount: simulation.stepCount,
+        lastSubsteps: simulation.lastSubsteps,
+        mergeCount: simulation.accretion.mergeCount,
+        fragmentationCount: simulation.fragmentation.fragmentationCount,
+        escapeCount: simulation.boundary.escapeCount,
+        escapedMass: simulation.boundary.escapedMass,
+        ids: ids,
+        masses: masses,
+        positions: positions,
+        quaternions: quaternions,
+        newBodies: newBodies,
+        jumped: [...simulation.jumped],
+        replay: replayState(),
+        log: logState(),
+    };
+    simulation.jumped.clear();
+    const transfer = [ids.buffer, masses.buffer, positions.buffer, quaternions.buffer];
+
+    if (colorMapping) {
+        // Magnitudes from the step's force pass; a pass of its own only when bodies came or went since
+        if (!simulation.accelerationsValid) simulation.computeAccelerations();
+        const source = simulation.accelerations;
+        const accelerations = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            accelerations[i] = Math.hypot(source[3 * i], source[3 * i + 1], source[3 * i + 2]);
+        }
+        frame.accelerations = accelerations;
+        frame.maxAcceleration = simulation.maxAcceleration;
+        transfer.push(accelerations.buffer);
+    }
+
+    // Only new samples are sent; null tells the main thread the history was reset
+    const latest = simulation.diagnostics.latest;
+    if (latest !== sentDiagnostics) {
+        frame.diagnostics = latest;
+        sentDiagnostics = latest;
+    }
+    if (simulation.clumps.latest !== sentClumps) {
+        frame.clumps = simulation.clumps.latest;
+        sentClumps = simulation.clumps.latest;
+    }
+    const referenceOf = inspectedId !== null || orbits.mode !== 'off' ? createOrbitReference(simulation, orbits.reference, orbits.primaryId) : null;
+    if (inspectedId !== null) {
+        frame.inspected = inspect(inspectedId, referenceOf);
+        if (frame.inspected.gone) inspectedId = null;
+    }
+    if (orbits.mode === 'all') {
+        frame.orbits = [];
+        bodies.forEach(body => {
+            const orbit = bodyOrbit(simulation, body, referenceOf);
+            if (orbit) frame.orbits.push({ id: body.id, ...orbit });
+        });
+    } else if (orbits.mode === 'selected') {
+        const orbit = frame.inspected && !frame.inspected.gone ? frame.inspected.orbit : null;
+        frame.orbits = orbit ? [{ id: frame.inspected.id, ...orbit }] : [];
+    }
+    if (changed || (field.enabled && Math.abs(simulation.stepCount - fieldStep) >= field.interval)) {
+        frame.field = field.enabled ? sampleField(simulation, field) : null;
+        if (frame.field) transfer.push(frame.field.values.buffer);
+        fieldStep = simulation.stepCount;
+    }
+    if (changed || (tree.enabled && Math.abs(simulation.stepCount - treeStep) >= tree.interval)) {
+        frame.tree = tree.enabled ? describeTree() : null;
+        if (frame.tree) transfer.push(frame.tree.boxes.buffer);
+        treeStep = simulation.stepCount;
+    }
+    changed = false;
+
+    self.postMessage(frame, transfer);
+}
+
+const handlers = {
+    init({ gravityConstant, sphereCount, worldSize, velocity, seed }) {
+        simulation = new Simulation(gravityConstant, sphereCount, worldSize, velocity.x, velocity.y, velocity.z, seed);
+        postSettings();
+    },
+
+    configure({ changes }) {
+        const settings = mergeSettings(readSettings(simulation), changes);
+        validateSettings(settings);
+        applySettings(simulation, settings);
+        simulation.recorder.invalidate();
+        postSettings();
+    },
+
+    restart() {
+        simulation.restart();
+        replay.active = false;
+    },
+
+    run(message) {
+        // Nothing to run before init
+        if (!simulation) return;
+        running = message.running;
+        if (running) simulation.start();
+        else simulation.pause();
+    },
+
+    colorMapping({ enabled }) {
+        colorMapping = enabled;
+    },
+
+    throw({ requestId, origin, direction, speed, count, radius, orbit }) {
+        const velocity = launch({ origin, direction, speed, orbit });
+        const thrown = simulation.throwCrystals(origin, velocity.direction, velocity.speed, count, radius, velocity.frameVelocity);
+        simulation.recorder.invalidate();
+        self.postMessage({ type: 'thrown', requestId: requestId, ids: thrown.map(body => body.id) });
+    },
+
+    preview({ requestId, origin, direction, speed, orbit, steps }) {
+        const launched = launch({ origin, direction, speed, orbit });
+        const velocity = {
+            x: launched.direction.x * launched.speed + launched.frameVelocity.x,
+            y: launched.direction.y * launched.speed + launched.frameVelocity.y,
+            z: launched.direction.z * launched.speed + launched.frameVelocity.z,
+        };
+        const points = predictTrajectory(simulation, origin, velocity, steps);
+        self.postMessage({ type: 'preview', requestId: requestId, points: points }, [points.buffer]);
+    },
+
+    diagnostics({ enabled, interval, reset }) {
+        const diagnostics = simulation.diagnostics;
+        if (enabled !== undefined) diagnostics.enabled = enabled;
+        if (interval !== undefined) diagnostics.interval = interval;
+        if (reset) diagnostics.reset();
+    },
+
+    clumps({ enabled, interval, linkingFactor, minMembers }) {
+        const clumps = simulation.clumps;
+        if (enabled !== undefined) clumps.enabled = enabled;
+        if (interval !== undefined) clumps.interval = interval;
+        if (linkingFactor !== undefined) clumps.linkingFactor = linkingFactor;
+        if (minMembers !== undefined) clumps.minMembers = minMembers;
+        // Clears the main thread's clump colors
+        if (!clumps.enabled) clumps.reset();
+    },
+
+    record({ enabled, interval, maxFrames }) {
+        const recorder = simulation.recorder;
+        if (enabled !== undefined) recorder.enabled = enabled;
+        if (interval !== undefined) recorder.interval = interval;
+        if (maxFrames !== undefined) {
+            recorder.maxFrames = maxFrames;
+            recorder.trim();
+        }
+    },
+
+    replay({ active, playing, speed, loop, position }) {
+        const frameCount = simulation.recorder.frames.length;
+        if (speed !== undefined) replay.speed = speed;
+        if (loop !== undefined) replay.loop = loop;
+        // Playing or scrubbing also enters replay; speed and loop just set up the next one
+        const entering = active === true || playing !== undefined || position !== undefined;
+        if (active === false || frameCount === 0 || (!replay.active && !entering)) {
+            replay.active = false;
+            return;
+        }
+        if (!replay.active) {
+            // Start from the latest frame, with the live run held
+            replay.active = true;
+            replay.cursor = frameCount - 1;
+            replay.playing = false;
+        }
+        if (playing !== undefined) {
+            replay.playing = playing;
+            // Playing from the end starts over
+            if (playing && replay.cursor >= frameCount - 1) replay.cursor = 0;
+        }
+        if (position !== undefined) replay.cursor = Math.round(position * (frameCount - 1));
+    },
+
+    fork({ requestId }) {
+        if (!replay.active) throw new Error('Fork needs a replayed frame to start from');
+        simulation.recorder.fork(Math.round(replay.cursor));
+        replay.active = false;
+        running = false;
+        simulation.pause();
+        postSettings('settings', requestId);
+    },
+
+    log({ enabled, interval, format, channels, reset }) {
+        const logger = simulation.logger;
+        if (enabled !== undefined) logger.enabled = enabled;
+        if (interval !== undefined) logger.interval = interval;
+        // The files' columns depend on the format and channels, so they start over
+        if (format !== undefined && format !== logger.format) {
+            logger.format = format;
+            logger.reset();
+        }
+        if (channels !== undefined && channels.join() !== logger.channels.join()) {
+            logger.channels = channels;
+            logger.reset();
+        }
+        if (reset) logger.reset();
+    },
+
+    logFiles({ requestId }) {
+        self.postMessage({ type: 'logFiles', requestId: requestId, files: simulation.logger.files() });
+    },
+
+    inspect({ id }) {
+        inspectedId = id;
+    },
+
+    editBody({ id, mass, position, velocity }) {
+        const body = simulation.findBody(id);
+        if (!body) return;
+        simulation.editBody(body, { mass, position, velocity });
+        simulation.recorder.invalidate();
+    },
+
+    pinBody({ id, pinned }) {
+        const body = simulation.findBody(id);
+        if (!body || body.attractor) return;
+        simulation.setPinned(body, pinned);
+        simulation.recorder.invalidate();
+    },
+
+    deleteBody({ id }) {
+        const body = simulation.findBody(id);
+        if (!body) return;
+        simulation.removeBody(body);
+        simulation.recorder.invalidate();
+    },
+
+    orbits({ mode, reference, primaryId }) {
+        if (mode !== undefined) orbits.mode = mode;
+        if (reference !== undefined) orbits.reference = reference;
+        if (primaryId !== undefined) orbits.primaryId = primaryId;
+    },
+
+    field(changes) {
+        // Checked here, since a bad slice would only fail later, in the frame loop
+        if (changes.quantity !== undefined && !FIELD_QUANTITIES.includes(changes.quantity)) {
+            throw new Error(`Field quantity must be one of ${FIELD_QUANTITIES.join(', ')}`);
+        }
+        if (changes.plane !== undefined && !(changes.plane in FIELD_PLANES)) {
+            throw new Error(`Field plane must be one of ${Object.keys(FIELD_PLANES).join(', ')}`);
+        }
+        Object.keys(field).forEach(key => {
+            if (changes[key] !== undefined) field[key] = changes[key];
+        });
+    },
+
+    tree({ enabled, interval }) {
+        if (enabled !== undefined) tree.enabled = enabled;
+        if (interval !== undefined) tree.interval = interval;
+    },
+
+    snapshot({ requestId }) {
+        self.postMessage({ type: 'snapshot', requestId: requestId, data: createSnapshot(simulation) });
+    },
+
+    restore({ requestId, text }) {
+        restoreSnapshot(simulation, parseSnapshot(text));
+        // The recording belongs to the run that was replaced
+        simulation.recorder.reset();
+        replay.active = false;
+        postSettings('restored', requestId);
+    },
+};
+
+self.onmessage = (event) => {
+    const message = event.data;
+    try {
+        handlers[message.type](message);
+        dirty = true;
+        // Anything but a throw preview may have moved bodies or changed an overlay
+        if (message.type !== 'preview') changed = true;
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId: message.requestId, name: error.name, message: error.message });
+    }
+};
+
+// Step at most once per timestep of wall-clock time, like the old requestAnimationFrame loop
+function tick() {
+    const start = performance.now();
+    try {
+        if (simulation && replay.active) {
+            // The live run waits while the recording drives the frames
+            advanceReplay();
+            if (dirty) {
+                postReplayFrame();
+                dirty = false;
+            }
+        } else if (simulation) {
+            if (running) {
+                simulation.update();
+                dirty = true;
+            }
+            if (dirty) {
+                postFrame();
+                dirty = false;
+            }
+        }
+    } catch (error) {
+        // Report the failure and keep the loop going, so the page can still pause, restore or restart
+        dirty = false;
+        self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+    const busy = simulation && (running || (replay.active && replay.playing));
+    const delay = busy ? Math.max(0, simulation.timestep * 1000 - (performance.now() - start)) : IDLE_DELAY;
+    setTimeout(tick, delay);
+}
+
+tick();
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+
+// Counts the force passes of the simulation's tree
+// Counts the force passes of the simulation's tree, and the bodies they evaluate
+function countPasses(simulation) {
+    const octree = simulation.octree;
+    const pass = octree.accelerations.bind(octree);
+    const partialPass = octree.accelerationsOf.bind(octree);
+    const counter = { passes: 0, evaluations: 0 };
+    octree.accelerations = (out, theta) => {
+        counter.passes++;
+        counter.evaluations += simulation.bodies.length;
+        return pass(out, theta);
+    };
+    octree.accelerationsOf = (indices, out, theta) => {
+        counter.evaluations += indices.length;
+        return partialPass(indices, out, theta);
+    };
+    return counter;
+}
+
+['cannon', 'leapfrog'].forEach(integrator => {
+    test(`a ${integrator} step makes one force pass, which the largest acceleration reuses`, () => {
+        const simulation = new Simulation(10e-6, 50, 300, 1, 1, 1, 3);
+        simulation.setIntegrator(integrator);
+        simulation.contacts = false;
+        simulation.update();
+        const counter = countPasses(simulation);
+        simulation.update();
+        const max = simulation.calculateMaxAcceleration();
+        // Leapfrog's opening kick reuses the last update's closing pass
+        assert.equal(counter.passes, 1);
+        assert.ok(max > 0);
+        assert.equal(max, simulation.maxAcceleration);
+    });
+});
+
+test('the buffer holds every body\'s acceleration from the tree', () => {
+    const simulation = new Simulation(10e-6, 50, 300, 1, 1, 1, 3);
+    simulation.computeAccelerations();
+    simulation.bodies.forEach((body, i) => {
+        const expected = simulation.calculateAcceleration(body);
+        ['x', 'y', 'z'].forEach((axis, c) => {
+            assert.ok(Math.abs(simulation.accelerations[3 * i + c] - expected[axis]) <= 1e-12 * expected.norm());
+        });
+    });
+});
+
+test('adding or removing a body invalidates the buffer, moving one only dates it', () => {
+    const simulation = new Simulation(10e-6, 10, 300, 1, 1, 1, 3);
+    simulation.computeAccelerations();
+    simulation.editBody(simulation.bodies[0], { position: new CANNON.Vec3(1, 2, 3) });
+    assert.equal(simulation.accelerationsValid, true);
+    assert.equal(simulation.accelerationsCurrent, false);
+    simulation.removeBody(simulation.bodies[0]);
+    assert.equal(simulation.accelerationsValid, false);
+    // Rebuilt on demand, for the new bodies
+    const counter = countPasses(simulation);
+    simulation.calculateMaxAcceleration();
+    assert.equal(counter.passes, 1);
+    assert.equal(simulation.accelerationsValid, true);
+});
+
+test('leapfrog recomputes the opening kick after an edit', () => {
+    const simulation = new Simulation(10e-6, 50, 300, 1, 1, 1, 3);
+    simulation.setIntegrator('leapfrog');
+    simulation.contacts = false;
+    simulation.update();
+    simulation.editBody(simulation.bodies[0], { mass: 2 * simulation.bodies[0].mass });
+    const counter = countPasses(simulation);
+    simulation.update();
+    assert.equal(counter.passes, 2);
+});
+
+test('block steps evaluate forces only for the bodies whose step ends', () => {
+    // The Plummer sphere's dense core puts some bodies on finer levels than the rest
+    const simulation = new Simulation(10e-6, 60, 300, 0, 0, 0, 3);
+    simulation.initialConditions = 'plummer';
+    simulation.restart();
+    simulation.setIntegrator('leapfrog');
+    simulation.timestepMode = 'block';
+    simulation.contacts = false;
+    simulation.update(4);
+    const counter = countPasses(simulation);
+    simulation.update(4);
+    const substeps = simulation.lastSubsteps;
+    assert.ok(substeps > 1);
+    // One full pass closes the update; the substeps before it evaluate fewer than every body
+    assert.equal(counter.passes, 1);
+    assert.ok(counter.evaluations < substeps * simulation.bodies.length, `${counter.evaluations} evaluations`);
+    assert.equal(simulation.accelerationsCurrent, true);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+import { createAttractor, orbitState, attractorMassWithin } from '../src/attractors.js';
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+test('a partial description is completed with defaults', () => {
+    const attractor = createAttractor({ mass: 5e10, motion: 'orbit', orbit: { radius: 40 } });
+    assert.equal(attractor.mass, 5e10);
+    assert.equal(attractor.radius, 8);
+    assert.deepEqual(attractor.position, { x: 0, y: 0, z: 0 });
+    assert.equal(attractor.orbit.radius, 40);
+    assert.equal(attractor.orbit.period, 15);
+});
+
+test('a prescribed orbit is a circle at constant speed, counterclockwise about +y', () => {
+    const orbit = createAttractor({ orbit: { radius: 40, period: 10, center: { x: 1, y: 2, z: 3 } } }).orbit;
+    const speed = 2 * Math.PI * 40 / 10;
+    [0, 1.3, 2.5, 7].forEach(time => {
+        const { position, velocity } = orbitState(orbit, time);
+        const r = position.vsub(new CANNON.Vec3(1, 2, 3));
+        assertClose(r.norm(), 40, 1e-9, `radius at ${time}`);
+        assertClose(velocity.norm(), speed, 1e-9, `speed at ${time}`);
+        assertClose(r.dot(velocity), 0, 1e-9, `radial velocity at ${time}`);
+        assert.ok(r.cross(velocity).y > 0);
+    });
+    // Back where it started after one period
+    const start = orbitState(orbit, 0).position;
+    assert.ok(orbitState(orbit, 10).position.vsub(start).norm() < 1e-9);
+});
+
+test('an inclined orbit is tilted about x', () => {
+    const orbit = createAttractor({ orbit: { radius: 40, period: 10, inclination: Math.PI / 2 } }).orbit;
+    // A quarter turn from +x, where the untilted orbit would be at -z
+    const { position } = orbitState(orbit, 2.5);
+    assertClose(position.x, 0, 1e-9, 'x');
+    assertClose(position.y, 40, 1e-9, 'y');
+    assertClose(position.z, 0, 1e-9, 'z');
+});
+
+// A crystal falling toward an attractor of each motion
+function withAttractor(motion, integrator) {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 3);
+    simulation.setIntegrator(integrator);
+    simulation.attractors.push(createAttractor({ mass: 1e10, motion, position: { x: 5, y: 0, z: 0 }, orbit: { radius: 40, period: 10 } }));
+    simulation.restart();
+    const crystal = simulation.addCrystal(1, 2, 5, new CANNON.Vec3(60, 0, 0), simulation.generateRandomOrientation(), 2, new CANNON.Vec3());
+    const attractor = simulation.bodies.find(body => body.attractor);
+    return { simulation, attractor, crystal };
+}
+
+['cannon', 'leapfrog', 'hermite'].forEach(integrator => {
+    test(`pinned attractors stay put and orbiting ones follow their orbit, with ${integrator}`, () => {
+        const pinned = withAttractor('pinned', integrator);
+        const orbiting = withAttractor('orbit', integrator);
+        for (let i = 0; i < 30; i++) {
+            pinned.simulation.update();
+            orbiting.simulation.update();
+        }
+        assert.deepEqual([pinned.attractor.position.x, pinned.attractor.position.y, pinned.attractor.position.z], [5, 0, 0]);
+        assert.ok(pinned.crystal.position.x < 60, 'the crystal falls toward the attractor');
+        const expected = orbitState(orbiting.attractor.attractor.orbit, orbiting.simulation.time).position;
+        assert.ok(orbiting.attractor.position.vsub(expected).norm() < 1e-9);
+    });
+});
+
+test('a free attractor moves under the gravity of the others', () => {
+    const { simulation, attractor } = withAttractor('free', 'leapfrog');
+    simulation.addAttractor({ mass: 1e11, motion: 'pinned', position: { x: -50, y: 0, z: 0 } });
+    for (let i = 0; i < 30; i++) simulation.update();
+    assert.ok(attractor.position.x < 5);
+});
+
+test('restart places the attractors before the generated bodies', () => {
+    const simulation = new Simulation(10e-6, 20, 300, 0, 0, 0, 3);
+    simulation.attractors.push(createAttractor({ mass: 1e10 }), createAttractor({ mass: 2e10, position: { x: 30 } }));
+    simulation.restart();
+    assert.deepEqual(simulation.bodies.slice(0, 2).map(body => body.mass), [1e10, 2e10]);
+    assert.equal(simulation.bodies.length, 22);
+    assert.equal(attractorMassWithin(simulation.bodies, new CANNON.Vec3(), 10), 1e10);
+    assert.equal(attractorMassWithin(simulation.bodies, new CANNON.Vec3(), 40), 3e10);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+
+// Two crystals 40 m apart, the second moving along +z
+function pair(integrator = 'leapfrog') {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 8);
+    simulation.setIntegrator(integrator);
+    const a = simulation.addCrystal(1, 2, 5, new CANNON.Vec3(-20, 0, 0), simulation.generateRandomOrientation(), 2, new CANNON.Vec3());
+    const b = simulation.addCrystal(1, 2, 5, new CANNON.Vec3(20, 0, 0), simulation.generateRandomOrientation(), 2, new CANNON.Vec3(0, 0, 1));
+    simulation.update();
+    simulation.jumped.clear();
+    return { simulation, a, b };
+}
+
+test('a new mass scales the inertia and the crystal\'s density with it', () => {
+    const { simulation, a } = pair();
+    const mass = a.mass;
+    const inertia = a.inertia.clone();
+    const density = a.crystal.density;
+    simulation.editBody(a, { mass: 3 * mass });
+    assert.equal(a.mass, 3 * mass);
+    assert.equal(a.invMass, 1 / (3 * mass));
+    assert.ok(a.inertia.vsub(inertia.scale(3)).norm() < 1e-9 * inertia.norm());
+    assert.ok(Math.abs(a.crystal.density - 3 * density) < 1e-12 * density);
+    assert.equal(simulation.accelerationsCurrent, false);
+});
+
+test('a zero or negative mass is ignored', () => {
+    const { simulation, a } = pair();
+    const mass = a.mass;
+    simulation.editBody(a, { mass: 0 });
+    simulation.editBody(a, { mass: -1 });
+    assert.equal(a.mass, mass);
+});
+
+test('a new position moves the body without blending across the move', () => {
+    const { simulation, a } = pair();
+    simulation.editBody(a, { position: { x: 5, y: 6, z: 7 } });
+    assert.deepEqual([a.position.x, a.position.y, a.position.z], [5, 6, 7]);
+    assert.deepEqual(a.previousPosition, a.position);
+    assert.deepEqual(a.interpolatedPosition, a.position);
+    assert.deepEqual([...simulation.jumped], [a.id]);
+    assert.equal(simulation.accelerationsCurrent, false);
+});
+
+test('a new velocity leaves the forces alone', () => {
+    const { simulation, b } = pair();
+    simulation.computeAccelerations();
+    simulation.editBody(b, { velocity: { x: 1, y: 2, z: 3 } });
+    assert.deepEqual([b.velocity.x, b.velocity.y, b.velocity.z], [1, 2, 3]);
+    assert.equal(simulation.accelerationsCurrent, true);
+    assert.equal(simulation.jumped.size, 0);
+});
+
+['cannon', 'leapfrog', 'hermite'].forEach(integrator => {
+    test(`a pinned crystal holds still but still pulls, with ${integrator}`, () => {
+        const { simulation, a, b } = pair(integrator);
+        simulation.setPinned(b, true);
+        assert.deepEqual([b.velocity.x, b.velocity.y, b.velocity.z], [0, 0, 0]);
+        const position = b.position.clone();
+        const start = a.position.x;
+        for (let i = 0; i < 20; i++) simulation.update();
+        assert.deepEqual(b.position, position);
+        assert.ok(a.position.x > start, 'the free crystal falls toward the pinned one');
+
+        simulation.setPinned(b, false);
+        assert.equal(b.type, CANNON.Body.DYNAMIC);
+        for (let i = 0; i < 20; i++) simulation.update();
+        assert.ok(b.position.x < position.x, 'released, it falls too');
+    });
+});
+
+test('a removed body is gone from the world and can no longer be found', () => {
+    const { simulation, a, b } = pair();
+    assert.equal(simulation.findBody(a.id), a);
+    simulation.removeBody(a);
+    assert.equal(simulation.findBody(a.id), null);
+    assert.deepEqual(simulation.bodies, [b]);
+    assert.ok(!simulation.world.bodies.includes(a));
+    // The survivor coasts on, with nothing left to pull it
+    const velocity = b.velocity.clone();
+    simulation.update();
+    assert.ok(b.velocity.vsub(velocity).norm() < 1e-12);
+});
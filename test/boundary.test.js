@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+
+// One crystal 3 m past the +x face of a 100 m world, moving outward
+function pastFace(mode) {
+    const simulation = new Simulation(10e-6, 0, 100, 0, 0, 0, 2);
+    simulation.boundary.mode = mode;
+    const body = simulation.addCrystal(1, 2, 5, new CANNON.Vec3(40, 5, -5), simulation.generateRandomOrientation(), 2, new CANNON.Vec3(10, 1, 0));
+    body.position.x = 53;
+    simulation.jumped.clear();
+    simulation.boundary.apply();
+    return { simulation, body };
+}
+
+test('the reflecting boundary mirrors a body back inside and turns its velocity around', () => {
+    const { body } = pastFace('reflecting');
+    assert.deepEqual([body.position.x, body.position.y, body.position.z], [47, 5, -5]);
+    assert.deepEqual([body.velocity.x, body.velocity.y, body.velocity.z], [-10, 1, 0]);
+});
+
+test('the periodic boundary brings a body back through the opposite face', () => {
+    const { body } = pastFace('periodic');
+    assert.deepEqual([body.position.x, body.position.y, body.position.z], [-47, 5, -5]);
+    assert.deepEqual([body.velocity.x, body.velocity.y, body.velocity.z], [10, 1, 0]);
+});
+
+['reflecting', 'periodic'].forEach(mode => {
+    test(`the ${mode} boundary starts the moved body's interpolation over`, () => {
+        const { simulation, body } = pastFace(mode);
+        assert.deepEqual(body.previousPosition, body.position);
+        assert.deepEqual(body.interpolatedPosition, body.position);
+        assert.deepEqual([...simulation.jumped], [body.id]);
+    });
+});
+
+test('bodies inside the box are left alone', () => {
+    const simulation = new Simulation(10e-6, 0, 100, 0, 0, 0, 2);
+    simulation.boundary.mode = 'periodic';
+    const body = simulation.addCrystal(1, 2, 5, new CANNON.Vec3(49, 0, 0), simulation.generateRandomOrientation(), 2, new CANNON.Vec3());
+    simulation.boundary.apply();
+    assert.equal(body.position.x, 49);
+    assert.equal(simulation.jumped.size, 0);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+import { TREE_TYPES } from '../src/octree.js';
+
+// Twelve resting crystals in a 300 m world, six just inside each x face, so they
+// are one knot across the face of a periodic box and two in an open one
+function knotAcrossFace(mode, type) {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 9);
+    simulation.boundary.mode = mode;
+    simulation.setTreeType(type);
+    [-1, 1].forEach(side => {
+        for (let i = 0; i < 6; i++) {
+            const position = new CANNON.Vec3(side * (147 - (i % 2)), 2 * (i % 3) - 2, i < 3 ? -1 : 1);
+            simulation.addCrystal(1, 2, 5, position, simulation.generateRandomOrientation(), 2, new CANNON.Vec3());
+        }
+    });
+    return simulation;
+}
+
+TREE_TYPES.forEach(type => {
+    test(`a clump across a periodic face is found whole, with the ${type} tree`, () => {
+        const { clumps } = knotAcrossFace('periodic', type).clumps.find();
+        assert.equal(clumps.length, 1);
+        assert.equal(clumps[0].count, 12);
+        // Centered on the face, not in the middle of the box
+        assert.ok(Math.abs(Math.abs(clumps[0].center.x) - 150) < 1e-9, `center ${clumps[0].center.x}`);
+        assert.ok(clumps[0].radius < 5, `radius ${clumps[0].radius}`);
+    });
+
+    test(`the same bodies make two clumps without the box, with the ${type} tree`, () => {
+        const { clumps } = knotAcrossFace('none', type).clumps.find();
+        assert.equal(clumps.length, 2);
+        clumps.forEach(clump => assert.equal(clump.count, 6));
+    });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+
+function totals(bodies) {
+    const momentum = new CANNON.Vec3();
+    let mass = 0;
+    bodies.forEach(body => {
+        mass += body.mass;
+        momentum.vadd(body.velocity.scale(body.mass), momentum);
+    });
+    return { mass, momentum };
+}
+
+function assertClose(actual, expected, scale, message) {
+    assert.ok(Math.abs(actual - expected) <= 1e-12 * scale, `${message}: ${actual} vs ${expected}`);
+}
+
+function assertConserved(before, after) {
+    assertClose(after.mass, before.mass, before.mass, 'mass');
+    const scale = Math.max(1, before.momentum.norm());
+    ['x', 'y', 'z'].forEach(axis => assertClose(after.momentum[axis], before.momentum[axis], scale, `momentum ${axis}`));
+}
+
+// Two crystals of different size and velocity, spinning, in an otherwise empty world
+function pair() {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 5);
+    const a = simulation.addCrystal(3, 6, 5, new CANNON.Vec3(0, 0, 0), simulation.generateRandomOrientation(), 2, new CANNON.Vec3(4, -1, 2));
+    const b = simulation.addCrystal(2, 5, 6, new CANNON.Vec3(4, 1, 0), simulation.generateRandomOrientation(), 3, new CANNON.Vec3(-6, 3, 0.5));
+    a.angularVelocity.set(0.3, -0.2, 1);
+    b.angularVelocity.set(-1, 0.5, 0.1);
+    return { simulation, a, b };
+}
+
+test('a merge conserves mass and momentum', () => {
+    const { simulation, a, b } = pair();
+    const before = totals([a, b]);
+    const body = simulation.accretion.merge(a, b);
+    assert.deepEqual(simulation.bodies, [body]);
+    assertConserved(before, totals([body]));
+});
+
+test('a merge conserves angular momentum, orbital plus spin', () => {
+    const { simulation, a, b } = pair();
+    const angularMomentum = bodies => {
+        const total = new CANNON.Vec3();
+        bodies.forEach(body => {
+            total.vadd(body.position.cross(body.velocity).scale(body.mass), total);
+            const localOmega = body.vectorToLocalFrame(body.angularVelocity);
+            const localSpin = new CANNON.Vec3(body.inertia.x * localOmega.x, body.inertia.y * localOmega.y, body.inertia.z * localOmega.z);
+            total.vadd(body.vectorToWorldFrame(localSpin), total);
+        });
+        return total;
+    };
+    const before = angularMomentum([a, b]);
+    const after = angularMomentum([simulation.accretion.merge(a, b)]);
+    ['x', 'y', 'z'].forEach(axis => assertClose(after[axis], before[axis], before.norm(), `angular momentum ${axis}`));
+});
+
+test('fragmentation conserves mass and momentum', () => {
+    const { simulation, a, b } = pair();
+    const before = totals([a, b]);
+    const energy = simulation.fragmentation.specificImpactEnergy(a, b);
+    simulation.fragmentation.strength = energy / 20;
+    const fragments = simulation.fragmentation.shatter(a, b, energy);
+    assert.ok(fragments.length >= 2);
+    assert.deepEqual(simulation.bodies, fragments);
+    assertConserved(before, totals(fragments));
+});
+
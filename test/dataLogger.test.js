@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+
+test('the in-memory log stops at its cap with whole rows and one warning', (t) => {
+    const simulation = new Simulation(10e-6, 20, 300, 1, 1, 1, 2);
+    const logger = simulation.logger;
+    logger.maxLength = 2000;
+    logger.interval = 1;
+    logger.channels = ['global', 'events'];
+    logger.enabled = true;
+    const warn = t.mock.method(console, 'warn', () => {});
+    for (let i = 0; i < 30; i++) simulation.update();
+
+    assert.equal(logger.full, true);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.ok(logger.length <= 2000);
+    logger.files().forEach(file => {
+        const lines = file.text.trimEnd().split('\n');
+        const columns = lines[0].split(',').length;
+        assert.ok(lines.length > 1);
+        lines.forEach(line => assert.equal(line.split(',').length, columns));
+    });
+
+    logger.reset();
+    assert.equal(logger.full, false);
+    assert.equal(logger.length, 0);
+});
+
+test('a sink takes every row, with no cap', () => {
+    const simulation = new Simulation(10e-6, 20, 300, 1, 1, 1, 2);
+    const logger = simulation.logger;
+    let length = 0;
+    logger.sink = (file, text) => { length += text.length; };
+    logger.maxLength = 100;
+    logger.interval = 1;
+    logger.enabled = true;
+    for (let i = 0; i < 10; i++) simulation.update();
+    assert.ok(length > 100);
+    assert.equal(logger.full, false);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+import { createSnapshot, restoreSnapshot } from '../src/snapshot.js';
+
+function plummerSphere() {
+    const simulation = new Simulation(10e-6, 60, 300, 0, 0, 0, 4);
+    simulation.initialConditions = 'plummer';
+    simulation.restart();
+    simulation.setIntegrator('leapfrog');
+    simulation.contacts = false;
+    return simulation;
+}
+
+test('drift is measured from the initial state, not the first sample', () => {
+    const simulation = plummerSphere();
+    const initial = simulation.diagnostics.measure();
+    simulation.diagnostics.enabled = true;
+    simulation.diagnostics.interval = 10;
+    for (let i = 0; i < 10; i++) simulation.update(1);
+    const sample = simulation.diagnostics.latest;
+    assert.equal(simulation.diagnostics.baseline.step, 0);
+    assert.equal(sample.step, 10);
+    assert.notEqual(sample.totalEnergy, initial.totalEnergy);
+    assert.equal(sample.energyDrift, (sample.totalEnergy - initial.totalEnergy) / Math.abs(initial.totalEnergy));
+});
+
+test('a restart and a restore start the drift over from their own bodies', () => {
+    const simulation = plummerSphere();
+    for (let i = 0; i < 5; i++) simulation.update(1);
+    const snapshot = createSnapshot(simulation);
+    const state = simulation.diagnostics.measure();
+
+    simulation.restart();
+    assert.equal(simulation.diagnostics.baseline.step, 0);
+    assert.equal(simulation.diagnostics.baseline.totalEnergy, simulation.diagnostics.measure().totalEnergy);
+
+    restoreSnapshot(simulation, snapshot);
+    assert.equal(simulation.diagnostics.baseline.step, 5);
+    assert.equal(simulation.diagnostics.baseline.totalEnergy, state.totalEnergy);
+});
+
+test('bodies thrown into an empty world start the drift', () => {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 4);
+    assert.equal(simulation.diagnostics.baseline, null);
+    simulation.throwCrystals({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 10, 5, 20);
+    simulation.diagnostics.enabled = true;
+    simulation.update();
+    assert.equal(simulation.diagnostics.latest.energyDrift, 0);
+});
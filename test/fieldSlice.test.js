@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+import { FIELD_PLANES, sampleField } from '../src/fieldSlice.js';
+
+const MASS = 1e10;
+const AT = { x: 30, y: -20, z: 10 };
+
+// A lone point mass away from the origin
+function pointMass() {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 4);
+    simulation.addAttractor({ mass: MASS, motion: 'pinned', position: AT });
+    return simulation;
+}
+
+Object.entries(FIELD_PLANES).forEach(([plane, [u, v, normal]]) => {
+    test(`the ${plane} slice holds -GM/r and GM/r^2 of a point mass, cell by cell`, () => {
+        const simulation = pointMass();
+        const GM = simulation.gravityConstant * MASS;
+        const options = { plane, offset: 15, size: 200, resolution: 8 };
+        const potential = sampleField(simulation, { ...options, quantity: 'potential' });
+        const acceleration = sampleField(simulation, { ...options, quantity: 'acceleration' });
+        for (let j = 0; j < 8; j++) {
+            for (let i = 0; i < 8; i++) {
+                const point = { [u]: -100 + (i + 0.5) * 25, [v]: -100 + (j + 0.5) * 25, [normal]: 15 };
+                const r = Math.hypot(point.x - AT.x, point.y - AT.y, point.z - AT.z);
+                const index = j * 8 + i;
+                assert.ok(Math.abs(potential.values[index] + GM / r) < 1e-6 * GM / r, `potential at ${i}, ${j}`);
+                assert.ok(Math.abs(acceleration.values[index] - GM / (r * r)) < 1e-6 * GM / (r * r), `acceleration at ${i}, ${j}`);
+            }
+        }
+    });
+});
+
+test('the range spans the sampled values', () => {
+    const field = sampleField(pointMass(), { quantity: 'acceleration', size: 200, resolution: 8 });
+    assert.equal(Math.fround(field.min), Math.min(...field.values));
+    assert.equal(Math.fround(field.max), Math.max(...field.values));
+    assert.deepEqual(
+        [field.quantity, field.plane, field.offset, field.size, field.resolution, field.values.length],
+        ['acceleration', 'xz', 0, 200, 8, 64],
+    );
+});
+
+test('an empty simulation has no field', () => {
+    const field = sampleField(new Simulation(10e-6, 0, 300, 0, 0, 0, 4), { resolution: 4 });
+    assert.deepEqual([...field.values], new Array(16).fill(0));
+});
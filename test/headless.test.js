@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const runner = fileURLToPath(new URL('../src/headless.js', import.meta.url));
+
+// The runner's output, one JSON object per line
+function run(...flags) {
+    const result = spawnSync(process.execPath, [runner, ...flags], { encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('the headless runner reports progress and a summary without a browser', () => {
+    const lines = run('--bodies', '20', '--steps', '10', '--report', '5', '--seed', '4');
+    assert.deepEqual(lines.slice(0, -1).map(line => line.step), [5, 10]);
+    const summary = lines.at(-1);
+    assert.equal(summary.seed, 4);
+    assert.equal(summary.steps, 10);
+    assert.equal(summary.bodies, 20);
+});
+
+test('the same seed reproduces the same run', () => {
+    const progress = () => run('--bodies', '20', '--steps', '10', '--report', '5', '--seed', '4').slice(0, -1);
+    assert.deepEqual(progress(), progress());
+});
+
+test('--help prints the options', () => {
+    const result = spawnSync(process.execPath, [runner, '--help'], { encoding: 'utf8', timeout: 60000 });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage:/);
+    assert.match(result.stdout, /--integrator/);
+});
+
+[
+    [['--bogus'], /Unknown option '--bogus'/],
+    [['--integrator', 'bogus'], /--integrator must be one of/],
+    [['--softening', 'bogus'], /--softening must be one of/],
+    [['--timestep-mode', 'bogus'], /--timestep-mode must be one of/],
+    [['--accretion', 'bogus'], /--accretion must be one of/],
+    [['--bodies', 'abc'], /--bodies must be a number/],
+    [['--steps', '2.5'], /--steps must be an integer/],
+    [['--initial', 'plummer', '--ic', 'bogus=1'], /--ic bogus: plummer takes scaleRadius, virialRatio/],
+].forEach(([flags, message]) => {
+    test(`${flags.join(' ')} is rejected with the usage`, () => {
+        const result = spawnSync(process.execPath, [runner, ...flags], { encoding: 'utf8', timeout: 60000 });
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, message);
+        assert.match(result.stderr, /Usage:/);
+        assert.equal(result.stdout, '');
+    });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+import { INITIAL_CONDITIONS } from '../src/initialConditions.js';
+
+function generate(name, seed = 5, parameters = {}) {
+    const simulation = new Simulation(10e-6, 80, 300, 1, 1, 1, seed);
+    simulation.initialConditions = name;
+    Object.assign(simulation.initialConditionParameters[name], parameters);
+    simulation.restart();
+    return simulation;
+}
+
+function layout(simulation) {
+    return simulation.bodies.map(body => [body.mass, body.position.x, body.position.y, body.position.z, body.velocity.x, body.velocity.y, body.velocity.z]);
+}
+
+INITIAL_CONDITIONS.forEach(name => {
+    test(`${name} lays out the same bodies for the same seed, and others for another`, () => {
+        const first = layout(generate(name));
+        assert.ok(first.length > 0);
+        assert.deepEqual(layout(generate(name)), first);
+        // The few-body setups draw no random numbers
+        if (name !== 'fewBody') assert.notDeepEqual(layout(generate(name, 6)), first);
+    });
+});
+
+test('every generator but the few-body one places the requested number of crystals', () => {
+    INITIAL_CONDITIONS.filter(name => name !== 'fewBody').forEach(name => {
+        const crystals = generate(name).bodies.filter(body => body.crystal);
+        assert.equal(crystals.length, 80, name);
+    });
+});
+
+['plummer', 'hernquist'].forEach(name => {
+    test(`${name} starts at the requested virial ratio, at rest as a whole`, () => {
+        [1, 0.5].forEach(virialRatio => {
+            const record = generate(name, 5, { virialRatio }).diagnostics.measure();
+            assert.ok(Math.abs(record.virialRatio - virialRatio) < 1e-3 * virialRatio, `${virialRatio}: ${record.virialRatio}`);
+            assert.ok(Math.hypot(record.momentum.x, record.momentum.y, record.momentum.z) < 1e-9 * record.momentumScale);
+        });
+    });
+});
+
+test('the disk lies in the x-z plane and turns about +y around its central mass', () => {
+    const simulation = generate('disk', 5, { centralMassRatio: 10 });
+    const central = simulation.bodies.find(body => !body.crystal);
+    const disk = simulation.bodies.filter(body => body.crystal);
+    assert.ok(Math.abs(central.mass - 10 * disk.reduce((sum, body) => sum + body.mass, 0)) < 1e-6 * central.mass);
+    disk.forEach(body => {
+        const r = Math.hypot(body.position.x, body.position.z);
+        assert.ok(r >= 0.15 * 150 && r <= 0.9 * 150);
+        // Angular momentum about +y
+        assert.ok(body.position.z * body.velocity.x - body.position.x * body.velocity.z > 0);
+    });
+});
+
+test('the two-body setup is an equal-mass circular orbit about the origin', () => {
+    const simulation = generate('fewBody', 5, { count: 2 });
+    const [a, b] = simulation.bodies;
+    assert.equal(simulation.bodies.length, 2);
+    assert.equal(a.mass, b.mass);
+    assert.equal(a.position.x, -b.position.x);
+    assert.equal(a.velocity.z, -b.velocity.z);
+    // v^2 = G m / (2 d) for two equal masses d apart
+    const d = b.position.x - a.position.x;
+    assert.ok(Math.abs(a.velocity.norm2() - simulation.gravityConstant * a.mass / (2 * d)) < 1e-12 * a.velocity.norm2());
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+import { SOFTENING_KERNELS, forceKernel, forceKernelSlope } from '../src/softening.js';
+import { applySettings, mergeSettings, readSettings } from '../src/snapshot.js';
+
+// A 100-body Plummer sphere in equilibrium, collisionless with Plummer softening.
+// Its crossing time is about 30 s, so 25 updates of 4 s run it for three crossings.
+function plummerSphere(integrator, timestepMode, softening = 'plummer') {
+    const simulation = new Simulation(10e-6, 100, 300, 0, 0, 0, 11);
+    simulation.initialConditions = 'plummer';
+    simulation.restart();
+    simulation.setIntegrator(integrator);
+    simulation.timestepMode = timestepMode;
+    simulation.contacts = false;
+    simulation.octree.softening = softening;
+    simulation.octree.softeningLength = 5;
+    return simulation;
+}
+
+function energyDrift(simulation, updates = 25, deltaTime = 4) {
+    const initial = simulation.diagnostics.measure().totalEnergy;
+    for (let i = 0; i < updates; i++) simulation.update(deltaTime);
+    return Math.abs(simulation.diagnostics.measure().totalEnergy - initial) / Math.abs(initial);
+}
+
+[['leapfrog', 'adaptive'], ['leapfrog', 'block'], ['hermite', 'adaptive']].forEach(([integrator, timestepMode]) => {
+    test(`${integrator} with ${timestepMode} steps conserves energy over three crossing times`, () => {
+        const simulation = plummerSphere(integrator, timestepMode);
+        const drift = energyDrift(simulation);
+        assert.ok(simulation.lastSubsteps > 1, 'the timestep criterion should split these updates');
+        assert.ok(drift < 5e-3, `energy drift ${drift}`);
+    });
+});
+
+test('hermite with the spline kernel conserves energy over three crossing times', () => {
+    const drift = energyDrift(plummerSphere('hermite', 'adaptive', 'spline'));
+    assert.ok(drift < 5e-3, `energy drift ${drift}`);
+});
+
+test('hermite with the spline kernel matches the octree\'s forces', () => {
+    const simulation = plummerSphere('hermite', 'fixed', 'spline');
+    simulation.octree.theta = 0;
+    const initial = simulation.diagnostics.measure().totalEnergy;
+    simulation.computeAccelerations();
+    const tree = simulation.accelerations.slice();
+    simulation.update(1e-3);
+    // Hermite leaves its own accelerations in the buffer
+    let error = 0;
+    let magnitude = 0;
+    tree.forEach((a, k) => {
+        error += (simulation.accelerations[k] - a) ** 2;
+        magnitude += a * a;
+    });
+    assert.ok(Math.sqrt(error / magnitude) < 1e-3);
+    assert.ok(Math.abs(simulation.diagnostics.measure().totalEnergy - initial) < 1e-6 * Math.abs(initial));
+});
+
+test('every kernel\'s slope is the derivative of its force kernel', () => {
+    const eps = 2;
+    SOFTENING_KERNELS.forEach(kernel => {
+        // Across both pieces of the spline and beyond its support at 2.8 eps
+        [0.5, 1.3, 2, 3.7, 5, 8].forEach(r => {
+            const step = 1e-5;
+            const derivative = (forceKernel(kernel, (r + step) ** 2, eps) - forceKernel(kernel, (r - step) ** 2, eps)) / (2 * step);
+            const slope = forceKernelSlope(kernel, r * r, eps) * r;
+            assert.ok(Math.abs(slope - derivative) <= 1e-6 * Math.abs(derivative), `${kernel} at r = ${r}: ${slope} vs ${derivative}`);
+        });
+    });
+});
+
+test('choosing hermite turns contacts off', () => {
+    const simulation = new Simulation(10e-6, 10, 300, 1, 1, 1, 7);
+    assert.equal(simulation.contacts, true);
+    applySettings(simulation, mergeSettings(readSettings(simulation), { integrator: { name: 'hermite' } }));
+    assert.equal(simulation.contacts, false);
+    assert.equal(readSettings(simulation).integrator.contacts, false);
+});
+
+test('adaptive substeps beat one fixed step per update', () => {
+    const fixed = energyDrift(plummerSphere('leapfrog', 'fixed'));
+    const adaptive = energyDrift(plummerSphere('leapfrog', 'adaptive'));
+    assert.ok(adaptive < fixed / 10, `fixed ${fixed}, adaptive ${adaptive}`);
+});
+
+test('hermite is more accurate than leapfrog at the same fixed step', () => {
+    const leapfrog = energyDrift(plummerSphere('leapfrog', 'fixed'), 100, 0.5);
+    const hermite = energyDrift(plummerSphere('hermite', 'fixed'), 100, 0.5);
+    assert.ok(hermite < leapfrog, `leapfrog ${leapfrog}, hermite ${hermite}`);
+});
+
+test('hermite keeps its accelerations in the simulation\'s buffer instead of replacing it', () => {
+    const simulation = plummerSphere('hermite', 'adaptive');
+    simulation.update(1);
+    const buffer = simulation.accelerations;
+    const first = buffer.slice(0, 3 * simulation.bodies.length);
+    simulation.update(1);
+    assert.equal(simulation.accelerations, buffer);
+    assert.notDeepEqual(buffer.slice(0, first.length), first);
+});
+
+test('an unknown integrator is an error, not leapfrog', () => {
+    const simulation = new Simulation(10e-6, 10, 300, 1, 1, 1, 7);
+    simulation.integrator = 'verlet';
+    assert.throws(() => simulation.update(), /Unknown integrator 'verlet'/);
+});
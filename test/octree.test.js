@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import { TREE_TYPES, createOctree } from '../src/octree.js';
+import { forceKernel, potentialKernel } from '../src/softening.js';
+import { createRandom } from '../src/utils/random.js';
+
+const G = 1;
+
+// A clumpy cloud: half the bodies in a dense core, so the tree gets uneven depth
+function cloud(count, seed) {
+    const random = createRandom(seed);
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+        const size = i % 2 === 0 ? 50 : 400;
+        bodies.push({
+            position: new CANNON.Vec3((random() - 0.5) * size, (random() - 0.5) * size, (random() - 0.5) * size),
+            mass: 0.5 + random(),
+        });
+    }
+    return bodies;
+}
+
+// By direct summation; with `period`, over the nearest image of every other body
+function directAccelerations(bodies, softening = 'none', eps = 0, period = null) {
+    const out = new Float64Array(3 * bodies.length);
+    bodies.forEach((body, i) => {
+        bodies.forEach((other, j) => {
+            if (i === j) return;
+            const d = other.position.vsub(body.position);
+            if (period) {
+                d.x -= period * Math.round(d.x / period);
+                d.y -= period * Math.round(d.y / period);
+                d.z -= period * Math.round(d.z / period);
+            }
+            const s = G * other.mass * forceKernel(softening, d.norm2(), eps);
+            out[3 * i] += d.x * s;
+            out[3 * i + 1] += d.y * s;
+            out[3 * i + 2] += d.z * s;
+        });
+    });
+    return out;
+}
+
+// RMS error over RMS magnitude
+function relativeError(actual, expected) {
+    let error = 0;
+    let magnitude = 0;
+    for (let k = 0; k < expected.length; k++) {
+        error += (actual[k] - expected[k]) ** 2;
+        magnitude += expected[k] ** 2;
+    }
+    return Math.sqrt(error / magnitude);
+}
+
+const bodies = cloud(800, 3);
+const direct = directAccelerations(bodies);
+
+TREE_TYPES.forEach(type => {
+    test(`${type} tree matches direct summation when every node is opened`, () => {
+        const tree = createOctree(type, 1000, G, { theta: 0 });
+        tree.build(bodies);
+        const accelerations = new Float64Array(3 * bodies.length);
+        tree.accelerations(accelerations);
+        assert.ok(relativeError(accelerations, direct) < 1e-12);
+    });
+
+    test(`${type} tree stays close to direct summation at θ = 0.5, closer with quadrupoles`, () => {
+        const errors = [false, true].map(quadrupole => {
+            const tree = createOctree(type, 1000, G, { theta: 0.5, quadrupole });
+            tree.build(bodies);
+            const accelerations = new Float64Array(3 * bodies.length);
+            tree.accelerations(accelerations);
+            return relativeError(accelerations, direct);
+        });
+        assert.ok(errors[0] < 0.02, `monopole error ${errors[0]}`);
+        assert.ok(errors[1] < errors[0], `quadrupole error ${errors[1]}`);
+    });
+
+    test(`${type} tree's pass returns the largest acceleration and agrees with calculateGravity`, () => {
+        const tree = createOctree(type, 1000, G);
+        tree.build(bodies);
+        const accelerations = new Float64Array(3 * bodies.length);
+        const max = tree.accelerations(accelerations);
+        let largest = 0;
+        bodies.forEach((body, i) => {
+            const a = Math.hypot(accelerations[3 * i], accelerations[3 * i + 1], accelerations[3 * i + 2]);
+            largest = Math.max(largest, a);
+            const force = tree.calculateGravity(body);
+            assert.ok(Math.abs(force.norm() / body.mass - a) <= 1e-12 * a);
+        });
+        assert.ok(Math.abs(max - largest) <= 1e-12 * largest);
+    });
+
+    test(`${type} tree's potential matches direct summation when every node is opened`, () => {
+        const tree = createOctree(type, 1000, G, { theta: 0, softening: 'plummer', softeningLength: 2 });
+        tree.build(bodies);
+        [0, 1, 99, 500].forEach(i => {
+            let expected = 0;
+            bodies.forEach((other, j) => {
+                if (i !== j) expected -= G * bodies[i].mass * other.mass * potentialKernel('plummer', other.position.distanceSquared(bodies[i].position), 2);
+            });
+            const potential = tree.calculatePotential(bodies[i]);
+            assert.ok(Math.abs(potential - expected) < 1e-12 * Math.abs(expected));
+        });
+    });
+
+    test(`${type} tree finds the same neighbours as a brute-force search`, () => {
+        const tree = createOctree(type, 1000, G);
+        tree.build(bodies);
+        const center = bodies[10].position;
+        const found = tree.queryRadius(center, 30);
+        const expected = bodies.filter(body => body.position.distanceTo(center) <= 30);
+        assert.deepEqual(new Set(found), new Set(expected));
+    });
+});
+
+// Clumps near the faces and corners put mass on both sides of every image boundary
+function periodicCloud(count, period, seed) {
+    const random = createRandom(seed);
+    const bodies = [];
+    for (let i = 0; i < count; i++) {
+        const clump = i % 4;
+        const center = [[0.45, 0.45, 0.45], [-0.45, 0.1, 0.3], [0.2, -0.48, -0.1], [0, 0, 0]][clump];
+        const size = clump === 3 ? 1 : 0.15;
+        const coordinate = c => {
+            const p = (center[c] + (random() - 0.5) * size) * period;
+            return p - period * Math.floor(p / period + 0.5);
+        };
+        bodies.push({ position: new CANNON.Vec3(coordinate(0), coordinate(1), coordinate(2)), mass: 0.5 + random() });
+    }
+    return bodies;
+}
+
+TREE_TYPES.forEach(type => {
+    test(`${type} tree matches direct minimum-image summation in a periodic box`, () => {
+        const period = 400;
+        const periodic = periodicCloud(600, period, 8);
+        const expected = { [period]: directAccelerations(periodic, 'none', 0, period), open: directAccelerations(periodic) };
+        const error = (theta, boxPeriod) => {
+            const tree = createOctree(type, period, G, { theta, quadrupole: true, period: boxPeriod });
+            tree.build(periodic);
+            const accelerations = new Float64Array(3 * periodic.length);
+            tree.accelerations(accelerations);
+            return relativeError(accelerations, expected[boxPeriod ?? 'open']);
+        };
+        assert.ok(error(0, period) < 1e-12);
+        // As accurate as the same bodies without the box
+        [0.5, 0.8].forEach(theta => {
+            const periodicError = error(theta, period);
+            const openError = error(theta, null);
+            assert.ok(periodicError < 1.2 * openError, `θ = ${theta}: error ${periodicError}, ${openError} in an open box`);
+        });
+    });
+});
+
+test('the flat and object trees agree to rounding', () => {
+    const [flat, object] = ['flat', 'object'].map(type => {
+        const tree = createOctree(type, 1000, G, { theta: 0.7, quadrupole: true, softening: 'spline', softeningLength: 3 });
+        tree.build(bodies);
+        const accelerations = new Float64Array(3 * bodies.length);
+        tree.accelerations(accelerations);
+        return accelerations;
+    });
+    assert.ok(relativeError(flat, object) < 1e-12);
+});
+
+TREE_TYPES.forEach(type => {
+    [10, 1].forEach(maxBodiesPerNode => {
+        test(`the ${type} tree keeps working when coincident bodies exceed a leaf of ${maxBodiesPerNode}`, () => {
+            const stack = Array.from({ length: 30 }, () => ({ position: new CANNON.Vec3(1, 2, 3), mass: 1 }));
+            const tree = createOctree(type, 1000, G, { maxBodiesPerNode });
+            tree.build([...stack, { position: new CANNON.Vec3(11, 2, 3), mass: 1 }]);
+            const accelerations = new Float64Array(3 * 31);
+            tree.accelerations(accelerations);
+            // Coincident bodies exert nothing on each other; each feels the outlier at distance 10
+            assert.ok(Math.abs(accelerations[0] - 0.01) < 1e-12);
+        });
+    });
+});
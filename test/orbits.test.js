@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+import { orbitalElements, orbitPoint, createOrbitReference, bodyOrbit, orbitalLaunch } from '../src/orbits.js';
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+test('a circular orbit in the reference plane has the radius as its semi-major axis', () => {
+    const mu = 4;
+    const elements = orbitalElements({ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: -Math.sqrt(mu / 10) }, mu);
+    assertClose(elements.semiMajorAxis, 10, 1e-9, 'semi-major axis');
+    assertClose(elements.eccentricity, 0, 1e-9, 'eccentricity');
+    assertClose(elements.inclination, 0, 1e-9, 'inclination');
+    assertClose(elements.period, 2 * Math.PI * Math.sqrt(1000 / mu), 1e-9, 'period');
+    assertClose(elements.periapsis, 10, 1e-9, 'periapsis');
+    assertClose(elements.apoapsis, 10, 1e-9, 'apoapsis');
+    assert.equal(elements.bound, true);
+});
+
+test('launched faster than escape speed, an orbit is unbound', () => {
+    const elements = orbitalElements({ x: 10, y: 0, z: 0 }, { x: 0, y: 0, z: -2 }, 4);
+    assert.equal(elements.bound, false);
+    assert.ok(elements.semiMajorAxis < 0);
+    assert.ok(elements.eccentricity > 1);
+    assert.equal(elements.period, Infinity);
+    assert.equal(elements.apoapsis, Infinity);
+});
+
+[
+    ['prograde ellipse in the plane', { x: 10, y: 0, z: 3 }, { x: 0.2, y: 0, z: -0.5 }],
+    ['retrograde ellipse in the plane', { x: 10, y: 0, z: 3 }, { x: 0.2, y: 0, z: 0.5 }],
+    ['inclined ellipse', { x: 8, y: 4, z: -2 }, { x: -0.1, y: 0.3, z: -0.6 }],
+    ['inclined circle', { x: 0, y: 6, z: 8 }, { x: Math.sqrt(0.4), y: 0, z: 0 }],
+    ['polar ellipse', { x: 0, y: 7, z: 2 }, { x: 0, y: -0.2, z: 0.7 }],
+].forEach(([name, r, v]) => {
+    test(`the elements of a ${name} put the body back where it is`, () => {
+        const elements = orbitalElements(r, v, 4);
+        const point = orbitPoint(elements, elements.trueAnomaly);
+        assertClose(point.x, r.x, 1e-9, 'x');
+        assertClose(point.y, r.y, 1e-9, 'y');
+        assertClose(point.z, r.z, 1e-9, 'z');
+    });
+});
+
+// A heavy central crystal with two light ones around it
+function system() {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 5);
+    const add = (x, density, velocity) => simulation.addCrystal(1, 2, 5, new CANNON.Vec3(x, 0, 0), simulation.generateRandomOrientation(), density, velocity);
+    const heavy = add(0, 1e9, new CANNON.Vec3(0, 0, 0.5));
+    const middle = add(30, 1e6, new CANNON.Vec3());
+    const light = add(-40, 1, new CANNON.Vec3());
+    return { simulation, heavy, middle, light };
+}
+
+test('the massive reference is the heaviest body, and for the heaviest body the next heaviest', () => {
+    const { simulation, heavy, middle, light } = system();
+    const referenceOf = createOrbitReference(simulation, 'massive');
+    assert.equal(referenceOf(light).primaryId, heavy.id);
+    assert.equal(referenceOf(middle).primaryId, heavy.id);
+    assert.equal(referenceOf(heavy).primaryId, middle.id);
+    assert.equal(referenceOf(light).mass, heavy.mass);
+    assert.deepEqual(referenceOf(light).velocity, { x: 0, y: 0, z: 0.5 });
+});
+
+test('the barycenter reference leaves the body itself out', () => {
+    const { simulation, heavy, middle, light } = system();
+    const reference = createOrbitReference(simulation, 'barycenter')(light);
+    const mass = heavy.mass + middle.mass;
+    assert.equal(reference.primaryId, null);
+    assertClose(reference.mass, mass, 1e-9 * mass, 'mass');
+    assertClose(reference.position.x, 30 * middle.mass / mass, 1e-9, 'x');
+    assertClose(reference.velocity.z, 0.5 * heavy.mass / mass, 1e-9, 'vz');
+});
+
+test('a chosen reference body has no orbit of its own', () => {
+    const { simulation, middle, light } = system();
+    const referenceOf = createOrbitReference(simulation, 'body', middle.id);
+    assert.equal(referenceOf(light).primaryId, middle.id);
+    assert.equal(bodyOrbit(simulation, middle, referenceOf), null);
+});
+
+['circular', 'escape'].forEach(kind => {
+    test(`a ${kind} launch gives a body the ${kind} orbit about its primary`, () => {
+        const { simulation, heavy } = system();
+        const origin = new CANNON.Vec3(0, 0, 50);
+        const launch = orbitalLaunch(simulation, heavy, origin, { x: 1, y: 0.5, z: 0.2 }, kind);
+        assertClose(launch.direction.x * origin.x + launch.direction.y * origin.y + launch.direction.z * origin.z, 0, 1e-9, 'radial part');
+        const velocity = new CANNON.Vec3(launch.direction.x, launch.direction.y, launch.direction.z).scale(launch.speed).vadd(new CANNON.Vec3(launch.frameVelocity.x, launch.frameVelocity.y, launch.frameVelocity.z));
+        const body = simulation.addCrystal(1, 2, 5, origin, simulation.generateRandomOrientation(), 1e-6, velocity);
+        const { primaryId, elements } = bodyOrbit(simulation, body, createOrbitReference(simulation, 'massive'));
+        assert.equal(primaryId, heavy.id);
+        // The body's own mass is too small to matter
+        if (kind === 'circular') assertClose(elements.eccentricity, 0, 1e-6, 'eccentricity');
+        else assertClose(elements.specificEnergy, 0, 1e-6 * launch.speed ** 2, 'specific energy');
+    });
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+
+// Merges, fragmentation and escapes all happen in the first 50 steps
+function collidingRun() {
+    const simulation = new Simulation(10e-6, 60, 300, 4, 4, 4, 42);
+    simulation.accretion.enabled = true;
+    simulation.fragmentation.enabled = true;
+    simulation.fragmentation.strength = 5;
+    simulation.boundary.mode = 'open';
+    simulation.boundary.escapeRadius = 100;
+    simulation.diagnostics.enabled = true;
+    return simulation;
+}
+
+function runState(simulation) {
+    return {
+        stepCount: simulation.stepCount,
+        mergeCount: simulation.accretion.mergeCount,
+        fragmentationCount: simulation.fragmentation.fragmentationCount,
+        escapeCount: simulation.boundary.escapeCount,
+        escapedMass: simulation.boundary.escapedMass,
+        baseline: simulation.diagnostics.baseline.totalEnergy,
+        positions: simulation.bodies.map(body => [body.position.x, body.position.y, body.position.z]),
+    };
+}
+
+test('forking lands on the recorded state with its counters and drift baseline', () => {
+    const reference = collidingRun();
+    for (let i = 0; i < 40; i++) reference.update();
+    const expected = runState(reference);
+    assert.ok(expected.mergeCount + expected.fragmentationCount > 0 && expected.escapeCount > 0, 'nothing happened to count');
+
+    const simulation = collidingRun();
+    simulation.recorder.enabled = true;
+    simulation.recorder.keyframeInterval = 4;
+    for (let i = 0; i < 60; i++) simulation.update();
+    const index = simulation.recorder.frames.findIndex(frame => frame.stepCount === 40);
+    simulation.recorder.fork(index);
+    assert.deepEqual(runState(simulation), expected);
+});
+
+test('a fork that fails still turns recording and logging back on', () => {
+    const simulation = collidingRun();
+    simulation.recorder.enabled = true;
+    simulation.logger.enabled = true;
+    for (let i = 0; i < 20; i++) simulation.update();
+    simulation.update = () => { throw new Error('step failed'); };
+    assert.throws(() => simulation.recorder.fork(5), /step failed/);
+    assert.equal(simulation.recorder.enabled, true);
+    assert.equal(simulation.logger.enabled, true);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Stands in for the browser's Worker, recording what the client posts
+globalThis.Worker = class {
+    constructor() {
+        this.posted = [];
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+    }
+};
+
+const { default: SimulationClient } = await import('../src/worker/simulationClient.js');
+
+test('a worker failure rejects every pending request', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const client = new SimulationClient({ gravityConstant: 1, sphereCount: 0, worldSize: 100, velocity: 0, seed: 1 });
+    const snapshot = client.requestSnapshot();
+    const log = client.requestLog();
+    client.worker.onerror({ message: 'boom' });
+    await assert.rejects(snapshot, /boom/);
+    await assert.rejects(log, /boom/);
+    assert.equal(client.requests.size, 0);
+});
+
+test('frames carry the data log\'s size and whether it is full', () => {
+    const client = new SimulationClient({ gravityConstant: 1, sphereCount: 0, worldSize: 100, velocity: 0, seed: 1 });
+    const log = client.log;
+    client.onMessage({
+        type: 'frame', time: 0, stepCount: 0, lastSubsteps: 1,
+        mergeCount: 0, fragmentationCount: 0, escapeCount: 0, escapedMass: 0,
+        ids: [], masses: [], positions: [], quaternions: [], newBodies: [],
+        replay: {}, log: { length: 640, full: true },
+    });
+    // Updated in place, so GUI controllers bound to it see the change
+    assert.equal(client.log, log);
+    assert.deepEqual(log, { length: 640, full: true });
+});
+
+test('a body that jumped is drawn at its new pose at once', () => {
+    const client = new SimulationClient({ gravityConstant: 1, sphereCount: 0, worldSize: 100, velocity: 0, seed: 1 });
+    const frame = (x, jumped) => ({
+        type: 'frame', time: 0, stepCount: 0, lastSubsteps: 1,
+        mergeCount: 0, fragmentationCount: 0, escapeCount: 0, escapedMass: 0,
+        ids: [7, 8], masses: [1, 1], positions: [x, 0, 0, x, 1, 0], quaternions: [0, 0, 0, 1, 0, 0, 0, 1],
+        newBodies: x === 49 ? [{ id: 7 }, { id: 8 }] : [], jumped: jumped,
+        replay: {}, log: { length: 0, full: false },
+    });
+    client.onMessage(frame(49, []));
+    client.interpolate(performance.now() + 1000);
+    client.onMessage(frame(-49, [7]));
+    const [wrapped, blended] = client.bodies;
+    assert.equal(wrapped.from.px, -49);
+    assert.equal(blended.from.px, 49);
+});
+
+test('a clump search labels bodies and sums up the largest clump', () => {
+    const client = new SimulationClient({ gravityConstant: 1, sphereCount: 0, worldSize: 100, velocity: 0, seed: 1 });
+    client.records.set(3, { clump: -1 });
+    client.setClumps({
+        boundFraction: 0.5,
+        totalMass: 10,
+        clumps: [{ id: 3, count: 4, mass: 4, members: [3] }, { id: 9, count: 2, mass: 1, members: [9] }],
+    });
+    assert.equal(client.records.get(3).clump, 3);
+    assert.equal(client.clumps.count, 2);
+    assert.equal(client.clumps.largestMembers, 4);
+    assert.equal(client.clumps.largestMassFraction, 0.4);
+    client.setClumps(null);
+    assert.equal(client.clumps.largestMembers, 0);
+});
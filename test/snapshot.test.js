@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../src/sim.js';
+import { SnapshotError, createSnapshot, parseSnapshot, restoreSnapshot } from '../src/snapshot.js';
+import { createRandom } from '../src/utils/random.js';
+
+// Positions, velocities and spins of every body, exactly
+function state(simulation) {
+    return simulation.bodies.map(body => [
+        body.mass,
+        body.position.x, body.position.y, body.position.z,
+        body.velocity.x, body.velocity.y, body.velocity.z,
+        body.angularVelocity.x, body.angularVelocity.y, body.angularVelocity.z,
+    ]);
+}
+
+function steps(simulation, count) {
+    for (let i = 0; i < count; i++) simulation.update();
+}
+
+// Run, save, run on; then restore the save elsewhere and run the same steps
+function roundTrip(configure) {
+    const original = new Simulation(10e-6, 60, 300, 4, 4, 4, 42);
+    configure(original);
+    steps(original, 20);
+    const text = JSON.stringify(createSnapshot(original));
+    steps(original, 30);
+
+    const restored = new Simulation(10e-6, 5, 100, 0, 0, 0, 1);
+    restoreSnapshot(restored, parseSnapshot(text));
+    steps(restored, 30);
+    return { original, restored };
+}
+
+test('a restored snapshot continues the run bit-for-bit with the cannon integrator', () => {
+    const { original, restored } = roundTrip(() => {});
+    assert.equal(restored.stepCount, original.stepCount);
+    assert.deepEqual(state(restored), state(original));
+});
+
+test('a restored snapshot continues the run bit-for-bit with leapfrog and adaptive steps', () => {
+    const { original, restored } = roundTrip(simulation => {
+        simulation.setIntegrator('leapfrog');
+        simulation.timestepMode = 'adaptive';
+        simulation.contacts = false;
+    });
+    assert.deepEqual(state(restored), state(original));
+});
+
+test('a restored snapshot continues the run bit-for-bit with block steps', () => {
+    const { original, restored } = roundTrip(simulation => {
+        simulation.setIntegrator('leapfrog');
+        simulation.timestepMode = 'block';
+        simulation.timestepAccuracy = 0.001;
+    });
+    assert.ok(original.lastSubsteps > 1);
+    assert.deepEqual(state(restored), state(original));
+});
+
+test('a restored snapshot continues the run bit-for-bit with accretion, fragmentation and the object tree', () => {
+    const { original, restored } = roundTrip(simulation => {
+        simulation.setTreeType('object');
+        simulation.accretion.enabled = true;
+        simulation.fragmentation.enabled = true;
+        simulation.fragmentation.strength = 5;
+    });
+    assert.ok(original.accretion.mergeCount + original.fragmentation.fragmentationCount > 0, 'nothing collided');
+    assert.equal(restored.octree.type, 'object');
+    assert.equal(restored.bodies.length, original.bodies.length);
+    assert.deepEqual(state(restored), state(original));
+});
+
+test('settings survive the round trip', () => {
+    const simulation = new Simulation(10e-6, 10, 300, 1, 1, 1, 7);
+    simulation.octree.theta = 0.3;
+    simulation.boundary.mode = 'periodic';
+    simulation.setIntegrator('hermite');
+    const restored = new Simulation(10e-6, 5, 100, 0, 0, 0, 1);
+    restoreSnapshot(restored, parseSnapshot(JSON.stringify(createSnapshot(simulation))));
+    assert.equal(restored.octree.theta, 0.3);
+    assert.equal(restored.boundary.mode, 'periodic');
+    assert.equal(restored.integrator, 'hermite');
+    assert.equal(restored.seed, 7);
+});
+
+// An export from before the versioned format
+function legacyExport(seed, geometry = {}) {
+    return {
+        seed: seed,
+        crystals: [1, 2].map(x => ({
+            geometry: { type: 'CylinderGeometry', radiusTop: 2, radiusBottom: 2, height: 5, radialSegments: 6, ...geometry },
+            mass: 100,
+            position: { x: 10 * x, y: 0, z: 0 },
+            velocity: { x: 0, y: x, z: 0 },
+            orientation: { x: 0, y: 0, z: 0, w: 1 },
+        })),
+    };
+}
+
+test('a legacy export restores its crystals and reseeds the generator', () => {
+    const simulation = new Simulation(10e-6, 5, 100, 0, 0, 0, 1);
+    restoreSnapshot(simulation, parseSnapshot(JSON.stringify(legacyExport(99))));
+    assert.equal(simulation.bodies.length, 2);
+    assert.equal(simulation.bodies[1].position.x, 20);
+    assert.equal(simulation.seed, 99);
+    assert.equal(simulation.random(), createRandom(99)());
+});
+
+[
+    ['a negative seed', legacyExport(-1), /seed must be at least 0/],
+    ['a seed that is not a number', legacyExport('x'), /seed must be a finite number/],
+    ['a radius that is not a number', legacyExport(1, { radiusTop: 'wide' }), /crystals\[0\]\.geometry\.radiusTop must be a finite number/],
+    ['a flat crystal', legacyExport(1, { height: 0 }), /crystals\[0\]\.geometry must have a nonzero radiusTop and height/],
+].forEach(([label, data, message]) => {
+    test(`a legacy export with ${label} is rejected`, () => {
+        const simulation = new Simulation(10e-6, 5, 100, 0, 0, 0, 1);
+        assert.throws(() => restoreSnapshot(simulation, data), error => error instanceof SnapshotError && message.test(error.message));
+        assert.equal(simulation.bodies.length, 5);
+    });
+});
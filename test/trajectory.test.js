@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CANNON from 'cannon';
+import Simulation from '../src/sim.js';
+import { predictTrajectory } from '../src/trajectory.js';
+
+// A pinned attractor at the origin, so the field really is frozen
+function pinnedAttractor() {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 6);
+    simulation.setIntegrator('leapfrog');
+    simulation.addAttractor({ mass: 1e10, radius: 8, motion: 'pinned' });
+    return simulation;
+}
+
+test('with nothing to pull it, the path is a straight line at the throw velocity', () => {
+    const simulation = new Simulation(10e-6, 0, 300, 0, 0, 0, 6);
+    const points = predictTrajectory(simulation, { x: 1, y: 2, z: 3 }, { x: 4, y: 0, z: -2 }, 50);
+    assert.equal(points.length, 3 * 51);
+    for (let i = 0; i <= 50; i++) {
+        const t = i * simulation.timestep;
+        assert.ok(Math.abs(points[3 * i] - (1 + 4 * t)) < 1e-4);
+        assert.equal(points[3 * i + 1], 2);
+        assert.ok(Math.abs(points[3 * i + 2] - (3 - 2 * t)) < 1e-4);
+    }
+});
+
+test('the prediction follows a light crystal thrown past a pinned attractor', () => {
+    const simulation = pinnedAttractor();
+    const origin = new CANNON.Vec3(60, 0, 0);
+    const velocity = new CANNON.Vec3(0, 0, -0.5);
+    const points = predictTrajectory(simulation, origin, velocity, 40);
+    const crystal = simulation.addCrystal(0.1, 0.2, 5, origin, simulation.generateRandomOrientation(), 1e-6, velocity);
+    for (let i = 1; i <= 40; i++) {
+        simulation.update();
+        const predicted = new CANNON.Vec3(points[3 * i], points[3 * i + 1], points[3 * i + 2]);
+        assert.ok(predicted.distanceTo(crystal.position) < 1e-3, `step ${i}`);
+    }
+    assert.ok(crystal.position.x < 60, 'it did fall');
+});
+
+test('a prediction leaves the simulation as it was', () => {
+    const simulation = new Simulation(10e-6, 30, 300, 1, 1, 1, 6);
+    const state = () => simulation.bodies.map(body => [body.position.x, body.position.y, body.position.z, body.velocity.x, body.velocity.y, body.velocity.z]);
+    const before = state();
+    const time = simulation.time;
+    predictTrajectory(simulation, { x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 20);
+    assert.deepEqual(state(), before);
+    assert.equal(simulation.time, time);
+});
+
+test('the path ends inside the attractor it falls into', () => {
+    const simulation = pinnedAttractor();
+    const points = predictTrajectory(simulation, { x: 20, y: 0, z: 0 }, { x: -20, y: 0, z: 0 }, 300);
+    const count = points.length / 3;
+    assert.ok(count < 301);
+    assert.ok(Math.hypot(points[3 * count - 3], points[3 * count - 2], points[3 * count - 1]) < 8);
+    assert.ok(Math.hypot(points[3 * count - 6], points[3 * count - 5], points[3 * count - 4]) >= 8);
+});